@@ -0,0 +1,115 @@
+/**
+ * Server-Sent Events stream for job lifecycle and printer connection events
+ * Lets clients react to status changes instead of polling GET /jobs/:id
+ */
+
+const { logger } = require('../utils/logger');
+const { getPrintQueue, summarizeJob } = require('../printer/print-queue');
+const { printerEvents } = require('../printer/printer-events');
+
+// Keep-alive interval so proxies and browsers don't drop idle connections
+const HEARTBEAT_INTERVAL = 25000;
+
+// Connected SSE clients: { res, jobId }
+const clients = new Set();
+let initialized = false;
+
+/**
+ * Write a single SSE message
+ * @param {object} res - Express response
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Send an event to all matching clients
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ * @param {string|null} jobId - Job the event belongs to (null for printer events)
+ */
+function broadcast(event, data, jobId = null) {
+  for (const client of clients) {
+    // Job-scoped subscribers only receive events for their job
+    if (client.jobId && client.jobId !== jobId) {
+      continue;
+    }
+    writeEvent(client.res, event, data);
+  }
+}
+
+/**
+ * Subscribe to queue and printer events (idempotent)
+ */
+function initEventStream() {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+
+  getPrintQueue().on('job', ({ job, previousStatus }) => {
+    broadcast('job', { previousStatus, job: summarizeJob(job) }, job.id);
+  });
+
+  printerEvents.on('connected', ({ printerId, printer }) => {
+    broadcast('printer', { type: 'connected', printerId, printer, timestamp: new Date().toISOString() });
+  });
+
+  printerEvents.on('disconnected', ({ printerId, printer, reason }) => {
+    broadcast('printer', {
+      type: 'disconnected',
+      printerId,
+      printer,
+      reason: reason || null,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+/**
+ * Express handler for GET /events
+ * Query params:
+ *   - jobId: only receive events for this job (optional, default: everything)
+ */
+function handleEventStream(req, res) {
+  const jobId = req.query.jobId || null;
+  const printQueue = getPrintQueue();
+
+  if (jobId && !printQueue.getJob(jobId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+
+  const client = { res, jobId };
+  clients.add(client);
+  logger.info('Event stream client connected', { jobId, clients: clients.size });
+
+  // Send current state so clients don't miss a transition that happened before subscribing
+  if (jobId) {
+    writeEvent(res, 'job', { previousStatus: null, job: summarizeJob(printQueue.getJob(jobId)) });
+  }
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    logger.info('Event stream client disconnected', { jobId, clients: clients.size });
+  });
+}
+
+module.exports = { initEventStream, handleEventStream };
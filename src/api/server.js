@@ -3,28 +3,512 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const { logger } = require('../utils/logger');
 const { getPrinterManager, isWindows } = require('../printer/printer-manager');
-const { getPrintQueue } = require('../printer/print-queue');
-const { getAllPageConfigs } = require('../config/page-configs');
+const { getPrinterRegistry, DEFAULT_PRINTER_ID } = require('../printer/printer-registry');
+const { DEFAULT_PORT: DEFAULT_PRINTER_PORT } = require('../printer/network-printer');
+const { SIMULATED_CONDITIONS, validateSpoolDir } = require('../printer/virtual-printer');
+const { getPrintQueue, generateJobTSPL, getJobDpi } = require('../printer/print-queue');
+const { renderPreview } = require('../printer/tspl-renderer');
+const { lintTSPL } = require('../printer/tspl-parser');
+const { LAYOUT_CONFIG, findControlCharacter } = require('../printer/tspl-generator');
+const { SYMBOLOGIES, validateBarcodeData } = require('../printer/barcode-symbologies');
+const { validateGS1 } = require('../printer/gs1');
+const { initEventStream, handleEventStream } = require('./event-stream');
+const { initWebhooks, isValidCallbackUrl } = require('./webhooks');
+const {
+  ORIENTATIONS,
+  getAllPageConfigs,
+  getPageConfig,
+  getPositionsPerPage,
+  hasPageConfig,
+  isBuiltInPageConfig,
+  validatePageConfig,
+  savePageConfig,
+  deletePageConfig
+} = require('../config/page-configs');
+const {
+  MAX_IMAGE_BYTES,
+  validateImageName,
+  validateImageData,
+  listImages,
+  hasImage,
+  getImage,
+  saveImage,
+  deleteImage
+} = require('../config/image-library');
+const {
+  validatePrinterProfile,
+  getPrinterProfile,
+  savePrinterProfile,
+  resolvePrinterSettings
+} = require('../config/printer-profiles');
+const {
+  validateLabelTemplate,
+  getTemplateFields,
+  fillTemplate,
+  hasLabelTemplate,
+  getLabelTemplate,
+  getAllLabelTemplates,
+  saveLabelTemplate,
+  deleteLabelTemplate
+} = require('../config/label-templates');
+const {
+  validateSerialOptions,
+  findSerialCounter,
+  fillSerial,
+  getSerialNumber,
+  peekSerial,
+  reserveSerials,
+  getSerialCounters,
+  setSerialCounter
+} = require('../config/serial-counters');
 const settings = require('../config/settings');
 const packageJson = require('../../package.json');
 
 const app = express();
 const DEFAULT_PORT = 9632;
 
+// Sticker layouts a label can use
+const LABEL_LAYOUTS = ['barcode', 'qr', 'datamatrix', 'text-only'];
+
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+// Labels may carry base64 images
+app.use(bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
+/**
+ * Shorten long strings (base64 images) for logging
+ * @param {*} value - Request body or part of it
+ * @returns {*} Copy with strings over 200 characters truncated
+ */
+function truncateForLog(value) {
+  if (typeof value === 'string') {
+    return value.length > 200 ? `${value.slice(0, 200)}... (${value.length} chars)` : value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<${value.length} bytes>`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(truncateForLog);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateForLog(item)]));
+  }
+  return value;
+}
+
 // Request logging
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
     ip: req.ip,
-    body: req.body
+    body: truncateForLog(req.body)
   });
   next();
 });
 
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Validate per-job retry overrides
+ * @param {object} retry - Retry options from request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRetryOptions(retry) {
+  if (retry === undefined) {
+    return null;
+  }
+  if (typeof retry !== 'object' || retry === null || Array.isArray(retry)) {
+    return 'retry must be an object';
+  }
+  const { maxAttempts, backoffMs, backoffMultiplier, maxBackoffMs } = retry;
+  if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 20)) {
+    return 'retry.maxAttempts must be an integer between 1 and 20';
+  }
+  if (backoffMs !== undefined && (typeof backoffMs !== 'number' || backoffMs < 0)) {
+    return 'retry.backoffMs must be a non-negative number';
+  }
+  if (backoffMultiplier !== undefined && (typeof backoffMultiplier !== 'number' || backoffMultiplier < 1)) {
+    return 'retry.backoffMultiplier must be a number >= 1';
+  }
+  if (maxBackoffMs !== undefined && (typeof maxBackoffMs !== 'number' || maxBackoffMs < 0)) {
+    return 'retry.maxBackoffMs must be a non-negative number';
+  }
+  return null;
+}
+
+/**
+ * Validate the images placed on a label
+ * @param {Array} images - [{ name or data, x, y, width, height, dither, threshold }]
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLabelImages(images) {
+  if (images === undefined) {
+    return null;
+  }
+  if (!Array.isArray(images)) {
+    return 'images must be an array';
+  }
+  for (let i = 0; i < images.length; i++) {
+    const image = images[i];
+    if (!image || typeof image !== 'object') {
+      return `images[${i}] must be an object`;
+    }
+    if ((image.name === undefined) === (image.data === undefined)) {
+      return `images[${i}] needs either name or data`;
+    }
+    if (image.name !== undefined && !hasImage(image.name)) {
+      return `images[${i}]: image '${image.name}' not found`;
+    }
+    if (image.data !== undefined) {
+      const dataError = typeof image.data === 'string' ? validateImageData(Buffer.from(image.data, 'base64')) : 'data must be a base64 string';
+      if (dataError) {
+        return `images[${i}]: ${dataError}`;
+      }
+    }
+    for (const key of ['width', 'height']) {
+      if (typeof image[key] !== 'number' || !(image[key] > 0)) {
+        return `images[${i}].${key} must be a positive number (mm)`;
+      }
+    }
+    for (const key of ['x', 'y']) {
+      if (image[key] !== undefined && (typeof image[key] !== 'number' || !(image[key] >= 0))) {
+        return `images[${i}].${key} must be a non-negative number (mm)`;
+      }
+    }
+    if (image.dither !== undefined && typeof image.dither !== 'boolean') {
+      return `images[${i}].dither must be a boolean`;
+    }
+    if (image.threshold !== undefined && (!Number.isInteger(image.threshold) || image.threshold < 0 || image.threshold > 255)) {
+      return `images[${i}].threshold must be an integer between 0 and 255`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that label text fields can be embedded in TSPL strings
+ * Line breaks and other control characters would break the command stream.
+ * @param {object} label - Label data
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLabelText(label) {
+  for (const key of ['title', 'subtitle', 'barcodeData', 'qrData']) {
+    const control = typeof label[key] === 'string' ? findControlCharacter(label[key]) : null;
+    if (control) {
+      return `${key} must not contain control characters (${control.code} at position ${control.position})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the label of a single print request
+ * @param {object} label - Label data
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLabel(label) {
+  // Title is required, barcode/qr is optional
+  if (!label || !label.title) {
+    return 'label.title is required';
+  }
+
+  const textError = validateLabelText(label);
+  if (textError) {
+    return `label.${textError}`;
+  }
+
+  const imagesError = validateLabelImages(label.images);
+  if (imagesError) {
+    return `label.${imagesError}`;
+  }
+
+  if (label.layout !== undefined && !LABEL_LAYOUTS.includes(label.layout)) {
+    return `label.layout must be one of: ${LABEL_LAYOUTS.join(', ')}`;
+  }
+
+  const symbology = label.symbology === undefined ? 'code128' : label.symbology;
+  if (!Object.prototype.hasOwnProperty.call(SYMBOLOGIES, symbology)) {
+    return `Unknown label.symbology '${symbology}'. Available: ${Object.keys(SYMBOLOGIES).join(', ')}`;
+  }
+
+  // GS1 data takes the place of barcodeData/qrData and is encoded as GS1-128 on barcode layouts
+  if (label.gs1 !== undefined) {
+    const gs1Error = validateGS1(label.gs1);
+    if (gs1Error) {
+      return `label: ${gs1Error}`;
+    }
+    if ((label.layout || 'barcode') === 'barcode' && symbology !== 'code128') {
+      return 'label.gs1 is encoded as GS1-128; label.symbology must be code128';
+    }
+    return null;
+  }
+
+  // Barcode layouts encode barcodeData (or qrData) with the symbology
+  const codeData = label.barcodeData || label.qrData;
+  if ((label.layout || 'barcode') === 'barcode' && codeData) {
+    const barcodeError = validateBarcodeData(symbology, codeData);
+    if (barcodeError) {
+      return `label: ${barcodeError}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the template and data of a template print request
+ * @param {string} template - Template ID
+ * @param {object} data - Placeholder values
+ * @param {object} label - Label data (must not be given with a template)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTemplateRequest(template, data, label) {
+  if (label !== undefined) {
+    return 'label and template cannot be used together';
+  }
+  if (typeof template !== 'string' || !hasLabelTemplate(template)) {
+    return `Template '${template}' not found`;
+  }
+  if (data !== undefined && (typeof data !== 'object' || data === null || Array.isArray(data))) {
+    return 'data must be an object';
+  }
+  return null;
+}
+
+/**
+ * Validate the labels of a batch print request
+ * Each label is checked like the label of POST /print, with the batch layout as its default layout.
+ * @param {Array} labels - Label data
+ * @param {string} layout - Batch layout (optional)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLabelList(labels, layout) {
+  if (!labels || !Array.isArray(labels) || labels.length === 0) {
+    return 'labels array is required and must not be empty';
+  }
+  if (layout !== undefined && !LABEL_LAYOUTS.includes(layout)) {
+    return `layout must be one of: ${LABEL_LAYOUTS.join(', ')}`;
+  }
+  for (let i = 0; i < labels.length; i++) {
+    if (!labels[i] || !labels[i].title) {
+      return `Label at index ${i} is missing required 'title' field`;
+    }
+    const { quantity, ...label } = labels[i];
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+      return `Label at index ${i}: quantity must be a positive integer`;
+    }
+    const labelError = validateLabel({ ...label, layout: label.layout ?? layout ?? 'qr' });
+    if (labelError) {
+      return `Label at index ${i}: ${labelError}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Count the stickers of a batch: each label is printed its quantity times
+ * @param {Array} labels - Validated batch labels
+ * @returns {number} Number of stickers
+ */
+function countBatchStickers(labels) {
+  return labels.reduce((count, label) => count + (label.quantity || 1), 0);
+}
+
+/**
+ * Validate virtual printer simulation options
+ * @param {object} options - Simulation options
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSimulationOptions({ status, latencyMs, failNext }) {
+  if (status !== undefined) {
+    const conditions = Array.isArray(status) ? status : [status];
+    const unknown = conditions.find(c => !SIMULATED_CONDITIONS.includes(c));
+    if (unknown !== undefined) {
+      return `Unknown status '${unknown}'. Available: ${SIMULATED_CONDITIONS.join(', ')}`;
+    }
+  }
+  if (latencyMs !== undefined && (!Number.isInteger(latencyMs) || latencyMs < 0 || latencyMs > 60000)) {
+    return 'latencyMs must be an integer between 0 and 60000';
+  }
+  if (failNext !== undefined && (!Number.isInteger(failNext) || failNext < 0)) {
+    return 'failNext must be a non-negative integer';
+  }
+  return null;
+}
+
+/**
+ * Validate a printer resolution
+ * @param {number} dpi - DPI
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDpi(dpi) {
+  const supported = Object.keys(LAYOUT_CONFIG.RESOLUTIONS).map(Number);
+  if (!supported.includes(dpi)) {
+    return `dpi must be one of: ${supported.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Get a registered virtual printer, or send an error response
+ * @param {string} id - Printer ID
+ * @param {object} res - Express response
+ * @returns {object|null} Printer, or null if a response was sent
+ */
+function getVirtualPrinter(id, res) {
+  const printer = getPrinterRegistry().get(id);
+  if (!printer) {
+    res.status(404).json({
+      success: false,
+      error: `Printer '${id}' not found`
+    });
+    return null;
+  }
+  if (printer.manager.transport !== 'virtual') {
+    res.status(400).json({
+      success: false,
+      error: `Printer '${id}' is not a virtual printer`
+    });
+    return null;
+  }
+  return printer;
+}
+
+/**
+ * Get the printer a /printers/settings request is for, or send an error response
+ * @param {string} printerId - Printer ID (optional, default: the default printer)
+ * @param {object} res - Express response
+ * @returns {object|null} Printer, or null if a response was sent
+ */
+function getSettingsPrinter(printerId, res) {
+  const registry = getPrinterRegistry();
+  const printer = printerId !== undefined ? registry.get(printerId) : registry.getDefault();
+  if (!printer) {
+    res.status(404).json({
+      success: false,
+      error: printerId !== undefined ? `Printer '${printerId}' not found` : 'No printer registered'
+    });
+    return null;
+  }
+  return printer;
+}
+
+/**
+ * Get a printer's status
+ * The status query is TSPL (<ESC>!?) and ZPL printers never answer it, so they
+ * are not asked: like printers without a status channel they report
+ * statusSupported: false and are assumed ready while connected.
+ * @param {string|null} printerId - Registered printer ID (null if none is registered)
+ * @param {object} printerManager - The printer's manager
+ * @returns {Promise<object>} Printer status
+ */
+async function getPrinterStatus(printerId, printerManager) {
+  if (resolvePrinterSettings(printerId).language !== 'zpl') {
+    return printerManager.getStatus();
+  }
+  if (!printerManager.isConnected()) {
+    return { connected: false, ready: false, status: 'disconnected' };
+  }
+  return { connected: true, ready: true, status: 'ready', statusSupported: false };
+}
+
+/**
+ * Get the serial numbers a print request would use, without taking them from the counter
+ * @param {object} request - { serial, label, labels, template, data } from the request body
+ * @returns {object|null} { counter, first, step }, or null if no field has a {seq} placeholder
+ */
+function getSerialRange({ serial = {}, label, labels, template, data }) {
+  const values = template !== undefined
+    ? (hasLabelTemplate(template) ? fillTemplate(getLabelTemplate(template), data) : [])
+    : labels ?? label;
+  const counter = findSerialCounter(values, serial);
+  if (counter === null) {
+    return null;
+  }
+  return { counter, first: peekSerial(counter, serial.start), step: serial.step ?? 1 };
+}
+
+/**
+ * Validate the serial options of a print request
+ * @param {object} request - { serial, label, labels, template, data } from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSerialRequest(request) {
+  if (request.serial === undefined) {
+    return null;
+  }
+  const serialError = validateSerialOptions(request.serial);
+  if (serialError) {
+    return serialError;
+  }
+  if (!getSerialRange(request)) {
+    return 'serial needs a {seq} placeholder in a label field';
+  }
+  return null;
+}
+
+/**
+ * Fill in serial numbers for validation: the first number, or the first number of each batch label
+ * @param {object|Array} value - Label, or batch labels
+ * @param {object|null} range - Serial range (see getSerialRange)
+ * @returns {object|Array} Label data with placeholders replaced
+ */
+function fillSerialForValidation(value, range) {
+  if (!range) {
+    return value;
+  }
+  if (!Array.isArray(value)) {
+    return fillSerial(value, range.first);
+  }
+  let sticker = 0;
+  return value.map(label => {
+    const filled = fillSerial(label, getSerialNumber(range, sticker));
+    sticker += (label && Number.isInteger(label.quantity) && label.quantity > 0) ? label.quantity : 1;
+    return filled;
+  });
+}
+
+/**
+ * Validate options shared by all print endpoints
+ * @param {object} options - Request body
+ * @param {object} options.retry - Retry overrides (optional)
+ * @param {string} options.callbackUrl - Webhook URL (optional)
+ * @param {string} options.printerId - Target printer (optional)
+ * @param {string} options.pageConfig - Page config ID (optional)
+ * @param {object} options.printerSettings - Printer tuning overrides (optional)
+ * @param {number} options.startPosition - First free position on the page (optional)
+ * @param {number} options.orientation - Content rotation (optional)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateJobOptions({ retry, callbackUrl, printerId, pageConfig, printerSettings, startPosition, orientation }) {
+  if (pageConfig !== undefined && !hasPageConfig(pageConfig)) {
+    return `Page config '${pageConfig}' not found`;
+  }
+  if (startPosition !== undefined) {
+    const positions = getPositionsPerPage(getPageConfig(pageConfig || 'default'));
+    if (!Number.isInteger(startPosition) || startPosition < 1 || startPosition > positions) {
+      return `startPosition must be an integer between 1 and ${positions}`;
+    }
+  }
+  if (orientation !== undefined && !ORIENTATIONS.includes(orientation)) {
+    return `orientation must be one of: ${ORIENTATIONS.join(', ')}`;
+  }
+  if (printerId !== undefined && !getPrinterRegistry().get(printerId)) {
+    return `Printer '${printerId}' not found`;
+  }
+  if (printerSettings !== undefined) {
+    const settingsError = validatePrinterProfile(printerSettings);
+    if (settingsError) {
+      return `printerSettings: ${settingsError}`;
+    }
+  }
+  if (callbackUrl !== undefined && (typeof callbackUrl !== 'string' || !isValidCallbackUrl(callbackUrl))) {
+    return 'callbackUrl must be an absolute http(s) URL';
+  }
+  return validateRetryOptions(retry);
+}
+
 // ============================================================================
 // API Routes
 // ============================================================================
@@ -41,55 +525,922 @@ app.get('/', (req, res) => {
       'GET /': 'API information',
       'GET /health': 'Health check',
       'GET /printers': 'List available USB printers',
+      'GET /printers/connected': 'List registered printers',
       'POST /printers/connect': 'Connect to a printer',
       'POST /printers/disconnect': 'Disconnect from printer',
+      'DELETE /printers/:id': 'Unregister a printer',
+      'POST /printers/:id/simulate': 'Simulate conditions on a virtual printer',
+      'GET /printers/:id/output': 'Get jobs received by a virtual printer',
+      'DELETE /printers/:id/output': 'Clear virtual printer output',
       'GET /printers/status': 'Get printer status',
+      'GET /printers/settings': 'Get a printer\'s tuning profile',
+      'PUT /printers/settings': 'Set a printer\'s tuning profile',
+      'GET /counters': 'Get serial number counters',
+      'PUT /counters': 'Set a serial number counter',
       'GET /configs': 'Get available page configurations',
+      'POST /configs': 'Create a page configuration',
+      'PUT /configs/:id': 'Update a page configuration',
+      'DELETE /configs/:id': 'Delete a page configuration',
+      'GET /images': 'List stored images',
+      'POST /images': 'Upload an image (PNG/JPEG)',
+      'GET /images/:name': 'Download a stored image',
+      'DELETE /images/:name': 'Delete a stored image',
+      'GET /templates': 'List label templates',
+      'GET /templates/:id': 'Get a label template',
+      'POST /templates': 'Create a label template',
+      'PUT /templates/:id': 'Update a label template',
+      'DELETE /templates/:id': 'Delete a label template',
       'POST /print': 'Add a print job to the queue',
       'POST /print/custom': 'Add a custom TSPL print job',
       'POST /print/batch': 'Add batch print job (multiple unique labels)',
+      'POST /preview': 'Render a label preview (PNG/SVG)',
+      'POST /tspl/validate': 'Check TSPL commands for errors',
       'GET /jobs': 'List all print jobs',
       'GET /jobs/:id': 'Get a specific job',
       'DELETE /jobs/:id': 'Cancel/delete a job',
       'GET /queue/stats': 'Get queue statistics',
-      'POST /queue/clear': 'Clear completed jobs'
+      'POST /queue/clear': 'Clear completed jobs',
+      'GET /events': 'Server-Sent Events stream of job and printer events'
+    }
+  });
+});
+
+/**
+ * GET /health - Health Check
+ */
+app.get('/health', async (req, res) => {
+  const printerManager = getPrinterManager();
+  const printQueue = getPrintQueue();
+  const registry = getPrinterRegistry();
+
+  let printerStatus = null;
+  try {
+    printerStatus = await getPrinterStatus(registry.resolvePrinterId(), printerManager);
+  } catch (error) {
+    logger.warn('Could not get printer status for health check', { error: error.message });
+  }
+
+  // Status of every registered printer
+  const printers = [];
+  for (const printer of registry.list()) {
+    const entry = registry.get(printer.id);
+    let status = null;
+    try {
+      status = await getPrinterStatus(printer.id, entry.manager);
+    } catch (error) {
+      logger.warn('Could not get printer status for health check', { printerId: printer.id, error: error.message });
     }
+    printers.push({
+      id: printer.id,
+      displayName: printer.displayName,
+      connected: printer.connected,
+      status: status ? status.status : 'unknown',
+      ready: status ? status.ready : false,
+      errors: status?.errors || []
+    });
+  }
+
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    printer: {
+      connected: printerManager.isConnected(),
+      status: printerStatus ? printerStatus.status : 'unknown',
+      ready: printerStatus ? printerStatus.ready : false,
+      errors: printerStatus?.errors || []
+    },
+    printers,
+    queue: printQueue.getStats()
   });
 });
 
 /**
- * GET /health - Health Check
+ * GET /printers - List Available Printers
+ */
+app.get('/printers', (req, res) => {
+  try {
+    const printerManager = getPrinterManager();
+    const printers = printerManager.listPrinters();
+
+    res.json({
+      success: true,
+      printers,
+      platform: process.platform,
+      isWindows
+    });
+  } catch (error) {
+    logger.error('Error listing printers', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /printers/connected - List Registered Printers
+ */
+app.get('/printers/connected', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      printers: getPrinterRegistry().list()
+    });
+  } catch (error) {
+    logger.error('Error listing connected printers', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /printers/connect - Connect to Printer
+ * Body (Network, any platform): { host: string, port?: number (default 9100) }
+ * Body (USB/macOS/Linux): { vendorId: number, productId: number }
+ * Body (Windows): { name: string }
+ * Body (Virtual, any platform): { virtual: true, spoolDir?: string, latencyMs?: number, status?: string|string[] }
+ * Optional for all:
+ *   id: string (printer ID, default: 'default' - connecting again with the same ID replaces it)
+ *   displayName: string (human readable name)
+ *   pageConfigs: string[] (page configs loaded in this printer, used to route jobs)
+ *   dpi: number (203, 300 or 600 - default: detected from the printer model, else 203)
+ */
+app.post('/printers/connect', async (req, res) => {
+  try {
+    const {
+      vendorId, productId, name, host, port, virtual, spoolDir, latencyMs, status,
+      id = DEFAULT_PRINTER_ID, displayName, pageConfigs = [], dpi
+    } = req.body;
+    let connection;
+
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'id must be 1-64 letters, digits, "-" or "_"'
+      });
+    }
+    if (!Array.isArray(pageConfigs) || pageConfigs.some(c => typeof c !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'pageConfigs must be an array of page config IDs'
+      });
+    }
+    if (dpi !== undefined) {
+      const dpiError = validateDpi(dpi);
+      if (dpiError) {
+        return res.status(400).json({
+          success: false,
+          error: dpiError
+        });
+      }
+    }
+
+    // Virtual printers need no hardware, network printers are addressed by host,
+    // Windows uses printer name, other platforms use USB IDs
+    if (virtual) {
+      const spoolDirError = spoolDir !== undefined ? validateSpoolDir(spoolDir) : null;
+      if (spoolDirError) {
+        return res.status(400).json({
+          success: false,
+          error: spoolDirError
+        });
+      }
+      const simulationError = validateSimulationOptions({ status, latencyMs });
+      if (simulationError) {
+        return res.status(400).json({
+          success: false,
+          error: simulationError
+        });
+      }
+      connection = { virtual: true, spoolDir, latencyMs, status };
+    } else if (host !== undefined) {
+      if (typeof host !== 'string' || !host) {
+        return res.status(400).json({
+          success: false,
+          error: 'host must be a non-empty string'
+        });
+      }
+      if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+        return res.status(400).json({
+          success: false,
+          error: 'port must be an integer between 1 and 65535'
+        });
+      }
+      connection = { host, port: port || DEFAULT_PRINTER_PORT };
+    } else if (isWindows) {
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          error: 'Printer name is required on Windows'
+        });
+      }
+      connection = { name };
+    } else {
+      if (!vendorId || !productId) {
+        return res.status(400).json({
+          success: false,
+          error: 'vendorId and productId are required'
+        });
+      }
+      connection = { vendorId, productId };
+    }
+
+    // Registering saves the printer to settings for auto-connect on next app start
+    const printer = await getPrinterRegistry().connect({ id, displayName, connection, pageConfigs, dpi });
+    // Pick up any jobs waiting for this printer (e.g. restored after restart)
+    getPrintQueue().resume(printer.id);
+    res.json({
+      success: true,
+      message: 'Connected to printer',
+      printer: connection,
+      id: printer.id,
+      displayName: printer.displayName,
+      dpi: printer.dpi
+    });
+  } catch (error) {
+    logger.error('Error connecting to printer', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /printers/disconnect - Disconnect from Printer
+ * Body: { printerId?: string } (default: the default printer)
+ * The printer stays registered and is reconnected on next app start.
+ */
+app.post('/printers/disconnect', (req, res) => {
+  try {
+    const registry = getPrinterRegistry();
+    const printerId = req.body.printerId || (registry.getDefault() || {}).id;
+
+    if (printerId && !registry.disconnect(printerId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Printer '${printerId}' not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Disconnected from printer'
+    });
+  } catch (error) {
+    logger.error('Error disconnecting from printer', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /printers/:id - Disconnect and Unregister a Printer
+ */
+app.delete('/printers/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!getPrinterRegistry().remove(id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Printer '${id}' not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Printer removed'
+    });
+  } catch (error) {
+    logger.error('Error removing printer', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /printers/:id/simulate - Change Virtual Printer Behaviour
+ * Body: {
+ *   status: string|string[] (optional, conditions to report, e.g. 'paper_out'; [] clears),
+ *   latencyMs: number (optional, simulated transfer time per job),
+ *   failNext: number (optional, fail the next N jobs sent to the printer),
+ *   disconnect: boolean (optional, drop the connection),
+ *   reconnect: boolean (optional, restore a dropped connection)
+ * }
+ */
+app.post('/printers/:id/simulate', (req, res) => {
+  try {
+    const printer = getVirtualPrinter(req.params.id, res);
+    if (!printer) {
+      return;
+    }
+
+    const { status, latencyMs, failNext, disconnect, reconnect } = req.body;
+    const simulationError = validateSimulationOptions({ status, latencyMs, failNext });
+    if (simulationError) {
+      return res.status(400).json({
+        success: false,
+        error: simulationError
+      });
+    }
+
+    const simulation = printer.manager.simulate({ status, latencyMs, failNext, disconnect, reconnect });
+    if (reconnect) {
+      getPrintQueue().resume(printer.id);
+    }
+
+    res.json({
+      success: true,
+      simulation
+    });
+  } catch (error) {
+    logger.error('Error updating virtual printer', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /printers/:id/output - Get Jobs Received by a Virtual Printer
+ */
+app.get('/printers/:id/output', (req, res) => {
+  try {
+    const printer = getVirtualPrinter(req.params.id, res);
+    if (!printer) {
+      return;
+    }
+
+    const output = printer.manager.getOutput();
+    res.json({
+      success: true,
+      count: output.length,
+      output
+    });
+  } catch (error) {
+    logger.error('Error getting virtual printer output', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /printers/:id/output - Clear Jobs Recorded by a Virtual Printer
+ */
+app.delete('/printers/:id/output', (req, res) => {
+  try {
+    const printer = getVirtualPrinter(req.params.id, res);
+    if (!printer) {
+      return;
+    }
+
+    printer.manager.clearOutput();
+    res.json({
+      success: true,
+      message: 'Output cleared'
+    });
+  } catch (error) {
+    logger.error('Error clearing virtual printer output', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /printers/status - Get Printer Status
+ * Query params:
+ *   - printerId: printer to query (optional, default: the default printer)
+ */
+app.get('/printers/status', async (req, res) => {
+  try {
+    const { printerId } = req.query;
+    const registry = getPrinterRegistry();
+    let printerManager = getPrinterManager();
+    let statusPrinterId = registry.resolvePrinterId();
+
+    if (printerId) {
+      const printer = registry.get(printerId);
+      if (!printer) {
+        return res.status(404).json({
+          success: false,
+          error: `Printer '${printerId}' not found`
+        });
+      }
+      printerManager = printer.manager;
+      statusPrinterId = printer.id;
+    }
+
+    const status = await getPrinterStatus(statusPrinterId, printerManager);
+
+    res.json({
+      success: true,
+      status
+    });
+  } catch (error) {
+    logger.error('Error getting printer status', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /printers/settings - Get a Printer's Tuning Profile
+ * Query params:
+ *   - printerId: printer (optional, default: the default printer)
+ */
+app.get('/printers/settings', (req, res) => {
+  try {
+    const printer = getSettingsPrinter(req.query.printerId, res);
+    if (!printer) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      printerId: printer.id,
+      settings: getPrinterProfile(printer.id)
+    });
+  } catch (error) {
+    logger.error('Error getting printer settings', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /printers/settings - Set a Printer's Tuning Profile
+ * Body: {
+ *   printerId: string (optional, default: the default printer),
+ *   density: number (optional, darkness 0-15),
+ *   speed: number (optional, inches per second),
+ *   media: 'gap' | 'blackmark' | 'continuous' (optional, default: 'gap'),
+ *   postPrint: 'none' | 'tear' | 'peel' | 'cut' | 'cut-batch' (optional),
+ *   language: 'tspl' | 'zpl' (optional, default: 'zpl' for Zebra printers detected by USB vendor ID
+ *     or Windows printer name, otherwise 'tspl')
+ * }
+ * Replaces the whole profile; settings left out are not sent to the printer.
+ */
+app.put('/printers/settings', (req, res) => {
+  try {
+    const { printerId, ...profile } = req.body;
+    const printer = getSettingsPrinter(printerId, res);
+    if (!printer) {
+      return;
+    }
+
+    const validationError = validatePrinterProfile(profile);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const settings = savePrinterProfile(printer.id, profile);
+    logger.info('Printer settings saved', { printerId: printer.id, settings });
+    res.json({
+      success: true,
+      printerId: printer.id,
+      settings
+    });
+  } catch (error) {
+    logger.error('Error saving printer settings', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /counters - Get Serial Number Counters
+ * Returns the next number of each counter.
+ */
+app.get('/counters', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      counters: getSerialCounters()
+    });
+  } catch (error) {
+    logger.error('Error getting counters', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /counters - Set a Serial Number Counter
+ * Body: {
+ *   counter: string (required, e.g. 'SN-'),
+ *   next: number | null (required, next number to print; null removes the counter)
+ * }
+ */
+app.put('/counters', (req, res) => {
+  try {
+    const { counter, next } = req.body;
+
+    if (typeof counter !== 'string' || counter.length > 64) {
+      return res.status(400).json({
+        success: false,
+        error: 'counter must be a string of at most 64 characters'
+      });
+    }
+
+    if (next !== null && (!Number.isSafeInteger(next) || next < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'next must be a non-negative integer, or null to remove the counter'
+      });
+    }
+
+    setSerialCounter(counter, next);
+    logger.info('Serial counter set', { counter, next });
+    res.json({
+      success: true,
+      counters: getSerialCounters()
+    });
+  } catch (error) {
+    logger.error('Error setting counter', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /configs - Get Available Page Configurations
+ */
+app.get('/configs', (req, res) => {
+  try {
+    const configs = getAllPageConfigs();
+
+    // Format configs for API response
+    const formattedConfigs = {};
+    for (const [id, config] of Object.entries(configs)) {
+      formattedConfigs[id] = formatPageConfig(id, config);
+    }
+
+    res.json({
+      success: true,
+      configs: formattedConfigs
+    });
+  } catch (error) {
+    logger.error('Error getting configs', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Format a page config for API responses
+ * @param {string} id - Config ID
+ * @param {object} config - Page configuration
+ * @returns {object} Config summary
+ */
+function formatPageConfig(id, config) {
+  return {
+    id,
+    name: config.name,
+    sticker: config.sticker,
+    layout: config.layout,
+    orientation: config.orientation,
+    pageWidth: config.pageWidth,
+    pageHeight: config.pageHeight,
+    builtIn: isBuiltInPageConfig(id)
+  };
+}
+
+/**
+ * POST /configs - Create a Page Configuration
+ * Body: {
+ *   id: string (required, letters, digits, "-" or "_"),
+ *   name: string (optional, default: id),
+ *   sticker: { width: number, height: number } (required, mm),
+ *   layout: {
+ *     columns: number, gap: number, outerMargin: number,
+ *     rows: number (1-20, stickers per column on a sheet), rowGap: number (mm, default: gap)
+ *   } (optional, default: 1 column, 1 row, no gap/margin),
+ *   orientation: 0 | 90 | 180 | 270 (optional, default: 0, clockwise rotation of the sticker content)
+ * }
+ */
+app.post('/configs', (req, res) => {
+  try {
+    const { id, ...data } = req.body;
+
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'id must be 1-64 letters, digits, "-" or "_"'
+      });
+    }
+
+    if (hasPageConfig(id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Page config '${id}' already exists`
+      });
+    }
+
+    const configError = validatePageConfig(data);
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        error: configError
+      });
+    }
+
+    const config = savePageConfig(id, data);
+    logger.info('Page config created', { id });
+    res.status(201).json({
+      success: true,
+      config: formatPageConfig(id, config)
+    });
+  } catch (error) {
+    logger.error('Error creating config', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /configs/:id - Replace a User-Defined Page Configuration
+ * Body: same as POST /configs, without id
+ */
+app.put('/configs/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (isBuiltInPageConfig(id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Page config '${id}' is built in and cannot be changed`
+      });
+    }
+
+    if (!hasPageConfig(id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Page config '${id}' not found`
+      });
+    }
+
+    const data = { ...req.body };
+    delete data.id;
+    const configError = validatePageConfig(data);
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        error: configError
+      });
+    }
+
+    const config = savePageConfig(id, data);
+    logger.info('Page config updated', { id });
+    res.json({
+      success: true,
+      config: formatPageConfig(id, config)
+    });
+  } catch (error) {
+    logger.error('Error updating config', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /configs/:id - Delete a User-Defined Page Configuration
+ * Refused while pending jobs or the default settings still use it.
+ */
+app.delete('/configs/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (isBuiltInPageConfig(id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Page config '${id}' is built in and cannot be deleted`
+      });
+    }
+
+    if (!hasPageConfig(id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Page config '${id}' not found`
+      });
+    }
+
+    const pendingJobs = getPrintQueue().getAllJobs({ status: 'pending' }).filter(job => job.pageConfig === id);
+    if (pendingJobs.length > 0 || settings.getDefaultPageConfig() === id) {
+      return res.status(409).json({
+        success: false,
+        error: pendingJobs.length > 0
+          ? `Page config '${id}' is used by ${pendingJobs.length} pending job(s)`
+          : `Page config '${id}' is the default page config`
+      });
+    }
+
+    deletePageConfig(id);
+    logger.info('Page config deleted', { id });
+    res.json({
+      success: true,
+      message: 'Page config deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting config', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /images - List Stored Images
+ */
+app.get('/images', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      images: listImages()
+    });
+  } catch (error) {
+    logger.error('Error listing images', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /images - Upload an Image
+ * JSON body: { name: string, data: string (base64 PNG/JPEG) }
+ * or a raw image/png or image/jpeg body with ?name=
+ * An image with the same name is replaced.
+ */
+app.post('/images', bodyParser.raw({ type: ['image/png', 'image/jpeg'], limit: MAX_IMAGE_BYTES }), (req, res) => {
+  try {
+    const isRaw = Buffer.isBuffer(req.body);
+    const name = isRaw ? req.query.name : req.body.name;
+    const nameError = validateImageName(name);
+    if (nameError) {
+      return res.status(400).json({
+        success: false,
+        error: nameError
+      });
+    }
+
+    if (!isRaw && typeof req.body.data !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'data must be a base64 string'
+      });
+    }
+    const buffer = isRaw ? req.body : Buffer.from(req.body.data, 'base64');
+    const dataError = validateImageData(buffer);
+    if (dataError) {
+      return res.status(400).json({
+        success: false,
+        error: dataError
+      });
+    }
+
+    const image = saveImage(name, buffer);
+    logger.info('Image stored', { name, bytes: image.bytes });
+    res.status(201).json({
+      success: true,
+      image
+    });
+  } catch (error) {
+    logger.error('Error storing image', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /images/:name - Download a Stored Image
+ */
+app.get('/images/:name', (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!hasImage(name)) {
+      return res.status(404).json({
+        success: false,
+        error: `Image '${name}' not found`
+      });
+    }
+
+    const image = getImage(name);
+    res.set('Content-Type', image.format === 'png' ? 'image/png' : 'image/jpeg');
+    res.send(image.data);
+  } catch (error) {
+    logger.error('Error getting image', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /images/:name - Delete a Stored Image
+ * Refused while pending jobs still use it.
+ */
+app.delete('/images/:name', (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!hasImage(name)) {
+      return res.status(404).json({
+        success: false,
+        error: `Image '${name}' not found`
+      });
+    }
+
+    const usesImage = label => !!label && (label.images || []).some(image => image.name === name);
+    const pendingJobs = getPrintQueue().getAllJobs({ status: 'pending' })
+      .filter(job => (job.isBatch ? job.labels : [job.label]).some(usesImage));
+    const templates = Object.keys(getAllLabelTemplates())
+      .filter(id => getLabelTemplate(id).elements.some(element => element.type === 'image' && element.name === name));
+    if (pendingJobs.length > 0 || templates.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: pendingJobs.length > 0
+          ? `Image '${name}' is used by ${pendingJobs.length} pending job(s)`
+          : `Image '${name}' is used by template(s): ${templates.join(', ')}`
+      });
+    }
+
+    deleteImage(name);
+    logger.info('Image deleted', { name });
+    res.json({
+      success: true,
+      message: 'Image deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting image', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Format a template for API responses
+ * @param {string} id - Template ID
+ * @param {object} template - Label template
+ * @returns {object} Template with the placeholder fields it uses
  */
-app.get('/health', (req, res) => {
-  const printerManager = getPrinterManager();
-  const printQueue = getPrintQueue();
-
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    printer: {
-      connected: printerManager.isConnected()
-    },
-    queue: printQueue.getStats()
-  });
-});
+function formatLabelTemplate(id, template) {
+  return {
+    id,
+    name: template.name,
+    fields: getTemplateFields(template),
+    elements: template.elements
+  };
+}
 
 /**
- * GET /printers - List Available Printers
+ * GET /templates - List Label Templates
  */
-app.get('/printers', (req, res) => {
+app.get('/templates', (req, res) => {
   try {
-    const printerManager = getPrinterManager();
-    const printers = printerManager.listPrinters();
-
+    const templates = Object.entries(getAllLabelTemplates()).map(([id, template]) => formatLabelTemplate(id, template));
     res.json({
       success: true,
-      printers,
-      platform: process.platform,
-      isWindows
+      templates
     });
   } catch (error) {
-    logger.error('Error listing printers', { error: error.message });
+    logger.error('Error listing templates', { error: error.message });
     res.status(500).json({
       success: false,
       error: error.message
@@ -98,49 +1449,24 @@ app.get('/printers', (req, res) => {
 });
 
 /**
- * POST /printers/connect - Connect to Printer
- * Body (USB/macOS/Linux): { vendorId: number, productId: number }
- * Body (Windows): { name: string }
+ * GET /templates/:id - Get a Label Template
  */
-app.post('/printers/connect', (req, res) => {
+app.get('/templates/:id', (req, res) => {
   try {
-    const { vendorId, productId, name } = req.body;
-    const printerManager = getPrinterManager();
-
-    // Windows uses printer name, other platforms use USB IDs
-    if (isWindows) {
-      if (!name) {
-        return res.status(400).json({
-          success: false,
-          error: 'Printer name is required on Windows'
-        });
-      }
-      printerManager.connect({ name });
-      // Save to settings for auto-connect on next app start
-      settings.savePrinter({ name });
-      res.json({
-        success: true,
-        message: 'Connected to printer',
-        printer: { name }
-      });
-    } else {
-      if (!vendorId || !productId) {
-        return res.status(400).json({
-          success: false,
-          error: 'vendorId and productId are required'
-        });
-      }
-      printerManager.connect({ vendorId, productId });
-      // Save to settings for auto-connect on next app start
-      settings.savePrinter({ vendorId, productId });
-      res.json({
-        success: true,
-        message: 'Connected to printer',
-        printer: { vendorId, productId }
+    const { id } = req.params;
+    if (!hasLabelTemplate(id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Template '${id}' not found`
       });
     }
+
+    res.json({
+      success: true,
+      template: formatLabelTemplate(id, getLabelTemplate(id))
+    });
   } catch (error) {
-    logger.error('Error connecting to printer', { error: error.message });
+    logger.error('Error getting template', { error: error.message });
     res.status(500).json({
       success: false,
       error: error.message
@@ -149,19 +1475,47 @@ app.post('/printers/connect', (req, res) => {
 });
 
 /**
- * POST /printers/disconnect - Disconnect from Printer
+ * POST /templates - Create a Label Template
+ * Body: {
+ *   id: string (required, letters, digits, "-" or "_"),
+ *   name: string (optional, default: id),
+ *   elements: [{ type: 'text' | 'barcode' | 'qr' | 'datamatrix' | 'box' | 'line' | 'image', x, y, ... }] (required, mm)
+ * }
  */
-app.post('/printers/disconnect', (req, res) => {
+app.post('/templates', (req, res) => {
   try {
-    const printerManager = getPrinterManager();
-    printerManager.disconnect();
+    const { id, ...data } = req.body;
 
-    res.json({
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'id must be 1-64 letters, digits, "-" or "_"'
+      });
+    }
+
+    if (hasLabelTemplate(id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Template '${id}' already exists`
+      });
+    }
+
+    const templateError = validateLabelTemplate(data);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        error: templateError
+      });
+    }
+
+    const template = saveLabelTemplate(id, data);
+    logger.info('Template created', { id });
+    res.status(201).json({
       success: true,
-      message: 'Disconnected from printer'
+      template: formatLabelTemplate(id, template)
     });
   } catch (error) {
-    logger.error('Error disconnecting from printer', { error: error.message });
+    logger.error('Error creating template', { error: error.message });
     res.status(500).json({
       success: false,
       error: error.message
@@ -170,19 +1524,38 @@ app.post('/printers/disconnect', (req, res) => {
 });
 
 /**
- * GET /printers/status - Get Printer Status
+ * PUT /templates/:id - Replace a Label Template
+ * Body: same as POST /templates, without id
  */
-app.get('/printers/status', (req, res) => {
+app.put('/templates/:id', (req, res) => {
   try {
-    const printerManager = getPrinterManager();
-    const status = printerManager.getStatus();
+    const { id } = req.params;
+
+    if (!hasLabelTemplate(id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Template '${id}' not found`
+      });
+    }
+
+    const data = { ...req.body };
+    delete data.id;
+    const templateError = validateLabelTemplate(data);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        error: templateError
+      });
+    }
 
+    const template = saveLabelTemplate(id, data);
+    logger.info('Template updated', { id });
     res.json({
       success: true,
-      status
+      template: formatLabelTemplate(id, template)
     });
   } catch (error) {
-    logger.error('Error getting printer status', { error: error.message });
+    logger.error('Error updating template', { error: error.message });
     res.status(500).json({
       success: false,
       error: error.message
@@ -191,30 +1564,36 @@ app.get('/printers/status', (req, res) => {
 });
 
 /**
- * GET /configs - Get Available Page Configurations
+ * DELETE /templates/:id - Delete a Label Template
+ * Refused while pending jobs still use it.
  */
-app.get('/configs', (req, res) => {
+app.delete('/templates/:id', (req, res) => {
   try {
-    const configs = getAllPageConfigs();
+    const { id } = req.params;
 
-    // Format configs for API response
-    const formattedConfigs = {};
-    for (const [id, config] of Object.entries(configs)) {
-      formattedConfigs[id] = {
-        name: config.name,
-        sticker: config.sticker,
-        layout: config.layout,
-        pageWidth: config.pageWidth,
-        pageHeight: config.pageHeight
-      };
+    if (!hasLabelTemplate(id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Template '${id}' not found`
+      });
+    }
+
+    const pendingJobs = getPrintQueue().getAllJobs({ status: 'pending' }).filter(job => job.template === id);
+    if (pendingJobs.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Template '${id}' is used by ${pendingJobs.length} pending job(s)`
+      });
     }
 
+    deleteLabelTemplate(id);
+    logger.info('Template deleted', { id });
     res.json({
       success: true,
-      configs: formattedConfigs
+      message: 'Template deleted'
     });
   } catch (error) {
-    logger.error('Error getting configs', { error: error.message });
+    logger.error('Error deleting template', { error: error.message });
     res.status(500).json({
       success: false,
       error: error.message
@@ -232,31 +1611,93 @@ app.get('/configs', (req, res) => {
  *   label: {
  *     qrData: string (required),
  *     title: string (required),
- *     subtitle: string (optional)
+ *     subtitle: string (optional),
+ *     barcodeData: string (optional, barcode layout; defaults to qrData),
+ *     symbology: 'code128' | 'ean13' | 'upca' | 'code39' | 'itf14' (optional, default: 'code128'),
+ *     gs1: { [ai]: string } (optional, GS1 Application Identifiers; replaces barcodeData/qrData),
+ *     images: [{ name | data, x, y, width, height, dither, threshold }] (optional, mm from the sticker's top-left),
+ *     layout: 'barcode' | 'qr' | 'datamatrix' | 'text-only' (optional, default: 'barcode')
  *   },
- *   quantity: number (optional, default: 1)
+ *   template: string (instead of label, template ID),
+ *   data: object (optional, values for the template's {{field}} placeholders),
+ *   quantity: number (optional, default: 1),
+ *   retry: { maxAttempts, backoffMs, backoffMultiplier, maxBackoffMs } (optional, overrides settings),
+ *   callbackUrl: string (optional, webhook notified when the job finishes),
+ *   printerId: string (optional, default: printer loaded with pageConfig, else the default printer),
+ *   printerSettings: { density, speed, media, postPrint, language } (optional, overrides the printer's profile),
+ *   startPosition: number (optional, default: 1, first free position on a partly used page/sheet),
+ *   serial: { counter, start, step } (optional, numbering of {seq} placeholders in label fields),
+ *   orientation: 0 | 90 | 180 | 270 (optional, default: the page config's)
  * }
+ * Labels with a {seq} or {seq:000000} placeholder are numbered from a persisted counter.
  */
 app.post('/print', (req, res) => {
   try {
-    const { pageConfig, padding, horizontalOffset, verticalOffset, label, quantity } = req.body;
+    const {
+      pageConfig, padding, horizontalOffset, verticalOffset, label, template, data, quantity, retry, callbackUrl, printerId,
+      printerSettings, startPosition, serial, orientation
+    } = req.body;
+
+    const serialError = validateSerialRequest({ serial, label, template, data });
+    if (serialError) {
+      return res.status(400).json({
+        success: false,
+        error: serialError
+      });
+    }
+    const serialRange = getSerialRange({ serial, label, template, data });
+
+    const labelError = template !== undefined
+      ? validateTemplateRequest(template, data, label)
+      : validateLabel(fillSerialForValidation(label, serialRange));
+    if (labelError) {
+      return res.status(400).json({
+        success: false,
+        error: labelError
+      });
+    }
+
+    const optionsError = validateJobOptions({
+      retry, callbackUrl, printerId, pageConfig, printerSettings, startPosition, orientation
+    });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      });
+    }
 
-    // Validate required fields - title is required, barcode/qr is optional
-    if (!label || !label.title) {
+    // Generate once up front so layout problems (e.g. an EAN-13 wider than the sticker)
+    // are reported here instead of failing the job later
+    try {
+      generateJobTSPL({
+        pageConfig: pageConfig || 'default', padding, horizontalOffset, verticalOffset, label, template, data, quantity: 1, printerId, printerSettings,
+        startPosition, serial: serialRange, orientation
+      });
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        error: 'label.title is required'
+        error: error.message
       });
     }
 
     const printQueue = getPrintQueue();
     const job = printQueue.addJob({
+      serial: serialRange ? reserveSerials(serialRange.counter, quantity || 1, serial) : undefined,
       pageConfig: pageConfig || 'default',
       padding,
       horizontalOffset,
       verticalOffset,
       label,
-      quantity: quantity || 1
+      template,
+      data,
+      quantity: quantity || 1,
+      retry,
+      callbackUrl,
+      printerId,
+      printerSettings,
+      startPosition,
+      orientation
     });
 
     res.json({
@@ -279,22 +1720,57 @@ app.post('/print', (req, res) => {
 /**
  * POST /print/custom - Add Custom TSPL Print Job
  * Body: {
- *   tspl: string (required - raw TSPL commands)
+ *   tspl: string (required - raw TSPL commands, or ZPL for printers whose profile language is 'zpl'),
+ *   validate: boolean (optional, default: true - reject TSPL with errors, see POST /tspl/validate;
+ *     ZPL is sent unchecked),
+ *   retry: object (optional, same as POST /print),
+ *   callbackUrl: string (optional, same as POST /print),
+ *   printerId: string (optional, same as POST /print)
  * }
  */
 app.post('/print/custom', (req, res) => {
   try {
-    const { tspl } = req.body;
+    const { tspl, validate = true, retry, callbackUrl, printerId } = req.body;
 
-    if (!tspl) {
+    if (!tspl || typeof tspl !== 'string') {
       return res.status(400).json({
         success: false,
         error: 'tspl commands are required'
       });
     }
+    if (typeof validate !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'validate must be a boolean'
+      });
+    }
+
+    const optionsError = validateJobOptions({ retry, callbackUrl, printerId });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      });
+    }
+
+    // Check the commands at the resolution of the printer the job goes to
+    let diagnostics = [];
+    const { language = 'tspl' } = resolvePrinterSettings(getPrinterRegistry().resolvePrinterId({ printerId }));
+    if (validate && language === 'tspl') {
+      const result = lintTSPL(tspl, { dpi: getJobDpi({ printerId }) });
+      diagnostics = result.diagnostics;
+      if (!result.valid) {
+        const firstError = diagnostics.find(diagnostic => diagnostic.severity === 'error');
+        return res.status(400).json({
+          success: false,
+          error: `Invalid TSPL at line ${firstError.line}: ${firstError.message}`,
+          diagnostics
+        });
+      }
+    }
 
     const printQueue = getPrintQueue();
-    const job = printQueue.addCustomJob({ tspl });
+    const job = printQueue.addCustomJob({ tspl, retry, callbackUrl, printerId });
 
     res.json({
       success: true,
@@ -302,7 +1778,8 @@ app.post('/print/custom', (req, res) => {
         id: job.id,
         status: job.status,
         createdAt: job.createdAt
-      }
+      },
+      diagnostics
     });
   } catch (error) {
     logger.error('Error adding custom print job', { error: error.message });
@@ -316,41 +1793,81 @@ app.post('/print/custom', (req, res) => {
 /**
  * POST /print/batch - Add Batch Print Job (multiple unique labels)
  * Body: {
- *   labels: Array<{title: string, subtitle?: string, qrData?: string}> (required)
+ *   labels: Array<label> (required, same fields as the label of POST /print, plus
+ *     quantity: number (optional, default: 1, copies of this label on consecutive stickers))
+ *   layout: 'barcode' | 'qr' | 'datamatrix' | 'text-only' (optional, default: 'qr', for labels without their own layout)
  *   pageConfig: string (optional, defaults to 'default')
  *   padding: number (optional, default: 1.5mm)
  *   horizontalOffset: number (optional, default: 0mm)
  *   verticalOffset: number (optional, default: 0mm)
+ *   retry: object (optional, same as POST /print)
+ *   callbackUrl: string (optional, same as POST /print),
+ *   printerId: string (optional, same as POST /print),
+ *   printerSettings: object (optional, same as POST /print),
+ *   startPosition: number (optional, same as POST /print),
+ *   serial: object (optional, same as POST /print; each sticker gets the next number),
+ *   orientation: number (optional, same as POST /print)
  * }
  *
  * This endpoint fills rows left-to-right with unique labels:
  * - 3 labels → 1 row: [Label1] [Label2] [Label3]
  * - 5 labels → 2 rows: [Label1] [Label2] [Label3] + [Label4] [Label5] [empty]
+ * - 2 labels, the first with quantity 2 → 1 row: [Label1] [Label1] [Label2]
+ * On a sheet (rows > 1) each page is filled row by row before the next page starts.
  */
 app.post('/print/batch', (req, res) => {
   try {
-    const { labels, pageConfig = 'default', padding, horizontalOffset, verticalOffset } = req.body;
+    const {
+      labels, layout, pageConfig = 'default', padding, horizontalOffset, verticalOffset, retry, callbackUrl, printerId,
+      printerSettings, startPosition, serial, orientation
+    } = req.body;
 
-    // Validation
-    if (!labels || !Array.isArray(labels) || labels.length === 0) {
+    const serialError = validateSerialRequest({ serial, labels });
+    if (serialError) {
       return res.status(400).json({
         success: false,
-        error: 'labels array is required and must not be empty'
+        error: serialError
       });
     }
+    const serialRange = getSerialRange({ serial, labels });
 
-    // Validate each label has title
-    for (let i = 0; i < labels.length; i++) {
-      if (!labels[i].title) {
-        return res.status(400).json({
-          success: false,
-          error: `Label at index ${i} is missing required 'title' field`
-        });
-      }
+    const labelsError = validateLabelList(fillSerialForValidation(labels, serialRange), layout);
+    if (labelsError) {
+      return res.status(400).json({
+        success: false,
+        error: labelsError
+      });
+    }
+
+    const optionsError = validateJobOptions({
+      retry, callbackUrl, printerId, pageConfig, printerSettings, startPosition, orientation
+    });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      });
+    }
+
+    // Same up-front generation as POST /print (e.g. DataMatrix data too long for the sticker)
+    try {
+      generateJobTSPL({
+        pageConfig, padding, horizontalOffset, verticalOffset, isBatch: true, labels, layout, printerId, printerSettings, startPosition,
+        serial: serialRange, orientation
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
 
     const printQueue = getPrintQueue();
-    const job = printQueue.addBatchJob({ labels, pageConfig, padding, horizontalOffset, verticalOffset });
+    const job = printQueue.addBatchJob({
+      labels, layout, pageConfig, padding, horizontalOffset, verticalOffset, retry, callbackUrl, printerId, printerSettings, startPosition,
+      serial: serialRange ? reserveSerials(serialRange.counter, countBatchStickers(labels), serial) : undefined,
+      orientation
+    });
 
     res.json({
       success: true,
@@ -358,6 +1875,7 @@ app.post('/print/batch', (req, res) => {
         id: job.id,
         status: job.status,
         labelCount: labels.length,
+        stickerCount: countBatchStickers(labels),
         createdAt: job.createdAt
       }
     });
@@ -367,6 +1885,173 @@ app.post('/print/batch', (req, res) => {
   }
 });
 
+/**
+ * POST /preview - Render a Label Preview
+ * Body: same as POST /print, or same as POST /print/batch (when `labels` is given)
+ *   - dpi: resolution to render at, 203, 300 or 600 (default: that of the printer the job would go to)
+ * Query params:
+ *   - format: 'png' (default) or 'svg'
+ *   - scale: pixels per printer dot, 1-8 (default: 2)
+ *
+ * The image is rendered from the TSPL that would be sent to the printer,
+ * one label per PRINT command, stacked top to bottom. Serial numbers are
+ * shown from the counter's next number but not taken from it. Labels for
+ * ZPL printers are previewed from the same layout written as TSPL.
+ */
+app.post('/preview', (req, res) => {
+  try {
+    const {
+      pageConfig = 'default', padding, horizontalOffset, verticalOffset, label, labels, layout, template, data, quantity, printerId, dpi,
+      printerSettings, startPosition, serial, orientation
+    } = req.body;
+    const format = req.query.format || 'png';
+    const scale = req.query.scale !== undefined ? Number(req.query.scale) : 2;
+    const isBatch = labels !== undefined;
+
+    const serialError = validateSerialRequest({ serial, label, labels, template, data });
+    if (serialError) {
+      return res.status(400).json({
+        success: false,
+        error: serialError
+      });
+    }
+    const serialRange = getSerialRange({ serial, label, labels, template, data });
+
+    let labelError;
+    if (isBatch) {
+      labelError = validateLabelList(fillSerialForValidation(labels, serialRange), layout);
+    } else {
+      labelError = template !== undefined
+        ? validateTemplateRequest(template, data, label)
+        : validateLabel(fillSerialForValidation(label, serialRange));
+    }
+    if (labelError) {
+      return res.status(400).json({
+        success: false,
+        error: labelError
+      });
+    }
+
+    if (!hasPageConfig(pageConfig)) {
+      return res.status(400).json({
+        success: false,
+        error: `Page config '${pageConfig}' not found`
+      });
+    }
+
+    if (format !== 'png' && format !== 'svg') {
+      return res.status(400).json({
+        success: false,
+        error: "format must be 'png' or 'svg'"
+      });
+    }
+
+    if (!Number.isInteger(scale) || scale < 1 || scale > 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'scale must be an integer between 1 and 8'
+      });
+    }
+
+    const optionsError = validateJobOptions({ printerId, pageConfig, printerSettings, startPosition, orientation });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      });
+    }
+
+    const dpiError = dpi !== undefined ? validateDpi(dpi) : null;
+    if (dpiError) {
+      return res.status(400).json({
+        success: false,
+        error: dpiError
+      });
+    }
+    const renderDpi = dpi || getJobDpi({ printerId, pageConfig });
+
+    let tspl;
+    try {
+      tspl = generateJobTSPL({
+        pageConfig, padding, horizontalOffset, verticalOffset, isBatch, labels, layout, label, template, data, quantity: quantity || 1, dpi: renderDpi,
+        printerId, printerSettings: { ...printerSettings, language: 'tspl' }, startPosition, serial: serialRange, orientation
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    const preview = renderPreview(tspl, { format, scale, dpi: renderDpi });
+
+    res.set('Content-Type', preview.contentType);
+    res.set('X-Label-Count', String(preview.labelCount));
+    if (preview.warnings.length > 0) {
+      res.set('X-Preview-Warnings', preview.warnings.join('; ').replace(/[^\x20-\x7E]/g, '?'));
+    }
+    res.send(preview.body);
+  } catch (error) {
+    logger.error('Error rendering preview', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /tspl/validate - Check TSPL Commands
+ * Body: {
+ *   tspl: string (required - raw TSPL commands),
+ *   dpi: number (optional, 203, 300 or 600 - resolution SIZE is converted at,
+ *     default: that of the printer given by printerId, else the default printer)
+ *   printerId: string (optional)
+ * }
+ *
+ * Returns line-numbered diagnostics. Errors make POST /print/custom reject
+ * the TSPL; warnings are reported but printed.
+ */
+app.post('/tspl/validate', (req, res) => {
+  try {
+    const { tspl, dpi, printerId } = req.body;
+
+    if (typeof tspl !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'tspl must be a string'
+      });
+    }
+
+    const dpiError = dpi !== undefined ? validateDpi(dpi) : null;
+    if (dpiError) {
+      return res.status(400).json({
+        success: false,
+        error: dpiError
+      });
+    }
+
+    const optionsError = validateJobOptions({ printerId });
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: optionsError
+      });
+    }
+
+    const result = lintTSPL(tspl, { dpi: dpi || getJobDpi({ printerId }) });
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error validating TSPL', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /jobs - List All Jobs
  * Query params:
@@ -516,6 +2201,17 @@ app.post('/queue/clear', (req, res) => {
   }
 });
 
+/**
+ * GET /events - Server-Sent Events stream
+ * Query params:
+ *   - jobId: only receive events for this job (optional)
+ *
+ * Events:
+ *   - job: { previousStatus, job } on every job status transition
+ *   - printer: { type: 'connected'|'disconnected', printer } on connection changes
+ */
+app.get('/events', handleEventStream);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error', { error: err.message, stack: err.stack });
@@ -539,6 +2235,9 @@ app.use((req, res) => {
  * @returns {Promise<object>} Server instance
  */
 function startApiServer(port = DEFAULT_PORT) {
+  initEventStream();
+  initWebhooks();
+
   return new Promise((resolve, reject) => {
     const server = app.listen(port, () => {
       logger.info(`API Server listening on port ${port}`);
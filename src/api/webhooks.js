@@ -0,0 +1,183 @@
+/**
+ * Outbound webhooks for finished print jobs
+ * Posts a signed JSON payload to the job's callbackUrl and to the globally
+ * configured URLs whenever a job reaches a terminal state.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { getPrintQueue, isFinished, summarizeJob } = require('../printer/print-queue');
+const settings = require('../config/settings');
+
+let initialized = false;
+
+/**
+ * Sign a payload with the webhook secret
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature header value (sha256=<hex>)
+ */
+function signPayload(body, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Build the webhook payload for a job
+ * @param {object} job - Finished job
+ * @returns {object} Payload
+ */
+function buildPayload(job) {
+  return {
+    event: `job.${job.status}`,
+    timestamp: new Date().toISOString(),
+    job: {
+      ...summarizeJob(job),
+      label: job.isBatch ? undefined : job.label,
+      data: job.template ? job.data : undefined,
+      labels: job.isBatch ? job.labels : undefined
+    }
+  };
+}
+
+/**
+ * POST a JSON body to a URL
+ * @param {string} url - Target URL
+ * @param {string} body - Raw JSON body
+ * @param {object} headers - Extra headers
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<number>} HTTP status code
+ */
+function postJson(url, body, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      res.resume(); // Drain response so the socket is released
+      resolve(res.statusCode);
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${timeoutMs}ms`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Deliver a payload to one URL, retrying with exponential backoff
+ * Every attempt is recorded in the job's webhookDeliveries log.
+ * @param {string} jobId - Job ID
+ * @param {string} url - Target URL
+ * @param {object} payload - Payload to send
+ * @param {object} config - Webhook settings
+ */
+async function deliver(jobId, url, payload, config) {
+  const printQueue = getPrintQueue();
+  const body = JSON.stringify(payload);
+  const headers = {
+    'User-Agent': 'label-printer-server',
+    'X-Webhook-Event': payload.event,
+    'X-Webhook-Signature': signPayload(body, config.secret)
+  };
+
+  for (let attempt = 1; attempt <= config.maxAttempts; attempt++) {
+    const delivery = {
+      url,
+      event: payload.event,
+      attempt,
+      timestamp: new Date().toISOString(),
+      statusCode: null,
+      success: false,
+      error: null
+    };
+
+    try {
+      delivery.statusCode = await postJson(url, body, headers, config.timeoutMs);
+      delivery.success = delivery.statusCode >= 200 && delivery.statusCode < 300;
+      if (!delivery.success) {
+        delivery.error = `HTTP ${delivery.statusCode}`;
+      }
+    } catch (error) {
+      delivery.error = error.message;
+    }
+
+    printQueue.recordWebhookDelivery(jobId, delivery);
+
+    if (delivery.success) {
+      logger.info('Webhook delivered', { jobId, url, attempt });
+      return;
+    }
+
+    logger.warn('Webhook delivery failed', { jobId, url, attempt, error: delivery.error });
+    if (attempt < config.maxAttempts) {
+      const delay = config.backoffMs * Math.pow(2, attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  logger.error('Webhook delivery gave up', { jobId, url, attempts: config.maxAttempts });
+}
+
+/**
+ * Send webhooks for a finished job to its callbackUrl and all global URLs
+ * @param {object} job - Finished job
+ */
+function dispatchJobWebhooks(job) {
+  const config = settings.getWebhookSettings();
+  const urls = [...new Set([job.callbackUrl, ...(config.urls || [])].filter(Boolean))];
+
+  if (urls.length === 0) {
+    return;
+  }
+
+  const payload = buildPayload(job);
+  for (const url of urls) {
+    deliver(job.id, url, payload, config).catch(error => {
+      logger.error('Webhook dispatch error', { jobId: job.id, url, error: error.message });
+    });
+  }
+}
+
+/**
+ * Check a callback URL supplied in a request
+ * @param {string} url - URL to check
+ * @returns {boolean} True if it is an absolute http(s) URL
+ */
+function isValidCallbackUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Subscribe to queue events (idempotent)
+ */
+function initWebhooks() {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+
+  getPrintQueue().on('job', ({ job }) => {
+    if (isFinished(job)) {
+      dispatchJobWebhooks(job);
+    }
+  });
+}
+
+module.exports = { initWebhooks, isValidCallbackUrl, signPayload };
@@ -0,0 +1,172 @@
+/**
+ * Image library for logos and icons printed on labels
+ * Images are stored as uploaded in an `images` directory next to config.json,
+ * with an index (images.json) holding their metadata. Labels reference them
+ * by name instead of sending the image with every job.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { decodeImage } = require('../printer/image-bitmap');
+
+// Largest image file accepted
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+const INDEX_FILE = 'images.json';
+
+/**
+ * Get the image directory (next to config.json)
+ * @returns {string} Directory path
+ */
+function getImageDir() {
+  try {
+    return path.join(app.getPath('userData'), 'images');
+  } catch (e) {
+    // Fallback for non-Electron environments
+    return path.join(__dirname, '../../images');
+  }
+}
+
+/**
+ * Read the image index
+ * @returns {object} { [name]: { file, format, width, height, bytes, createdAt } }
+ */
+function readIndex() {
+  const indexPath = path.join(getImageDir(), INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+}
+
+/**
+ * Write the image index
+ * @param {object} index - Image index
+ */
+function writeIndex(index) {
+  fs.writeFileSync(path.join(getImageDir(), INDEX_FILE), JSON.stringify(index, null, 2));
+}
+
+/**
+ * Format an index entry for callers (the file name stays internal)
+ * @param {string} name - Image name
+ * @param {object} entry - Index entry
+ * @returns {object} { name, format, width, height, bytes, createdAt }
+ */
+function toImageInfo(name, entry) {
+  const { format, width, height, bytes, createdAt } = entry;
+  return { name, format, width, height, bytes, createdAt };
+}
+
+/**
+ * Check an image name
+ * @param {*} name - Image name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateImageName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+    return 'name must be 1-64 letters, digits, "-" or "_"';
+  }
+  return null;
+}
+
+/**
+ * Check image file contents
+ * @param {Buffer} buffer - Image file contents
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateImageData(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return 'image data is required';
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    return `image must be at most ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`;
+  }
+  try {
+    decodeImage(buffer);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * List stored images
+ * @returns {Array} Image metadata [{ name, format, width, height, bytes, createdAt }]
+ */
+function listImages() {
+  return Object.entries(readIndex()).map(([name, entry]) => toImageInfo(name, entry));
+}
+
+/**
+ * Check if an image exists
+ * @param {string} name - Image name
+ * @returns {boolean} True if stored
+ */
+function hasImage(name) {
+  return Object.prototype.hasOwnProperty.call(readIndex(), name);
+}
+
+/**
+ * Get a stored image
+ * @param {string} name - Image name
+ * @returns {object} { name, format, width, height, bytes, createdAt, data: Buffer }
+ */
+function getImage(name) {
+  const index = readIndex();
+  if (!Object.prototype.hasOwnProperty.call(index, name)) {
+    throw new Error(`Image '${name}' not found`);
+  }
+  return { ...toImageInfo(name, index[name]), data: fs.readFileSync(path.join(getImageDir(), index[name].file)) };
+}
+
+/**
+ * Store an image, replacing one with the same name
+ * @param {string} name - Image name (validated)
+ * @param {Buffer} buffer - PNG or JPEG file contents (validated)
+ * @returns {object} Image metadata
+ */
+function saveImage(name, buffer) {
+  const { format, width, height } = decodeImage(buffer);
+  const dir = getImageDir();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const index = readIndex();
+  const file = `${name}.${format === 'png' ? 'png' : 'jpg'}`;
+  if (index[name] && index[name].file !== file) {
+    fs.rmSync(path.join(dir, index[name].file), { force: true });
+  }
+  fs.writeFileSync(path.join(dir, file), buffer);
+
+  index[name] = { file, format, width, height, bytes: buffer.length, createdAt: new Date().toISOString() };
+  writeIndex(index);
+  return toImageInfo(name, index[name]);
+}
+
+/**
+ * Delete a stored image
+ * @param {string} name - Image name
+ * @returns {boolean} True if the image existed
+ */
+function deleteImage(name) {
+  const index = readIndex();
+  if (!Object.prototype.hasOwnProperty.call(index, name)) {
+    return false;
+  }
+  fs.rmSync(path.join(getImageDir(), index[name].file), { force: true });
+  delete index[name];
+  writeIndex(index);
+  return true;
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  validateImageName,
+  validateImageData,
+  listImages,
+  hasImage,
+  getImage,
+  saveImage,
+  deleteImage
+};
@@ -0,0 +1,261 @@
+/**
+ * Label templates
+ * A template describes the elements of a sticker (text, barcodes, 2D codes,
+ * boxes, lines and images) in mm from the sticker's top-left corner. String
+ * properties may contain {{field}} placeholders filled from the print request.
+ * Templates are stored in settings.
+ */
+
+const settings = require('./settings');
+const { SYMBOLOGIES } = require('../printer/barcode-symbologies');
+
+const ELEMENT_TYPES = ['text', 'barcode', 'qr', 'datamatrix', 'box', 'line', 'image'];
+const TEXT_ALIGNS = ['left', 'center', 'right'];
+const MAX_ELEMENTS = 100;
+
+// {{field}} or {{ field }}; dots reach into nested data objects
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+// Properties that may contain placeholders
+const PLACEHOLDER_PROPERTIES = ['text', 'data', 'name'];
+
+/**
+ * Validate one template element
+ * @param {object} element - Element
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateElement(element) {
+  if (!element || typeof element !== 'object' || Array.isArray(element)) {
+    return 'must be an object';
+  }
+  if (!ELEMENT_TYPES.includes(element.type)) {
+    return `type must be one of: ${ELEMENT_TYPES.join(', ')}`;
+  }
+
+  const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+  const isNonNegative = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+  const isText = (value) => typeof value === 'string' && value.length > 0;
+
+  for (const key of ['x', 'y']) {
+    if (element[key] !== undefined && !isNonNegative(element[key])) {
+      return `${key} must be a non-negative number (mm)`;
+    }
+  }
+
+  switch (element.type) {
+    case 'text':
+      if (!isText(element.text)) return 'text is required';
+      if (!isPositive(element.width)) return 'width must be a positive number (mm)';
+      if (element.height !== undefined && !isPositive(element.height)) return 'height must be a positive number (mm)';
+      if (element.font !== undefined && (!Number.isInteger(element.font) || element.font < 1 || element.font > 4)) {
+        return 'font must be an integer between 1 and 4';
+      }
+      if (element.maxLines !== undefined && (!Number.isInteger(element.maxLines) || element.maxLines < 1 || element.maxLines > 10)) {
+        return 'maxLines must be an integer between 1 and 10';
+      }
+      for (const key of ['wrap', 'shrink']) {
+        if (element[key] !== undefined && typeof element[key] !== 'boolean') return `${key} must be a boolean`;
+      }
+      if (element.align !== undefined && !TEXT_ALIGNS.includes(element.align)) {
+        return `align must be one of: ${TEXT_ALIGNS.join(', ')}`;
+      }
+      return null;
+
+    case 'barcode':
+      if (!isText(element.data)) return 'data is required';
+      if (!isPositive(element.width) || !isPositive(element.height)) return 'width and height must be positive numbers (mm)';
+      if (element.symbology !== undefined && !Object.prototype.hasOwnProperty.call(SYMBOLOGIES, element.symbology)) {
+        return `symbology must be one of: ${Object.keys(SYMBOLOGIES).join(', ')}`;
+      }
+      return null;
+
+    case 'qr':
+    case 'datamatrix':
+      if (!isText(element.data)) return 'data is required';
+      if (!isPositive(element.size)) return 'size must be a positive number (mm)';
+      return null;
+
+    case 'box':
+      if (!isPositive(element.width) || !isPositive(element.height)) return 'width and height must be positive numbers (mm)';
+      if (element.thickness !== undefined && !isPositive(element.thickness)) return 'thickness must be a positive number (mm)';
+      return null;
+
+    case 'line':
+      if (!isPositive(element.width) || !isPositive(element.height)) return 'width and height must be positive numbers (mm)';
+      return null;
+
+    case 'image':
+      if ((element.name === undefined) === (element.data === undefined)) return 'needs either name or data';
+      if (element.name !== undefined && !isText(element.name)) return 'name must be a string';
+      if (element.data !== undefined && !isText(element.data)) return 'data must be a base64 string';
+      if (!isPositive(element.width) || !isPositive(element.height)) return 'width and height must be positive numbers (mm)';
+      if (element.dither !== undefined && typeof element.dither !== 'boolean') return 'dither must be a boolean';
+      if (element.threshold !== undefined && (!Number.isInteger(element.threshold) || element.threshold < 0 || element.threshold > 255)) {
+        return 'threshold must be an integer between 0 and 255';
+      }
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a label template
+ * @param {object} data - { name?, elements: [...] }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLabelTemplate(data) {
+  if (!data || typeof data !== 'object') {
+    return 'template must be an object';
+  }
+
+  const { name, elements } = data;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 64)) {
+    return 'name must be a non-empty string of at most 64 characters';
+  }
+  if (!Array.isArray(elements) || elements.length === 0 || elements.length > MAX_ELEMENTS) {
+    return `elements must be an array of 1-${MAX_ELEMENTS} elements`;
+  }
+  for (let i = 0; i < elements.length; i++) {
+    const elementError = validateElement(elements[i]);
+    if (elementError) {
+      return `elements[${i}]: ${elementError}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the placeholder fields a template uses
+ * @param {object} template - Label template
+ * @returns {string[]} Field names, in order of first use
+ */
+function getTemplateFields(template) {
+  const fields = new Set();
+  for (const element of template.elements) {
+    for (const key of PLACEHOLDER_PROPERTIES) {
+      if (typeof element[key] === 'string') {
+        for (const match of element[key].matchAll(PLACEHOLDER)) {
+          fields.add(match[1]);
+        }
+      }
+    }
+  }
+  return [...fields];
+}
+
+/**
+ * Replace {{field}} placeholders with values from data
+ * Missing fields are replaced with an empty string.
+ * @param {string} text - Text with placeholders
+ * @param {object} data - Field values
+ * @returns {string} Filled-in text
+ */
+function fillPlaceholders(text, data = {}) {
+  return text.replace(PLACEHOLDER, (match, field) => {
+    const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), data);
+    return value == null ? '' : String(value);
+  });
+}
+
+/**
+ * Fill in a template's elements for one label
+ * @param {object} template - Label template
+ * @param {object} data - Field values
+ * @returns {Array} Elements with placeholders replaced
+ */
+function fillTemplate(template, data) {
+  return template.elements.map(element => {
+    const filled = { ...element };
+    for (const key of PLACEHOLDER_PROPERTIES) {
+      if (typeof filled[key] === 'string') {
+        filled[key] = fillPlaceholders(filled[key], data);
+      }
+    }
+    return filled;
+  });
+}
+
+/**
+ * Fill in defaults for a template
+ * @param {string} templateId - Template ID (default name)
+ * @param {object} data - Validated template data
+ * @returns {object} { name, elements } as stored in settings
+ */
+function normalizeLabelTemplate(templateId, data) {
+  return {
+    name: data.name ? data.name.trim() : templateId,
+    elements: data.elements.map(element => ({ ...element }))
+  };
+}
+
+/**
+ * Check if a template exists
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if stored
+ */
+function hasLabelTemplate(templateId) {
+  return Object.prototype.hasOwnProperty.call(settings.getLabelTemplates(), templateId);
+}
+
+/**
+ * Get a template by ID
+ * @param {string} templateId - Template ID
+ * @returns {object} { name, elements }
+ */
+function getLabelTemplate(templateId) {
+  const templates = settings.getLabelTemplates();
+  if (!Object.prototype.hasOwnProperty.call(templates, templateId)) {
+    throw new Error(`Template '${templateId}' not found`);
+  }
+  return templates[templateId];
+}
+
+/**
+ * Get all templates
+ * @returns {object} { [id]: { name, elements } }
+ */
+function getAllLabelTemplates() {
+  return { ...settings.getLabelTemplates() };
+}
+
+/**
+ * Create or replace a template
+ * @param {string} templateId - Template ID
+ * @param {object} data - Validated template data
+ * @returns {object} Stored template
+ */
+function saveLabelTemplate(templateId, data) {
+  const stored = normalizeLabelTemplate(templateId, data);
+  settings.saveLabelTemplates({ ...settings.getLabelTemplates(), [templateId]: stored });
+  return stored;
+}
+
+/**
+ * Delete a template
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if the template existed
+ */
+function deleteLabelTemplate(templateId) {
+  const templates = { ...settings.getLabelTemplates() };
+  if (!templates[templateId]) {
+    return false;
+  }
+  delete templates[templateId];
+  settings.saveLabelTemplates(templates);
+  return true;
+}
+
+module.exports = {
+  ELEMENT_TYPES,
+  validateLabelTemplate,
+  getTemplateFields,
+  fillPlaceholders,
+  fillTemplate,
+  hasLabelTemplate,
+  getLabelTemplate,
+  getAllLabelTemplates,
+  saveLabelTemplate,
+  deleteLabelTemplate
+};
@@ -1,8 +1,16 @@
 /**
  * Page configurations for different label layouts
  * All measurements are in millimeters and will be converted to inches for TSPL
+ * A page is one row of stickers on a roll, or a sheet of several rows.
+ * Sticker sizes are as fed through the printer; orientation turns the content.
+ * Built-in configs live here; user-defined configs are stored in settings.
  */
 
+const settings = require('./settings');
+
+// Clockwise rotation of the sticker content, in degrees
+const ORIENTATIONS = [0, 90, 180, 270];
+
 const PAGE_CONFIGS = {
   // Default: 3 stickers per row, 33mm x 15mm each
   default: {
@@ -13,9 +21,13 @@ const PAGE_CONFIGS = {
     },
     layout: {
       columns: 3,     // 3 stickers per row
+      rows: 1,        // 1 row per page (roll)
       gap: 3,         // mm - gap between stickers
+      rowGap: 3,      // mm - gap between rows on a sheet
       outerMargin: 1.5 // mm - margin from edge
     },
+    orientation: 0,   // content upright as fed
+
     // Calculated values
     get pageWidth() {
       return (this.sticker.width * this.layout.columns) +
@@ -23,7 +35,9 @@ const PAGE_CONFIGS = {
              (this.layout.outerMargin * 2);
     },
     get pageHeight() {
-      return this.sticker.height + (this.layout.outerMargin * 2);
+      return (this.sticker.height * this.layout.rows) +
+             (this.layout.rowGap * (this.layout.rows - 1)) +
+             (this.layout.outerMargin * 2);
     }
   },
 
@@ -36,20 +50,172 @@ const PAGE_CONFIGS = {
     },
     layout: {
       columns: 2,
+      rows: 1,
       gap: 3,
+      rowGap: 3,
       outerMargin: 1.5
     },
+    orientation: 0,
     get pageWidth() {
       return (this.sticker.width * this.layout.columns) +
              (this.layout.gap * (this.layout.columns - 1)) +
              (this.layout.outerMargin * 2);
     },
     get pageHeight() {
-      return this.sticker.height + (this.layout.outerMargin * 2);
+      return (this.sticker.height * this.layout.rows) +
+             (this.layout.rowGap * (this.layout.rows - 1)) +
+             (this.layout.outerMargin * 2);
     }
   }
 };
 
+/**
+ * Create a page config with computed page size
+ * Configs saved before sheets were supported have one row.
+ * @param {object} data - { name, sticker: { width, height }, layout: { columns, rows, gap, rowGap, outerMargin }, orientation }
+ * @returns {object} Page configuration
+ */
+function createPageConfig(data) {
+  return {
+    name: data.name,
+    sticker: { ...data.sticker },
+    layout: { ...data.layout, rows: data.layout.rows ?? 1, rowGap: data.layout.rowGap ?? data.layout.gap },
+    orientation: data.orientation ?? 0,
+    get pageWidth() {
+      return (this.sticker.width * this.layout.columns) +
+             (this.layout.gap * (this.layout.columns - 1)) +
+             (this.layout.outerMargin * 2);
+    },
+    get pageHeight() {
+      return (this.sticker.height * this.layout.rows) +
+             (this.layout.rowGap * (this.layout.rows - 1)) +
+             (this.layout.outerMargin * 2);
+    }
+  };
+}
+
+/**
+ * Get the number of sticker positions on one page
+ * @param {object} config - Page configuration
+ * @returns {number} columns x rows
+ */
+function getPositionsPerPage(config) {
+  return config.layout.columns * config.layout.rows;
+}
+
+/**
+ * Check if a config ID is built in (cannot be changed or deleted)
+ * @param {string} configId - Config ID
+ * @returns {boolean} True for built-in configs
+ */
+function isBuiltInPageConfig(configId) {
+  return Object.prototype.hasOwnProperty.call(PAGE_CONFIGS, configId);
+}
+
+/**
+ * Validate a user-defined page config
+ * @param {object} data - { name?, sticker: { width, height }, layout?: { columns, rows, gap, rowGap, outerMargin }, orientation? }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePageConfig(data) {
+  if (!data || typeof data !== 'object') {
+    return 'page config must be an object';
+  }
+
+  const { name, sticker, layout = {} } = data;
+  const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+  const isNonNegative = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 64)) {
+    return 'name must be a non-empty string of at most 64 characters';
+  }
+  if (!sticker || !isPositive(sticker.width) || !isPositive(sticker.height)) {
+    return 'sticker.width and sticker.height must be positive numbers (mm)';
+  }
+  if (typeof layout !== 'object' || layout === null) {
+    return 'layout must be an object';
+  }
+  if (layout.columns !== undefined && (!Number.isInteger(layout.columns) || layout.columns < 1 || layout.columns > 10)) {
+    return 'layout.columns must be an integer between 1 and 10';
+  }
+  if (layout.rows !== undefined && (!Number.isInteger(layout.rows) || layout.rows < 1 || layout.rows > 20)) {
+    return 'layout.rows must be an integer between 1 and 20';
+  }
+  if (layout.gap !== undefined && !isNonNegative(layout.gap)) {
+    return 'layout.gap must be a non-negative number (mm)';
+  }
+  if (layout.rowGap !== undefined && !isNonNegative(layout.rowGap)) {
+    return 'layout.rowGap must be a non-negative number (mm)';
+  }
+  if (layout.outerMargin !== undefined && !isNonNegative(layout.outerMargin)) {
+    return 'layout.outerMargin must be a non-negative number (mm)';
+  }
+  if (data.orientation !== undefined && !ORIENTATIONS.includes(data.orientation)) {
+    return `orientation must be one of: ${ORIENTATIONS.join(', ')}`;
+  }
+
+  // The full row must fit on the print head
+  const config = createPageConfig(normalizePageConfig('', data));
+  const maxPageWidth = settings.getMaxPageWidth();
+  if (config.pageWidth > maxPageWidth) {
+    return `Page width ${config.pageWidth}mm exceeds the printer maximum of ${maxPageWidth}mm`;
+  }
+
+  return null;
+}
+
+/**
+ * Fill in defaults for a user-defined page config
+ * @param {string} configId - Config ID (default name)
+ * @param {object} data - Validated page config data
+ * @returns {object} { name, sticker, layout, orientation } as stored in settings
+ */
+function normalizePageConfig(configId, data) {
+  const layout = data.layout || {};
+  return {
+    name: data.name ? data.name.trim() : configId,
+    sticker: { width: data.sticker.width, height: data.sticker.height },
+    layout: {
+      columns: layout.columns ?? 1,
+      rows: layout.rows ?? 1,
+      gap: layout.gap ?? 0,
+      rowGap: layout.rowGap ?? layout.gap ?? 0,
+      outerMargin: layout.outerMargin ?? 0
+    },
+    orientation: data.orientation ?? 0
+  };
+}
+
+/**
+ * Create or replace a user-defined page config
+ * @param {string} configId - Config ID
+ * @param {object} data - Validated page config data
+ * @returns {object} Page configuration
+ */
+function savePageConfig(configId, data) {
+  if (isBuiltInPageConfig(configId)) {
+    throw new Error(`Page config '${configId}' is built in and cannot be changed`);
+  }
+  const stored = normalizePageConfig(configId, data);
+  settings.saveCustomPageConfigs({ ...settings.getCustomPageConfigs(), [configId]: stored });
+  return createPageConfig(stored);
+}
+
+/**
+ * Delete a user-defined page config
+ * @param {string} configId - Config ID
+ * @returns {boolean} True if the config existed
+ */
+function deletePageConfig(configId) {
+  const custom = { ...settings.getCustomPageConfigs() };
+  if (isBuiltInPageConfig(configId) || !custom[configId]) {
+    return false;
+  }
+  delete custom[configId];
+  settings.saveCustomPageConfigs(custom);
+  return true;
+}
+
 /**
  * Convert millimeters to inches
  * @param {number} mm - Value in millimeters
@@ -60,29 +226,55 @@ function mmToInches(mm) {
 }
 
 /**
- * Get page config by ID
+ * Get page config by ID (built-in or user-defined)
  * @param {string} configId - Config ID (default, single_large, etc.)
  * @returns {object} Page configuration
  */
 function getPageConfig(configId = 'default') {
-  const config = PAGE_CONFIGS[configId];
-  if (!config) {
+  if (isBuiltInPageConfig(configId)) {
+    return PAGE_CONFIGS[configId];
+  }
+  const custom = settings.getCustomPageConfigs();
+  if (!Object.prototype.hasOwnProperty.call(custom, configId)) {
     throw new Error(`Page config '${configId}' not found`);
   }
-  return config;
+  return createPageConfig(custom[configId]);
+}
+
+/**
+ * Check if a page config exists
+ * @param {string} configId - Config ID
+ * @returns {boolean} True if built in or user-defined
+ */
+function hasPageConfig(configId) {
+  return isBuiltInPageConfig(configId) ||
+    Object.prototype.hasOwnProperty.call(settings.getCustomPageConfigs(), configId);
 }
 
 /**
- * Get all available page configs
+ * Get all available page configs (built-in first, then user-defined)
  * @returns {object} All page configurations
  */
 function getAllPageConfigs() {
-  return PAGE_CONFIGS;
+  const configs = { ...PAGE_CONFIGS };
+  for (const [id, data] of Object.entries(settings.getCustomPageConfigs())) {
+    if (!isBuiltInPageConfig(id)) {
+      configs[id] = createPageConfig(data);
+    }
+  }
+  return configs;
 }
 
 module.exports = {
   PAGE_CONFIGS,
+  ORIENTATIONS,
   mmToInches,
+  getPositionsPerPage,
   getPageConfig,
-  getAllPageConfigs
+  hasPageConfig,
+  getAllPageConfigs,
+  isBuiltInPageConfig,
+  validatePageConfig,
+  savePageConfig,
+  deletePageConfig
 };
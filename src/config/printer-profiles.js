@@ -0,0 +1,116 @@
+/**
+ * Printer tuning profiles
+ * Each registered printer can have darkness, print speed, media type and a
+ * post-print action, sent in the header of every label it prints, and the
+ * language its labels are written in (TSPL, or ZPL for Zebra printers). Without
+ * a language in the profile, Zebra printers found by USB vendor ID or Windows
+ * printer name get ZPL. Jobs can override single settings. Profiles are
+ * stored in settings by printer ID.
+ */
+
+const settings = require('./settings');
+const { getPrinterRegistry } = require('../printer/printer-registry');
+const { LABEL_LANGUAGES, MEDIA_TYPES, POST_PRINT_COMMANDS } = require('../printer/label-commands');
+
+const PROFILE_KEYS = ['density', 'speed', 'media', 'postPrint', 'language'];
+const MAX_DENSITY = 15;
+const MIN_SPEED = 1;
+const MAX_SPEED = 18;
+
+/**
+ * Validate printer settings (a profile, or per-job overrides)
+ * @param {object} data - { density?, speed?, media?, postPrint?, language? }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePrinterProfile(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'printer settings must be an object';
+  }
+
+  const unknown = Object.keys(data).find(key => !PROFILE_KEYS.includes(key));
+  if (unknown !== undefined) {
+    return `Unknown printer setting '${unknown}'. Available: ${PROFILE_KEYS.join(', ')}`;
+  }
+
+  const { density, speed, media, postPrint, language } = data;
+  if (density !== undefined && (!Number.isInteger(density) || density < 0 || density > MAX_DENSITY)) {
+    return `density must be an integer between 0 and ${MAX_DENSITY}`;
+  }
+  if (speed !== undefined && (typeof speed !== 'number' || !isFinite(speed) || speed < MIN_SPEED || speed > MAX_SPEED)) {
+    return `speed must be a number between ${MIN_SPEED} and ${MAX_SPEED} (inches per second)`;
+  }
+  if (media !== undefined && !MEDIA_TYPES.includes(media)) {
+    return `media must be one of: ${MEDIA_TYPES.join(', ')}`;
+  }
+  if (postPrint !== undefined && !Object.prototype.hasOwnProperty.call(POST_PRINT_COMMANDS, postPrint)) {
+    return `postPrint must be one of: ${Object.keys(POST_PRINT_COMMANDS).join(', ')}`;
+  }
+  if (language !== undefined && !LABEL_LANGUAGES.includes(language)) {
+    return `language must be one of: ${LABEL_LANGUAGES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Get a printer's profile
+ * @param {string} printerId - Printer ID
+ * @returns {object} Settings, empty if none are stored
+ */
+function getPrinterProfile(printerId) {
+  const profiles = settings.getPrinterProfiles();
+  return Object.prototype.hasOwnProperty.call(profiles, printerId) ? { ...profiles[printerId] } : {};
+}
+
+/**
+ * Replace a printer's profile
+ * @param {string} printerId - Printer ID
+ * @param {object} data - Validated settings; an empty object clears the profile
+ * @returns {object} Stored settings
+ */
+function savePrinterProfile(printerId, data) {
+  const profiles = { ...settings.getPrinterProfiles() };
+  const stored = {};
+  for (const key of PROFILE_KEYS) {
+    if (data[key] !== undefined) {
+      stored[key] = data[key];
+    }
+  }
+
+  if (Object.keys(stored).length > 0) {
+    profiles[printerId] = stored;
+  } else {
+    delete profiles[printerId];
+  }
+  settings.savePrinterProfiles(profiles);
+  return stored;
+}
+
+/**
+ * Get the settings a job prints with: the printer's profile, then the job's overrides
+ * @param {string|null} printerId - Printer the job is routed to
+ * @param {object} overrides - Per-job settings (optional)
+ * @returns {object} Settings
+ */
+function resolvePrinterSettings(printerId, overrides = {}) {
+  const resolved = printerId ? getPrinterProfile(printerId) : {};
+  if (printerId && resolved.language === undefined) {
+    const detected = getPrinterRegistry().getDetectedLanguage(printerId);
+    if (detected) {
+      resolved.language = detected;
+    }
+  }
+  for (const key of PROFILE_KEYS) {
+    if (overrides[key] !== undefined) {
+      resolved[key] = overrides[key];
+    }
+  }
+  return resolved;
+}
+
+module.exports = {
+  PROFILE_KEYS,
+  validatePrinterProfile,
+  getPrinterProfile,
+  savePrinterProfile,
+  resolvePrinterSettings
+};
@@ -0,0 +1,168 @@
+/**
+ * Serial numbers
+ * Label fields may contain a {seq} placeholder, or {seq:000000} to pad the
+ * number with zeros to the placeholder's width. Every printed label gets the
+ * next number. Counters are stored in settings by name - by default the text
+ * before the first placeholder, e.g. 'SN-' for 'SN-{seq:000000}' - so numbers
+ * never repeat across jobs or restarts.
+ */
+
+const settings = require('./settings');
+
+// {seq} or {seq:000}, but not a {{seq}} template field
+const SERIAL_PLACEHOLDER = /(?<!\{)\{seq(?::(0{1,18}))?\}(?!\})/g;
+const MAX_STEP = 1000000;
+const MAX_COUNTER_LENGTH = 64;
+
+/**
+ * Validate serial number options of a print request
+ * @param {object} serial - { counter?, start?, step? }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSerialOptions(serial) {
+  if (!serial || typeof serial !== 'object' || Array.isArray(serial)) {
+    return 'serial must be an object';
+  }
+
+  const { counter, start, step } = serial;
+  if (counter !== undefined && (typeof counter !== 'string' || counter.length > MAX_COUNTER_LENGTH)) {
+    return `serial.counter must be a string of at most ${MAX_COUNTER_LENGTH} characters`;
+  }
+  if (start !== undefined && (!Number.isSafeInteger(start) || start < 0)) {
+    return 'serial.start must be a non-negative integer';
+  }
+  if (step !== undefined && (!Number.isInteger(step) || step < 1 || step > MAX_STEP)) {
+    return `serial.step must be an integer between 1 and ${MAX_STEP}`;
+  }
+  return null;
+}
+
+/**
+ * Find the first string containing a serial placeholder
+ * @param {*} value - String, array or object (searched depth first)
+ * @returns {string|null} The string, or null if there is none
+ */
+function findSerialText(value) {
+  if (typeof value === 'string') {
+    SERIAL_PLACEHOLDER.lastIndex = 0;
+    return SERIAL_PLACEHOLDER.test(value) ? value : null;
+  }
+  if (value && typeof value === 'object') {
+    for (const item of Object.values(value)) {
+      const text = findSerialText(item);
+      if (text !== null) {
+        return text;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the counter a print request numbers its labels with
+ * @param {*} values - Label data searched for placeholders
+ * @param {object} serial - Serial options (optional)
+ * @returns {string|null} Counter name, or null if no field has a placeholder
+ */
+function findSerialCounter(values, serial = {}) {
+  const text = findSerialText(values);
+  if (text === null) {
+    return null;
+  }
+  if (serial.counter !== undefined) {
+    return serial.counter;
+  }
+  SERIAL_PLACEHOLDER.lastIndex = 0;
+  return text.slice(0, SERIAL_PLACEHOLDER.exec(text).index);
+}
+
+/**
+ * Replace serial placeholders with a number
+ * @param {*} value - String, array or object; other values are returned as is
+ * @param {number} number - Serial number
+ * @returns {*} Copy of value with placeholders replaced
+ */
+function fillSerial(value, number) {
+  if (typeof value === 'string') {
+    return value.replace(SERIAL_PLACEHOLDER, (match, zeros = '') => String(number).padStart(zeros.length, '0'));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillSerial(item, number));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillSerial(item, number)]));
+  }
+  return value;
+}
+
+/**
+ * Get the serial number of the i-th label of a range
+ * @param {object} range - { first, step }
+ * @param {number} index - Label index (0-based)
+ * @returns {number} Serial number
+ */
+function getSerialNumber(range, index) {
+  return range.first + (index * range.step);
+}
+
+/**
+ * Get the next number of a counter without using it
+ * A start value below numbers already printed continues after them instead.
+ * @param {string} counter - Counter name
+ * @param {number} start - First number of a new counter (optional, default: 1)
+ * @returns {number} Next serial number
+ */
+function peekSerial(counter, start) {
+  const counters = settings.getSerialCounters();
+  const next = Object.prototype.hasOwnProperty.call(counters, counter) ? counters[counter] : undefined;
+  const first = start ?? next ?? 1;
+  return next !== undefined && first < next ? next : first;
+}
+
+/**
+ * Take numbers from a counter for a job
+ * @param {string} counter - Counter name
+ * @param {number} count - Number of labels
+ * @param {object} serial - { start?, step? }
+ * @returns {object} { counter, first, step }
+ */
+function reserveSerials(counter, count, serial = {}) {
+  const step = serial.step ?? 1;
+  const first = peekSerial(counter, serial.start);
+  settings.saveSerialCounters({ ...settings.getSerialCounters(), [counter]: first + (count * step) });
+  return { counter, first, step };
+}
+
+/**
+ * Get all counters
+ * @returns {object} { [counter]: next number }
+ */
+function getSerialCounters() {
+  return { ...settings.getSerialCounters() };
+}
+
+/**
+ * Set the next number of a counter
+ * @param {string} counter - Counter name
+ * @param {number|null} next - Next number; null removes the counter
+ */
+function setSerialCounter(counter, next) {
+  const counters = { ...settings.getSerialCounters() };
+  if (next === null) {
+    delete counters[counter];
+  } else {
+    counters[counter] = next;
+  }
+  settings.saveSerialCounters(counters);
+}
+
+module.exports = {
+  validateSerialOptions,
+  findSerialCounter,
+  fillSerial,
+  getSerialNumber,
+  peekSerial,
+  reserveSerials,
+  getSerialCounters,
+  setSerialCounter
+};
@@ -1,4 +1,5 @@
 const { app } = require('electron');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
@@ -6,6 +7,7 @@ const CONFIG_FILE = 'config.json';
 const DEFAULT_CONFIG = {
   version: '1.0.0',
   printer: null,
+  printers: [],           // Registered printers: { id, displayName, connection, pageConfigs }
   network: {
     port: 9632
   },
@@ -13,12 +15,31 @@ const DEFAULT_CONFIG = {
     pageConfig: 'default',
     padding: 1.5,
     horizontalOffset: 0,
-    verticalOffset: 0
+    verticalOffset: 0,
+    maxPageWidth: 108,        // mm - widest row the printer can print (4.25" head)
+    textFonts: [],            // .ttf/.otf files for non-ASCII text, tried before the bundled font
+    retry: {
+      maxAttempts: 3,         // Total attempts including the first one
+      backoffMs: 2000,        // Delay before the first retry
+      backoffMultiplier: 2,   // Delay grows by this factor after each attempt
+      maxBackoffMs: 60000     // Upper bound for the delay
+    }
   },
+  pageConfigs: {},        // User-defined page configs: { [id]: { name, sticker, layout } }
+  templates: {},          // Label templates: { [id]: { name, elements } }
+  printerProfiles: {},    // Printer tuning: { [printerId]: { density, speed, media, postPrint, language } }
+  serialCounters: {},     // Next serial number per prefix: { [prefix]: number }
   startup: {
     launchOnBoot: false,
     startMinimized: false
   },
+  webhooks: {
+    urls: [],             // Called for every job that reaches a terminal state
+    secret: null,         // HMAC-SHA256 signing secret (generated on first use)
+    maxAttempts: 5,
+    backoffMs: 1000,
+    timeoutMs: 5000
+  },
   setupCompleted: false
 };
 
@@ -111,11 +132,47 @@ function getSavedPrinter() {
 
 /**
  * Save printer selection
+ * Also updates the 'default' entry of the registered printers.
  */
 function savePrinter(printer) {
+  const cfg = getConfig();
+  if (Array.isArray(cfg.printers) && cfg.printers.length > 0) {
+    const others = cfg.printers.filter(p => p.id !== 'default');
+    const existing = cfg.printers.find(p => p.id === 'default');
+    const defaultPrinter = { id: 'default', displayName: null, pageConfigs: [], ...existing, connection: printer };
+    saveConfig({ printer, printers: [defaultPrinter, ...others] });
+    return;
+  }
   saveConfig({ printer });
 }
 
+/**
+ * Get registered printers
+ * Falls back to the single legacy `printer` entry as the 'default' printer.
+ */
+function getSavedPrinters() {
+  const cfg = getConfig();
+  if (Array.isArray(cfg.printers) && cfg.printers.length > 0) {
+    return cfg.printers;
+  }
+  if (cfg.printer) {
+    return [{ id: 'default', displayName: null, connection: cfg.printer, pageConfigs: [] }];
+  }
+  return [];
+}
+
+/**
+ * Save registered printers
+ * The 'default' printer is also kept in `printer` for the setup wizard.
+ */
+function savePrinters(printers) {
+  const defaultPrinter = printers.find(p => p.id === 'default');
+  saveConfig({
+    printers,
+    printer: defaultPrinter ? defaultPrinter.connection : getConfig().printer
+  });
+}
+
 /**
  * Get network settings
  */
@@ -218,6 +275,121 @@ function saveVerticalOffset(verticalOffset) {
   });
 }
 
+/**
+ * Get maximum page width (in mm) the printer can print
+ */
+function getMaxPageWidth() {
+  const cfg = getConfig();
+  return cfg.defaults?.maxPageWidth ?? DEFAULT_CONFIG.defaults.maxPageWidth;
+}
+
+/**
+ * Get font files used for non-ASCII text, in fallback order
+ */
+function getTextFonts() {
+  const cfg = getConfig();
+  return Array.isArray(cfg.defaults?.textFonts) ? cfg.defaults.textFonts : [];
+}
+
+/**
+ * Get user-defined page configs
+ */
+function getCustomPageConfigs() {
+  const cfg = getConfig();
+  return cfg.pageConfigs || {};
+}
+
+/**
+ * Save user-defined page configs
+ */
+function saveCustomPageConfigs(pageConfigs) {
+  saveConfig({ pageConfigs });
+}
+
+/**
+ * Get label templates
+ */
+function getLabelTemplates() {
+  const cfg = getConfig();
+  return cfg.templates || {};
+}
+
+/**
+ * Save label templates
+ */
+function saveLabelTemplates(templates) {
+  saveConfig({ templates });
+}
+
+/**
+ * Get printer tuning profiles
+ */
+function getPrinterProfiles() {
+  const cfg = getConfig();
+  return cfg.printerProfiles || {};
+}
+
+/**
+ * Save printer tuning profiles
+ */
+function savePrinterProfiles(printerProfiles) {
+  saveConfig({ printerProfiles });
+}
+
+/**
+ * Get serial number counters
+ */
+function getSerialCounters() {
+  const cfg = getConfig();
+  return cfg.serialCounters || {};
+}
+
+/**
+ * Save serial number counters
+ */
+function saveSerialCounters(serialCounters) {
+  saveConfig({ serialCounters });
+}
+
+/**
+ * Get retry policy for failed print jobs
+ */
+function getRetryPolicy() {
+  const cfg = getConfig();
+  return { ...DEFAULT_CONFIG.defaults.retry, ...cfg.defaults?.retry };
+}
+
+/**
+ * Save retry policy for failed print jobs
+ */
+function saveRetryPolicy(retry) {
+  const cfg = getConfig();
+  saveConfig({
+    defaults: { ...cfg.defaults, retry: { ...getRetryPolicy(), ...retry } }
+  });
+}
+
+/**
+ * Get webhook settings
+ * Generates and saves a signing secret the first time it is needed.
+ */
+function getWebhookSettings() {
+  const cfg = getConfig();
+  const webhooks = { ...DEFAULT_CONFIG.webhooks, ...cfg.webhooks };
+  if (!webhooks.secret) {
+    webhooks.secret = crypto.randomBytes(32).toString('hex');
+    saveConfig({ webhooks });
+  }
+  return webhooks;
+}
+
+/**
+ * Save webhook settings
+ */
+function saveWebhookSettings(webhooks) {
+  saveConfig({ webhooks: { ...getWebhookSettings(), ...webhooks } });
+}
+
 /**
  * Reset configuration to defaults
  */
@@ -234,6 +406,8 @@ module.exports = {
   completeSetup,
   getSavedPrinter,
   savePrinter,
+  getSavedPrinters,
+  savePrinters,
   getNetworkSettings,
   saveNetworkSettings,
   getStartupSettings,
@@ -246,6 +420,20 @@ module.exports = {
   saveHorizontalOffset,
   getVerticalOffset,
   saveVerticalOffset,
+  getMaxPageWidth,
+  getTextFonts,
+  getCustomPageConfigs,
+  saveCustomPageConfigs,
+  getLabelTemplates,
+  saveLabelTemplates,
+  getPrinterProfiles,
+  savePrinterProfiles,
+  getSerialCounters,
+  saveSerialCounters,
+  getRetryPolicy,
+  saveRetryPolicy,
+  getWebhookSettings,
+  saveWebhookSettings,
   resetConfig,
   getConfigPath
 };
@@ -2,7 +2,8 @@ const { app, BrowserWindow, Menu, ipcMain } = require('electron');
 const path = require('path');
 const { startApiServer } = require('./api/server');
 const { logger } = require('./utils/logger');
-const { getPrinterManager } = require('./printer/printer-manager');
+const { getPrinterRegistry } = require('./printer/printer-registry');
+const { getPrintQueue } = require('./printer/print-queue');
 const settings = require('./config/settings');
 
 // Auto-updater (only in production builds)
@@ -207,24 +208,14 @@ ipcMain.handle('wizard-complete', async () => {
     wizardWindow.close();
   }
 
-  // Connect to saved printer
-  const savedPrinter = settings.getSavedPrinter();
-  if (savedPrinter) {
-    try {
-      const printerManager = getPrinterManager();
-      // Support both USB (vendorId/productId) and Windows (name) printers
-      if (savedPrinter.name) {
-        printerManager.connect({ name: savedPrinter.name });
-      } else if (savedPrinter.vendorId && savedPrinter.productId) {
-        printerManager.connect({
-          vendorId: savedPrinter.vendorId,
-          productId: savedPrinter.productId
-        });
-      }
-      logger.info('Connected to saved printer', savedPrinter);
-    } catch (e) {
-      logger.warn('Could not connect to saved printer:', e.message);
-    }
+  // Connect to saved printers (network, Windows and USB)
+  try {
+    const connected = await getPrinterRegistry().restore();
+    logger.info('Connected to saved printers', { connected });
+    // Resume jobs restored from the persisted queue
+    getPrintQueue().resume();
+  } catch (e) {
+    logger.warn('Could not connect to saved printers:', e.message);
   }
 
   // Show main window
@@ -305,24 +296,14 @@ app.whenReady().then(async () => {
     if (!settings.isSetupCompleted()) {
       createWizardWindow();
     } else {
-      // Try to auto-connect to saved printer
-      const savedPrinter = settings.getSavedPrinter();
-      if (savedPrinter) {
-        try {
-          const printerManager = getPrinterManager();
-          // Support both USB (vendorId/productId) and Windows (name) printers
-          if (savedPrinter.name) {
-            printerManager.connect({ name: savedPrinter.name });
-          } else if (savedPrinter.vendorId && savedPrinter.productId) {
-            printerManager.connect({
-              vendorId: savedPrinter.vendorId,
-              productId: savedPrinter.productId
-            });
-          }
-          logger.info('Auto-connected to saved printer', savedPrinter);
-        } catch (e) {
-          logger.warn('Could not auto-connect to printer:', e.message);
-        }
+      // Try to auto-connect to all saved printers
+      try {
+        const connected = await getPrinterRegistry().restore();
+        logger.info('Auto-connected to saved printers', { connected });
+        // Resume jobs restored from the persisted queue
+        getPrintQueue().resume();
+      } catch (e) {
+        logger.warn('Could not auto-connect to printers:', e.message);
       }
 
       // Create main window
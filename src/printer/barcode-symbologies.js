@@ -0,0 +1,644 @@
+/**
+ * Barcode symbologies
+ * Validation and check digits for the symbologies labels can use, and
+ * encoders that turn barcode data into bar/space elements so barcodes can
+ * be measured and rendered without a printer. Element widths are either
+ * module multiples (Code 128, EAN/UPC) or 'narrow'/'wide' (Code 39, ITF).
+ */
+
+/**
+ * Code 128 element widths (bar, space, bar, space, bar, space) for values 0-105
+ */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232'
+];
+const CODE128_STOP = '2331112';
+const CODE128_START = { A: 103, B: 104, C: 105 };
+const CODE128_SWITCH = { A: 101, B: 100, C: 99 };
+const CODE128_FNC1 = 102;
+
+// Group separator: marks an FNC1 in GS1 element strings
+const GS = '\x1D';
+
+/**
+ * Count consecutive digits starting at an index
+ * @param {string} data - Data
+ * @param {number} index - Start index
+ * @returns {number} Run length
+ */
+function digitRun(data, index) {
+  let end = index;
+  while (end < data.length && data[end] >= '0' && data[end] <= '9') {
+    end++;
+  }
+  return end - index;
+}
+
+/**
+ * Pick code set A or B for the next characters
+ * A is only needed for control characters, which B cannot encode.
+ * @param {string} data - Data
+ * @param {number} index - Start index
+ * @param {boolean} gs1 - GS stands for FNC1 (available in every set)
+ * @returns {string} 'A' or 'B'
+ */
+function pickTextSet(data, index, gs1 = false) {
+  for (let i = index; i < data.length; i++) {
+    const code = data.charCodeAt(i);
+    if (gs1 && data[i] === GS) {
+      continue;
+    }
+    if (code < 32) {
+      return 'A';
+    }
+    if (code >= 96) {
+      return 'B';
+    }
+  }
+  return 'B';
+}
+
+/**
+ * Encode data as Code 128, switching between code sets A, B and C
+ * the way printers do for the TSPL "128" (auto) barcode type:
+ * runs of 4+ digits use set C, control characters use set A, everything else set B.
+ * GS1-128 starts with FNC1 and encodes each GS in the element string as FNC1.
+ * @param {string} data - ASCII data (GS1 element string when gs1 is set)
+ * @param {object} options - Options
+ * @param {boolean} options.gs1 - Encode as GS1-128
+ * @returns {number[]} Symbol values including start and check, excluding stop
+ */
+function encodeCode128Values(data, options = {}) {
+  const { gs1 = false } = options;
+  for (let i = 0; i < data.length; i++) {
+    if (data.charCodeAt(i) > 127) {
+      throw new Error(`Code 128 cannot encode character '${data[i]}'`);
+    }
+  }
+
+  const values = [];
+  let set;
+  let i = 0;
+
+  const leadingDigits = digitRun(data, 0);
+  if (leadingDigits >= 4 || (leadingDigits === data.length && leadingDigits % 2 === 0 && leadingDigits > 0)) {
+    set = 'C';
+  } else {
+    set = pickTextSet(data, 0, gs1);
+  }
+  values.push(CODE128_START[set]);
+  if (gs1) {
+    values.push(CODE128_FNC1);
+  }
+
+  while (i < data.length) {
+    if (gs1 && data[i] === GS) {
+      values.push(CODE128_FNC1);
+      i++;
+      continue;
+    }
+
+    if (set === 'C') {
+      if (digitRun(data, i) >= 2) {
+        values.push(parseInt(data.substr(i, 2), 10));
+        i += 2;
+        continue;
+      }
+      set = pickTextSet(data, i, gs1);
+      values.push(CODE128_SWITCH[set]);
+      continue;
+    }
+
+    // Switch to C for long digit runs (an odd run keeps its first digit in A/B)
+    const run = digitRun(data, i);
+    if (run >= 6 || (run >= 4 && i + run === data.length)) {
+      if (run % 2 === 1) {
+        values.push(data.charCodeAt(i) - 32);
+        i++;
+      }
+      set = 'C';
+      values.push(CODE128_SWITCH.C);
+      continue;
+    }
+
+    const code = data.charCodeAt(i);
+    if (set === 'B' && code < 32) {
+      set = 'A';
+      values.push(CODE128_SWITCH.A);
+    } else if (set === 'A' && code >= 96) {
+      set = 'B';
+      values.push(CODE128_SWITCH.B);
+    }
+
+    values.push(set === 'A' && code < 32 ? code + 64 : code - 32);
+    i++;
+  }
+
+  return addCode128Checksum(values);
+}
+
+/**
+ * Append the Code 128 check value
+ * @param {number[]} values - Symbol values starting with a start code
+ * @returns {number[]} The same array
+ */
+function addCode128Checksum(values) {
+  const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+  values.push(checksum);
+  return values;
+}
+
+/**
+ * Format Code 128 values as TSPL "128M" (manual) data
+ * Start, code set changes and FNC1 become !nnn control codes; data values are
+ * written as characters (digit pairs in set C).
+ * @param {number[]} values - Values including start and check
+ * @returns {string} 128M data
+ */
+function toCode128Manual(values) {
+  let set = null;
+  let result = '';
+
+  // The printer adds the check value itself
+  for (const value of values.slice(0, -1)) {
+    if (value >= 103) {
+      set = { 103: 'A', 104: 'B', 105: 'C' }[value];
+      result += `!${value}`;
+    } else if (set === 'C' && value < 100) {
+      result += String(value).padStart(2, '0');
+    } else if (value >= 96) {
+      // 99 = code C, 100/101 = code B/A (or FNC4 in B/A), 102 = FNC1
+      if (value === 99) {
+        set = 'C';
+      } else if (value === 100 && set !== 'B') {
+        set = 'B';
+      } else if (value === 101 && set !== 'A') {
+        set = 'A';
+      }
+      result += `!${String(value).padStart(3, '0')}`;
+    } else {
+      if (set === 'A' && value >= 64) {
+        throw new Error('Control characters cannot be written as 128M data');
+      }
+      const char = String.fromCharCode(value + 32);
+      if (char === '!') {
+        throw new Error("'!' cannot be printed in 128M barcodes");
+      }
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse TSPL "128M" data into Code 128 values
+ * @param {string} data - 128M data with !nnn control codes
+ * @returns {object} { values, text } - values include check; text is the data without controls
+ */
+function parseCode128Manual(data) {
+  const values = [];
+  let set = null;
+  let text = '';
+  let i = 0;
+
+  while (i < data.length) {
+    const control = data[i] === '!' && /^\d{3}$/.test(data.substr(i + 1, 3)) ? Number(data.substr(i + 1, 3)) : null;
+
+    if (control !== null) {
+      i += 4;
+      if (control >= 103 && control <= 105) {
+        if (values.length > 0) {
+          throw new Error('start code must come first');
+        }
+        set = { 103: 'A', 104: 'B', 105: 'C' }[control];
+      } else if (control < 96 || control > 102) {
+        throw new Error(`invalid control code !${String(control).padStart(3, '0')}`);
+      } else {
+        if (values.length === 0) {
+          values.push(CODE128_START.B);
+          set = 'B';
+        }
+        if (control === 99) {
+          set = 'C';
+        } else if (control === 100 && set !== 'B') {
+          set = 'B';
+        } else if (control === 101 && set !== 'A') {
+          set = 'A';
+        }
+      }
+      values.push(control);
+      continue;
+    }
+
+    if (values.length === 0) {
+      values.push(CODE128_START.B);
+      set = 'B';
+    }
+
+    if (set === 'C') {
+      const pair = data.substr(i, 2);
+      if (!/^\d{2}$/.test(pair)) {
+        throw new Error('code set C needs digit pairs');
+      }
+      values.push(Number(pair));
+      text += pair;
+      i += 2;
+      continue;
+    }
+
+    const code = data.charCodeAt(i);
+    if (code < 32 || code > (set === 'A' ? 95 : 127)) {
+      throw new Error(`code set ${set} cannot encode character '${data[i]}'`);
+    }
+    values.push(code - 32);
+    text += data[i];
+    i++;
+  }
+
+  if (values.length === 0) {
+    throw new Error('no data');
+  }
+  return { values: addCode128Checksum(values), text };
+}
+
+/**
+ * Convert a width pattern string to bar/space elements
+ * @param {string} pattern - Digits, alternating bar and space widths, starting with a bar
+ * @returns {Array} Elements { bar, width }
+ */
+function patternToElements(pattern) {
+  return pattern.split('').map((width, index) => ({ bar: index % 2 === 0, width: Number(width) }));
+}
+
+/**
+ * Convert Code 128 values (including check) to elements
+ * @param {number[]} values - Symbol values
+ * @returns {Array} Elements { bar, width }
+ */
+function code128Elements(values) {
+  const patterns = values.map(value => CODE128_PATTERNS[value]);
+  patterns.push(CODE128_STOP);
+  return patterns.flatMap(patternToElements);
+}
+
+/**
+ * Encode Code 128
+ * @param {string} data - ASCII data
+ * @returns {Array} Elements { bar, width }
+ */
+function encodeCode128(data) {
+  return code128Elements(encodeCode128Values(data));
+}
+
+/**
+ * Encode a GS1 element string as GS1-128
+ * @param {string} elementString - AIs and values, GS where FNC1 separators go
+ * @returns {object} { elements, manual } - manual is the TSPL 128M data
+ */
+function encodeGS1128(elementString) {
+  const values = encodeCode128Values(elementString, { gs1: true });
+  return { elements: code128Elements(values), manual: toCode128Manual(values) };
+}
+
+// EAN/UPC digit patterns (L code, 1 = bar); R = inverted L, G = reversed R
+const EAN_L_PATTERNS = [
+  '0001101', '0011001', '0010011', '0111101', '0100011',
+  '0110001', '0101111', '0111011', '0110111', '0001011'
+];
+// L/G parity of the left half, selected by the first EAN-13 digit
+const EAN_PARITY = [
+  'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+  'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+];
+
+// Code 39 patterns: 9 elements (bar, space, ...), 1 = wide
+const CODE39_PATTERNS = {
+  '0': '000110100', '1': '100100001', '2': '001100001', '3': '101100000', '4': '000110001',
+  '5': '100110000', '6': '001110000', '7': '000100101', '8': '100100100', '9': '001100100',
+  'A': '100001001', 'B': '001001001', 'C': '101001000', 'D': '000011001', 'E': '100011000',
+  'F': '001011000', 'G': '000001101', 'H': '100001100', 'I': '001001100', 'J': '000011100',
+  'K': '100000011', 'L': '001000011', 'M': '101000010', 'N': '000010011', 'O': '100010010',
+  'P': '001010010', 'Q': '000000111', 'R': '100000110', 'S': '001000110', 'T': '000010110',
+  'U': '110000001', 'V': '011000001', 'W': '111000000', 'X': '010010001', 'Y': '110010000',
+  'Z': '011010000', '-': '010000101', '.': '110000100', ' ': '011000100', '$': '010101000',
+  '/': '010100010', '+': '010001010', '%': '000101010', '*': '010010100'
+};
+
+// Interleaved 2 of 5 digit patterns: 5 elements, 1 = wide
+const ITF_PATTERNS = ['00110', '10001', '01001', '11000', '00101', '10100', '01100', '00011', '10010', '01010'];
+
+// Data digits (without check digit) of the fixed-length TSPL types
+const GTIN_LENGTHS = { EAN13: 12, UPCA: 11, ITF14: 13 };
+
+/**
+ * Compute a GTIN (EAN/UPC/ITF-14) check digit
+ * @param {string} digits - Digits without check digit
+ * @returns {number} Check digit
+ */
+function gtinCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Weights 3, 1, 3, ... starting from the rightmost digit
+    const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Convert a bit string (1 = bar) to elements
+ * @param {string} bits - Module bits
+ * @returns {Array} Elements { bar, width }
+ */
+function bitsToElements(bits) {
+  const elements = [];
+  for (const bit of bits) {
+    const bar = bit === '1';
+    const last = elements[elements.length - 1];
+    if (last && last.bar === bar) {
+      last.width++;
+    } else {
+      elements.push({ bar, width: 1 });
+    }
+  }
+  return elements;
+}
+
+/**
+ * Convert a narrow/wide pattern to elements
+ * @param {string} pattern - Element pattern, 1 = wide
+ * @param {boolean} startWithBar - True if the first element is a bar
+ * @returns {Array} Elements { bar, width: 'narrow'|'wide' }
+ */
+function wideNarrowElements(pattern, startWithBar = true) {
+  return pattern.split('').map((wide, index) => ({
+    bar: (index % 2 === 0) === startWithBar,
+    width: wide === '1' ? 'wide' : 'narrow'
+  }));
+}
+
+/**
+ * Append the check digit to GTIN data the way printers do
+ * Printers ignore a supplied check digit and compute their own.
+ * @param {string} data - Data digits, optionally followed by a check digit
+ * @param {string} type - TSPL code type
+ * @param {string} name - Symbology name for messages
+ * @returns {string} Digits including check digit
+ */
+function completeGtin(data, type, name) {
+  const length = GTIN_LENGTHS[type];
+  if (!/^\d+$/.test(data) || (data.length !== length && data.length !== length + 1)) {
+    throw new Error(`${name} requires ${length} digits`);
+  }
+  const digits = data.slice(0, length);
+  return digits + gtinCheckDigit(digits);
+}
+
+/**
+ * Encode EAN-13 (12 data digits; the check digit is added like the printer does)
+ * @param {string} data - 12 digits
+ * @returns {Array} Elements { bar, width }
+ */
+function encodeEAN13(data) {
+  const digits = completeGtin(data, 'EAN13', 'EAN-13');
+  const parity = EAN_PARITY[Number(digits[0])];
+  let bits = '101';
+
+  for (let i = 1; i <= 6; i++) {
+    const l = EAN_L_PATTERNS[Number(digits[i])];
+    if (parity[i - 1] === 'L') {
+      bits += l;
+    } else {
+      // G code: inverted and reversed L code
+      bits += l.split('').map(b => (b === '1' ? '0' : '1')).reverse().join('');
+    }
+  }
+
+  bits += '01010';
+  for (let i = 7; i <= 12; i++) {
+    bits += EAN_L_PATTERNS[Number(digits[i])].split('').map(b => (b === '1' ? '0' : '1')).join('');
+  }
+  bits += '101';
+
+  return bitsToElements(bits);
+}
+
+/**
+ * Encode UPC-A (11 data digits) - an EAN-13 with a leading zero
+ * @param {string} data - 11 digits
+ * @returns {Array} Elements { bar, width }
+ */
+function encodeUPCA(data) {
+  return encodeEAN13('0' + completeGtin(data, 'UPCA', 'UPC-A'));
+}
+
+/**
+ * Encode Code 39 with start/stop characters
+ * @param {string} data - Code 39 characters
+ * @returns {Array} Elements { bar, width: 'narrow'|'wide' }
+ */
+function encodeCode39(data) {
+  const elements = [];
+  const chars = `*${data}*`;
+  for (let i = 0; i < chars.length; i++) {
+    const pattern = CODE39_PATTERNS[chars[i]];
+    if (!pattern) {
+      throw new Error(`Code 39 cannot encode character '${chars[i]}'`);
+    }
+    elements.push(...wideNarrowElements(pattern));
+    if (i < chars.length - 1) {
+      elements.push({ bar: false, width: 'narrow' }); // Inter-character gap
+    }
+  }
+  return elements;
+}
+
+/**
+ * Encode ITF-14 (13 data digits; check digit added)
+ * @param {string} data - 13 digits
+ * @returns {Array} Elements { bar, width: 'narrow'|'wide' }
+ */
+function encodeITF14(data) {
+  const digits = completeGtin(data, 'ITF14', 'ITF-14');
+  const elements = wideNarrowElements('0000');
+
+  for (let i = 0; i < digits.length; i += 2) {
+    // First digit of the pair is carried by the bars, second by the spaces
+    const bars = ITF_PATTERNS[Number(digits[i])];
+    const spaces = ITF_PATTERNS[Number(digits[i + 1])];
+    for (let j = 0; j < 5; j++) {
+      elements.push({ bar: true, width: bars[j] === '1' ? 'wide' : 'narrow' });
+      elements.push({ bar: false, width: spaces[j] === '1' ? 'wide' : 'narrow' });
+    }
+  }
+
+  elements.push(...wideNarrowElements('100'));
+  return elements;
+}
+
+/**
+ * Encoders by TSPL barcode type
+ * Data is in the form sent to the printer (EAN/UPC/ITF without check digit).
+ */
+const ENCODERS = {
+  '128': encodeCode128,
+  '128M': (data) => code128Elements(parseCode128Manual(data).values),
+  'EAN13': encodeEAN13,
+  'UPCA': encodeUPCA,
+  '39': encodeCode39,
+  'ITF14': encodeITF14
+};
+
+/**
+ * Validate a fixed-length GTIN with an optional check digit
+ * @param {string} data - Barcode data
+ * @param {number} length - Data digits without check digit
+ * @param {string} name - Symbology name for messages
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateGtin(data, length, name) {
+  if (!/^\d+$/.test(data) || (data.length !== length && data.length !== length + 1)) {
+    return `${name} data must be ${length} digits, or ${length + 1} digits including the check digit`;
+  }
+  if (data.length === length + 1) {
+    const expected = gtinCheckDigit(data.slice(0, length));
+    if (Number(data[length]) !== expected) {
+      return `${name} check digit is ${data[length]}, expected ${expected}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Symbologies a label can use
+ * - tsplType: BARCODE code type
+ * - twoWidth: uses narrow and wide elements (wide = 3 x narrow)
+ * - truncatable: data may be shortened to fit the sticker
+ * - validate(data): error message or null
+ * - toTsplData(data): data in the form the printer expects
+ */
+const SYMBOLOGIES = {
+  code128: {
+    name: 'Code 128',
+    tsplType: '128',
+    twoWidth: false,
+    truncatable: true,
+    validate: (data) => (/^[\x20-\x7E]+$/.test(data) ? null : 'Code 128 data must be printable ASCII'),
+    toTsplData: (data) => data
+  },
+  ean13: {
+    name: 'EAN-13',
+    tsplType: 'EAN13',
+    twoWidth: false,
+    truncatable: false,
+    validate: (data) => validateGtin(data, 12, 'EAN-13'),
+    toTsplData: (data) => data.slice(0, 12)
+  },
+  upca: {
+    name: 'UPC-A',
+    tsplType: 'UPCA',
+    twoWidth: false,
+    truncatable: false,
+    validate: (data) => validateGtin(data, 11, 'UPC-A'),
+    toTsplData: (data) => data.slice(0, 11)
+  },
+  code39: {
+    name: 'Code 39',
+    tsplType: '39',
+    twoWidth: true,
+    truncatable: true,
+    validate: (data) => (/^[0-9A-Z\-. $/+%]+$/.test(data)
+      ? null
+      : 'Code 39 data may only contain 0-9, A-Z, space and - . $ / + %'),
+    toTsplData: (data) => data
+  },
+  itf14: {
+    name: 'ITF-14',
+    tsplType: 'ITF14',
+    twoWidth: true,
+    truncatable: false,
+    validate: (data) => validateGtin(data, 13, 'ITF-14'),
+    toTsplData: (data) => data.slice(0, 13)
+  }
+};
+
+/**
+ * Get a symbology definition
+ * @param {string} symbology - Symbology ID (default: 'code128')
+ * @returns {object} Symbology definition
+ */
+function getSymbology(symbology = 'code128') {
+  const definition = SYMBOLOGIES[symbology];
+  if (!definition) {
+    throw new Error(`Unknown symbology '${symbology}'. Available: ${Object.keys(SYMBOLOGIES).join(', ')}`);
+  }
+  return definition;
+}
+
+/**
+ * Validate barcode data for a symbology
+ * @param {string} symbology - Symbology ID
+ * @param {string} data - Barcode data
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateBarcodeData(symbology, data) {
+  if (!Object.prototype.hasOwnProperty.call(SYMBOLOGIES, symbology)) {
+    return `Unknown symbology '${symbology}'. Available: ${Object.keys(SYMBOLOGIES).join(', ')}`;
+  }
+  if (typeof data !== 'string' || data.length === 0) {
+    return 'Barcode data must be a non-empty string';
+  }
+  return SYMBOLOGIES[symbology].validate(data);
+}
+
+/**
+ * Encode barcode data for a TSPL barcode type
+ * @param {string} type - TSPL code type, e.g. '128'
+ * @param {string} data - Barcode data
+ * @returns {object} { elements: [{ bar, width }], text } - text is the human readable line
+ */
+function encodeBarcode(type, data) {
+  const encoder = ENCODERS[type];
+  if (!encoder) {
+    throw new Error(`Unsupported barcode type '${type}'`);
+  }
+  const elements = encoder(data);
+  if (type === '128M') {
+    return { elements, text: parseCode128Manual(data).text };
+  }
+  // Human readable text of GTIN symbologies includes the check digit
+  const length = GTIN_LENGTHS[type];
+  const text = length ? data.slice(0, length) + gtinCheckDigit(data.slice(0, length)) : data;
+  return { elements, text };
+}
+
+/**
+ * Check if a TSPL barcode type can be encoded
+ * @param {string} type - TSPL code type
+ * @returns {boolean} True if supported
+ */
+function isSupportedBarcode(type) {
+  return Object.prototype.hasOwnProperty.call(ENCODERS, type);
+}
+
+module.exports = {
+  SYMBOLOGIES,
+  getSymbology,
+  validateBarcodeData,
+  gtinCheckDigit,
+  encodeBarcode,
+  isSupportedBarcode,
+  encodeCode128,
+  encodeGS1128
+};
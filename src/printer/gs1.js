@@ -0,0 +1,264 @@
+/**
+ * GS1 Application Identifier (AI) encoding
+ * Validates structured GS1 data such as { "01": gtin, "10": lot, "17": "261231" }
+ * and turns it into element strings (FNC1-separated, for GS1-128 and GS1
+ * DataMatrix), human readable text with parenthesised AIs, and GS1 Digital
+ * Link URIs (for QR codes).
+ */
+
+const { gtinCheckDigit } = require('./barcode-symbologies');
+
+// Group separator; stands for FNC1 between variable-length fields
+const GS = '\x1D';
+
+// Default resolver for GS1 Digital Link URIs
+const DIGITAL_LINK_DOMAIN = 'https://id.gs1.org';
+
+// AIs starting with these two digits have a predefined length and need no separator
+const PREDEFINED_LENGTH_PREFIXES = [
+  '00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20',
+  '31', '32', '33', '34', '35', '36', '41'
+];
+
+// GS1 AI encodable character set 82
+const CSET_82 = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]+$/;
+
+/**
+ * Supported AIs
+ * - format: 'n' (digits) or 'an' (character set 82), or 'date' (YYMMDD)
+ * - length: exact length, or maxLength for variable-length fields
+ * - check: last digit is a GS1 check digit (may be omitted and is then computed)
+ */
+const AI_DEFINITIONS = {
+  '00': { name: 'SSCC', format: 'n', length: 18, check: true },
+  '01': { name: 'GTIN', format: 'n', length: 14, check: true },
+  '02': { name: 'CONTENT', format: 'n', length: 14, check: true },
+  '10': { name: 'BATCH/LOT', format: 'an', maxLength: 20 },
+  '11': { name: 'PROD DATE', format: 'date' },
+  '12': { name: 'DUE DATE', format: 'date' },
+  '13': { name: 'PACK DATE', format: 'date' },
+  '15': { name: 'BEST BEFORE', format: 'date' },
+  '16': { name: 'SELL BY', format: 'date' },
+  '17': { name: 'USE BY/EXPIRY', format: 'date' },
+  '20': { name: 'VARIANT', format: 'n', length: 2 },
+  '21': { name: 'SERIAL', format: 'an', maxLength: 20 },
+  '22': { name: 'CPV', format: 'an', maxLength: 20 },
+  '30': { name: 'VAR. COUNT', format: 'n', maxLength: 8 },
+  '37': { name: 'COUNT', format: 'n', maxLength: 8 },
+  '240': { name: 'ADDITIONAL ID', format: 'an', maxLength: 30 },
+  '241': { name: 'CUST. PART No.', format: 'an', maxLength: 30 },
+  '250': { name: 'SECONDARY SERIAL', format: 'an', maxLength: 30 },
+  '400': { name: 'ORDER NUMBER', format: 'an', maxLength: 30 },
+  '401': { name: 'GINC', format: 'an', maxLength: 30 },
+  '402': { name: 'GSIN', format: 'n', length: 17, check: true },
+  '410': { name: 'SHIP TO LOC', format: 'n', length: 13, check: true },
+  '411': { name: 'BILL TO', format: 'n', length: 13, check: true },
+  '412': { name: 'PURCHASE FROM', format: 'n', length: 13, check: true },
+  '413': { name: 'SHIP FOR LOC', format: 'n', length: 13, check: true },
+  '414': { name: 'LOC No.', format: 'n', length: 13, check: true },
+  '420': { name: 'SHIP TO POST', format: 'an', maxLength: 20 },
+  '422': { name: 'ORIGIN', format: 'n', length: 3 },
+  '7003': { name: 'EXPIRY TIME', format: 'n', length: 10 }
+};
+
+// Trade measures: 31nn-36nn, last digit is the decimal point position
+const MEASURE_AI = /^3[1-6]\d[0-5]$/;
+
+// Digital Link primary keys and their path qualifiers, in URI order
+const DIGITAL_LINK_KEYS = {
+  '01': ['22', '10', '21'],
+  '00': [],
+  '414': ['254']
+};
+
+/**
+ * Get the definition of an AI
+ * @param {string} ai - Application Identifier
+ * @returns {object|null} Definition, or null if unsupported
+ */
+function getAIDefinition(ai) {
+  if (Object.prototype.hasOwnProperty.call(AI_DEFINITIONS, ai)) {
+    return AI_DEFINITIONS[ai];
+  }
+  if (MEASURE_AI.test(ai)) {
+    return { name: 'MEASURE', format: 'n', length: 6 };
+  }
+  return null;
+}
+
+/**
+ * Check a YYMMDD date (day 00 means end of month)
+ * @param {string} value - Date
+ * @returns {boolean} True if valid
+ */
+function isValidDate(value) {
+  if (!/^\d{6}$/.test(value)) {
+    return false;
+  }
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  if (month < 1 || month > 12) {
+    return false;
+  }
+  // Use a leap year so 29 February is accepted
+  const daysInMonth = new Date(Date.UTC(2000, month, 0)).getUTCDate();
+  return day <= daysInMonth;
+}
+
+/**
+ * Validate one AI value
+ * @param {string} ai - Application Identifier
+ * @param {*} value - Value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAIValue(ai, value) {
+  const definition = getAIDefinition(ai);
+  if (!definition) {
+    return `GS1 AI (${ai}) is not supported`;
+  }
+  if (typeof value !== 'string' || value.length === 0) {
+    return `GS1 AI (${ai}) must be a non-empty string`;
+  }
+
+  if (definition.format === 'date') {
+    return isValidDate(value) ? null : `GS1 AI (${ai}) must be a date in YYMMDD format`;
+  }
+
+  if (definition.format === 'n' && !/^\d+$/.test(value)) {
+    return `GS1 AI (${ai}) must contain digits only`;
+  }
+  if (definition.format === 'an' && !CSET_82.test(value)) {
+    return `GS1 AI (${ai}) contains characters outside the GS1 character set`;
+  }
+
+  if (definition.length) {
+    // The check digit may be left out and is then computed
+    const allowed = definition.check ? [definition.length - 1, definition.length] : [definition.length];
+    if (!allowed.includes(value.length)) {
+      return definition.check
+        ? `GS1 AI (${ai}) must be ${definition.length} digits, or ${definition.length - 1} without the check digit`
+        : `GS1 AI (${ai}) must be ${definition.length} characters`;
+    }
+    if (definition.check && value.length === definition.length) {
+      const expected = gtinCheckDigit(value.slice(0, -1));
+      if (Number(value[value.length - 1]) !== expected) {
+        return `GS1 AI (${ai}) check digit is ${value[value.length - 1]}, expected ${expected}`;
+      }
+    }
+  } else if (value.length > definition.maxLength) {
+    return `GS1 AI (${ai}) must be at most ${definition.maxLength} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate structured GS1 data
+ * @param {object} data - AI to value map, e.g. { "01": "09501101530003", "17": "261231" }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateGS1(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'gs1 must be an object of Application Identifiers and values';
+  }
+  const ais = Object.keys(data);
+  if (ais.length === 0) {
+    return 'gs1 must contain at least one Application Identifier';
+  }
+  for (const ai of ais) {
+    const error = validateAIValue(ai, data[ai]);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize GS1 data into ordered elements with check digits completed
+ * Predefined-length AIs come first so that only variable-length fields
+ * (other than the last one) need an FNC1 separator.
+ * @param {object} data - AI to value map (validated)
+ * @returns {Array} Elements [{ ai, value, separator }]
+ */
+function normalizeGS1(data) {
+  const error = validateGS1(data);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const elements = Object.keys(data).map(ai => {
+    const definition = getAIDefinition(ai);
+    let value = data[ai];
+    if (definition.check && value.length === definition.length - 1) {
+      value += gtinCheckDigit(value);
+    }
+    return { ai, value, predefined: PREDEFINED_LENGTH_PREFIXES.includes(ai.slice(0, 2)) };
+  });
+
+  elements.sort((a, b) => {
+    if (a.predefined !== b.predefined) {
+      return a.predefined ? -1 : 1;
+    }
+    return a.ai.localeCompare(b.ai);
+  });
+
+  return elements.map(({ ai, value, predefined }, index) => ({
+    ai,
+    value,
+    separator: !predefined && index < elements.length - 1
+  }));
+}
+
+/**
+ * Build the element string, with GS where an FNC1 separator is needed
+ * @param {Array} elements - Normalized elements
+ * @returns {string} Element string (without the leading FNC1)
+ */
+function toElementString(elements) {
+  return elements.map(({ ai, value, separator }) => ai + value + (separator ? GS : '')).join('');
+}
+
+/**
+ * Build human readable text with parenthesised AIs
+ * @param {Array} elements - Normalized elements
+ * @param {string} separator - Placed between element strings (e.g. ' ' to allow wrapping)
+ * @returns {string} e.g. "(01)09501101530003(17)261231(10)AB-123"
+ */
+function toHumanReadable(elements, separator = '') {
+  return elements.map(({ ai, value }) => `(${ai})${value}`).join(separator);
+}
+
+/**
+ * Build a GS1 Digital Link URI (the GS1 encoding for QR codes)
+ * @param {Array} elements - Normalized elements
+ * @param {string} domain - Resolver domain (default: https://id.gs1.org)
+ * @returns {string} URI, e.g. https://id.gs1.org/01/09501101530003/10/AB-123?17=261231
+ */
+function toDigitalLink(elements, domain = DIGITAL_LINK_DOMAIN) {
+  const byAI = new Map(elements.map(({ ai, value }) => [ai, value]));
+  const key = Object.keys(DIGITAL_LINK_KEYS).find(ai => byAI.has(ai));
+  if (!key) {
+    throw new Error(`GS1 QR codes need a primary key AI: ${Object.keys(DIGITAL_LINK_KEYS).join(', ')}`);
+  }
+
+  const pathAIs = [key, ...DIGITAL_LINK_KEYS[key].filter(ai => byAI.has(ai))];
+  const path = pathAIs.map(ai => `/${ai}/${encodeURIComponent(byAI.get(ai))}`).join('');
+  const query = elements
+    .filter(({ ai }) => !pathAIs.includes(ai))
+    .map(({ ai, value }) => `${ai}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  return domain.replace(/\/+$/, '') + path + (query ? `?${query}` : '');
+}
+
+module.exports = {
+  GS,
+  AI_DEFINITIONS,
+  getAIDefinition,
+  validateGS1,
+  normalizeGS1,
+  toElementString,
+  toHumanReadable,
+  toDigitalLink
+};
@@ -0,0 +1,130 @@
+/**
+ * Convert PNG/JPEG images to 1-bit bitmaps for TSPL BITMAP
+ * Images are flattened onto white, scaled to fit a box at printer resolution
+ * and dithered (Floyd-Steinberg) or thresholded to black and white.
+ */
+
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+// Largest decoded image accepted (pixels), to bound memory use
+const MAX_IMAGE_PIXELS = 16e6;
+
+/**
+ * Detect the image format from its signature
+ * @param {Buffer} buffer - Image file contents
+ * @returns {string|null} 'png', 'jpeg', or null if unsupported
+ */
+function detectImageFormat(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'jpeg';
+  }
+  return null;
+}
+
+/**
+ * Decode an image to grayscale, flattened onto white
+ * @param {Buffer} buffer - PNG or JPEG file contents
+ * @returns {object} { format, width, height, gray: Uint8Array }
+ */
+function decodeImage(buffer) {
+  const format = detectImageFormat(buffer);
+  if (!format) {
+    throw new Error('Unsupported image format (PNG or JPEG expected)');
+  }
+
+  let image;
+  try {
+    image = format === 'png'
+      ? PNG.sync.read(buffer)
+      : jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 256 });
+  } catch (error) {
+    throw new Error(`Cannot decode ${format.toUpperCase()} image: ${error.message}`);
+  }
+
+  const { width, height, data } = image;
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw new Error(`Image is too large (${width}x${height})`);
+  }
+
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const luminance = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    const alpha = data[i * 4 + 3] / 255;
+    gray[i] = Math.round(luminance * alpha + 255 * (1 - alpha));
+  }
+  return { format, width, height, gray };
+}
+
+/**
+ * Scale a grayscale image by averaging the source pixels under each target pixel
+ * @param {object} image - { width, height, gray }
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Float32Array} Target gray values
+ */
+function resample(image, width, height) {
+  const out = new Float32Array(width * height);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let row = 0; row < height; row++) {
+    const y0 = Math.floor(row * scaleY);
+    const y1 = Math.max(y0 + 1, Math.floor((row + 1) * scaleY));
+    for (let col = 0; col < width; col++) {
+      const x0 = Math.floor(col * scaleX);
+      const x1 = Math.max(x0 + 1, Math.floor((col + 1) * scaleX));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          sum += image.gray[y * image.width + x];
+        }
+      }
+      out[row * width + col] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return out;
+}
+
+/**
+ * Convert an image to a 1-bit bitmap that fits a box, keeping its aspect ratio
+ * @param {Buffer} buffer - PNG or JPEG file contents
+ * @param {number} maxWidth - Box width in dots
+ * @param {number} maxHeight - Box height in dots
+ * @param {object} options - { dither: Floyd-Steinberg (default true), threshold: 0-255 (default 128) }
+ * @returns {object} { width, height, pixels } - 1 = printed
+ */
+function imageToBitmap(buffer, maxWidth, maxHeight, options = {}) {
+  const { dither = true, threshold = 128 } = options;
+  const image = decodeImage(buffer);
+
+  const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const gray = resample(image, width, height);
+
+  const pixels = new Uint8Array(width * height);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const i = row * width + col;
+      const black = gray[i] < threshold;
+      pixels[i] = black ? 1 : 0;
+      if (!dither) continue;
+
+      // Spread the quantization error to unvisited neighbours
+      const error = gray[i] - (black ? 0 : 255);
+      if (col + 1 < width) gray[i + 1] += (error * 7) / 16;
+      if (row + 1 < height) {
+        if (col > 0) gray[i + width - 1] += (error * 3) / 16;
+        gray[i + width] += (error * 5) / 16;
+        if (col + 1 < width) gray[i + width + 1] += error / 16;
+      }
+    }
+  }
+  return { width, height, pixels };
+}
+
+module.exports = { detectImageFormat, decodeImage, imageToBitmap };
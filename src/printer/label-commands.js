@@ -0,0 +1,626 @@
+/**
+ * Label command builders
+ * TSPLGenerator lays out stickers in printer dots and hands each element to
+ * a command builder, which writes it in the printer's language: TSPL for TSC
+ * and compatible printers, or ZPL II for Zebra printers. Both builders take
+ * the same calls, so every layout prints the same in either language.
+ * Positions are TSPL's: an element rotates clockwise around its x,y.
+ */
+
+const QRCode = require('qrcode');
+const { mmToInches } = require('../config/page-configs');
+const { encodeBarcode, encodeGS1128 } = require('./barcode-symbologies');
+const { GS } = require('./gs1');
+const { getDataMatrixSymbol, getAztecSymbol } = require('./matrix-symbologies');
+const { toBitmapData } = require('./text-rasterizer');
+
+/**
+ * Quoted string arguments per TSPL command: name used in errors, and the
+ * longest data accepted (characters, before escaping). Symbol capacity is
+ * checked separately; these bound what reaches the printer's parser.
+ */
+const TSPL_STRINGS = {
+  TEXT: { name: 'Text', maxLength: 255 },
+  BARCODE: { name: 'Barcode data', maxLength: 255 },
+  QRCODE: { name: 'QR code data', maxLength: 7089 },
+  DMATRIX: { name: 'DataMatrix data', maxLength: 3116 },
+  PDF417: { name: 'PDF417 data', maxLength: 2710 },
+  AZTEC: { name: 'Aztec data', maxLength: 3832 }
+};
+
+// C0 control characters and DEL: CR/LF would end the command early
+const CONTROL_CHARACTER = /[\x00-\x1F\x7F]/;
+
+/**
+ * Find the first control character in a string
+ * @param {string} text - Text to check
+ * @returns {object|null} { code: 'U+000A', position } (1-based), or null if there is none
+ */
+function findControlCharacter(text) {
+  const match = CONTROL_CHARACTER.exec(text);
+  if (!match) {
+    return null;
+  }
+  const code = `U+${match[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+  return { code, position: match.index + 1 };
+}
+
+/**
+ * Check and escape data for a quoted TSPL string argument
+ * Double quotes become TSPL's \["] escape. Control characters are rejected
+ * rather than stripped, since a line break in the data could otherwise
+ * inject arbitrary commands into the stream.
+ * @param {string} command - TSPL command the string belongs to, e.g. 'TEXT'
+ * @param {string} value - Data to embed
+ * @returns {string} Escaped data, without the surrounding quotes
+ */
+function encodeTSPLString(command, value) {
+  const { name, maxLength } = TSPL_STRINGS[command];
+  const text = String(value);
+
+  const control = findControlCharacter(text);
+  if (control) {
+    throw new Error(`${name} contains a control character (${control.code}) at position ${control.position}`);
+  }
+  if (text.length > maxLength) {
+    throw new Error(`${name} is too long: ${text.length} characters (maximum ${maxLength})`);
+  }
+  return text.replace(/"/g, '\\["]');
+}
+
+/**
+ * Escape field data for ZPL
+ * The data is sent after ^FH, so ^ and ~ (which would start a command) and
+ * the _ hex indicator itself are written as _XX hex escapes. The same
+ * control character and length checks as for TSPL apply.
+ * @param {string} command - TSPL command of the same element, for the checks (see TSPL_STRINGS)
+ * @param {string} value - Data to embed
+ * @returns {string} ^FH^FD...^FS field
+ */
+function encodeZPLField(command, value) {
+  encodeTSPLString(command, value);
+  const escaped = String(value).replace(/[\^~_]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `^FH^FD${escaped}^FS`;
+}
+
+/**
+ * Media types and how the printer finds the start of each label:
+ * gap = see-through gap between labels, blackmark = printed mark on the back
+ * (where the gap would be), continuous = no separation
+ */
+const MEDIA_TYPES = ['gap', 'blackmark', 'continuous'];
+
+/**
+ * What the printer does after each label: tear-off position, peel off the
+ * liner, cut after every label, or cut once after the job
+ * Each action switches the other modes off, since printers remember them.
+ */
+const POST_PRINT_COMMANDS = {
+  none: ['SET CUTTER OFF', 'SET PEEL OFF', 'SET TEAR OFF'],
+  tear: ['SET CUTTER OFF', 'SET PEEL OFF', 'SET TEAR ON'],
+  peel: ['SET CUTTER OFF', 'SET TEAR OFF', 'SET PEEL ON'],
+  cut: ['SET TEAR OFF', 'SET PEEL OFF', 'SET CUTTER 1'],
+  'cut-batch': ['SET TEAR OFF', 'SET PEEL OFF', 'SET CUTTER BATCH']
+};
+
+// ZPL print modes (^MM) for the same actions; Zebra's delayed cut waits for the end of the job
+const ZPL_PRINT_MODES = {
+  none: 'T',
+  tear: 'T',
+  peel: 'P',
+  cut: 'C',
+  'cut-batch': 'D'
+};
+
+// ZPL media tracking (^MN): web (gap) sensing, black mark, or continuous
+const ZPL_MEDIA_TRACKING = {
+  gap: 'Y',
+  blackmark: 'M',
+  continuous: 'N'
+};
+
+/**
+ * Fixed-pitch ZPL bitmap fonts: matrix height and width, and pitch (width
+ * plus the gap between characters), in dots at magnification 1
+ */
+const ZPL_FONTS = [
+  { name: 'A', height: 9, width: 5, pitch: 6 },
+  { name: 'B', height: 11, width: 7, pitch: 9 },
+  { name: 'D', height: 18, width: 10, pitch: 12 },
+  { name: 'F', height: 26, width: 13, pitch: 16 },
+  { name: 'G', height: 60, width: 40, pitch: 48 }
+];
+const ZPL_MAX_MAGNIFICATION = 10;
+
+/**
+ * Pick the ZPL bitmap font for a printer font cell
+ * Layouts measure text in fixed cells, so the font with the widest pitch not
+ * wider than the cell is used (then the closest height), and the rest of the
+ * cell is added as extra space between characters. On a tie the larger base
+ * font wins, as it needs less magnification.
+ * @param {number} cellWidth - Cell width in dots
+ * @param {number} cellHeight - Cell height in dots
+ * @returns {object} { name, height, width, gap } (height and width magnified)
+ */
+function getZPLFont(cellWidth, cellHeight) {
+  let best = null;
+  for (const font of [...ZPL_FONTS].reverse()) {
+    for (let magnification = 1; magnification <= ZPL_MAX_MAGNIFICATION; magnification++) {
+      const pitch = font.pitch * magnification;
+      if (pitch > cellWidth) break;
+      const height = font.height * magnification;
+      if (!best || pitch > best.pitch ||
+          (pitch === best.pitch && Math.abs(height - cellHeight) < Math.abs(best.height - cellHeight))) {
+        best = { name: font.name, height, width: font.width * magnification, pitch };
+      }
+    }
+  }
+  // Cells narrower than font A: font A, overlapping slightly
+  const { name, height, width, pitch } = best || { ...ZPL_FONTS[0] };
+  return { name, height, width, gap: Math.max(0, cellWidth - pitch) };
+}
+
+// ZPL field orientations for clockwise rotations
+const ZPL_ORIENTATIONS = { 0: 'N', 90: 'R', 180: 'I', 270: 'B' };
+
+// ZPL barcode commands by TSPL code type: (orientation, height, human readable Y/N)
+const ZPL_BARCODES = {
+  128: (o, height, readable) => `^BC${o},${height},${readable},N,N,A`,
+  EAN13: (o, height, readable) => `^BE${o},${height},${readable},N`,
+  UPCA: (o, height, readable) => `^BU${o},${height},${readable},N,Y`,
+  39: (o, height, readable) => `^B3${o},N,${height},${readable},N`,
+  ITF14: (o, height, readable) => `^B2${o},${height},${readable},N,Y`
+};
+
+/**
+ * Get the width of a barcode's bars in dots
+ * @param {Array} elements - Encoded elements { bar, width }
+ * @param {number} narrow - Narrow element width in dots
+ * @param {number} wide - Wide element width in dots
+ * @returns {number} Width in dots
+ */
+function getBarsWidth(elements, narrow, wide) {
+  return elements.reduce((total, { width }) => {
+    if (width === 'wide') return total + wide;
+    if (width === 'narrow') return total + narrow;
+    return total + width * narrow;
+  }, 0);
+}
+
+/**
+ * Base of the command builders: collects commands for one job
+ * Builders implement startLabel, text, barcode, gs1Barcode, qrCode,
+ * dataMatrix, pdf417, aztec, bitmap, box, bar and print. Positions and
+ * sizes are in dots; rotations are clockwise (0, 90, 180, 270).
+ */
+class LabelCommandBuilder {
+  /**
+   * @param {string} language - Printer language
+   * @param {string} lineEnd - Separator written after each command
+   */
+  constructor(language, lineEnd) {
+    this.language = language;
+    this.lineEnd = lineEnd;
+    this.commands = [];
+  }
+
+  /**
+   * Get the commands written so far
+   * @returns {string} Commands, one per line
+   */
+  build() {
+    return this.commands.join(this.lineEnd) + this.lineEnd;
+  }
+
+  /**
+   * Discard the commands written so far
+   */
+  reset() {
+    this.commands = [];
+  }
+}
+
+/**
+ * Writes label commands in TSPL
+ */
+class TSPLCommandBuilder extends LabelCommandBuilder {
+  constructor() {
+    super('tspl', '\r\n');
+  }
+
+  /**
+   * Start a label: size, media sensing and printer tuning, then clear the buffer
+   * @param {object} options - { width, height, gap } in mm, and the printer
+   *   settings { media, speed, density, postPrint } (left out: not sent)
+   */
+  startLabel(options) {
+    const { width, height, gap, media = 'gap', speed, density, postPrint } = options;
+
+    this.commands.push(`SIZE ${mmToInches(width)},${mmToInches(height)}`);
+
+    // Media sensing: GAP (gap between rows, offset in inches), BLINE (black mark
+    // height, offset) with the mark where the gap would be, or no gap at all
+    if (media === 'blackmark') {
+      this.commands.push(`BLINE ${mmToInches(gap)},0`);
+    } else if (media === 'continuous') {
+      this.commands.push('GAP 0,0');
+    } else {
+      this.commands.push(`GAP ${mmToInches(gap)},0`);
+    }
+
+    // Print speed (inches per second) and darkness (0-15)
+    if (speed !== undefined) {
+      this.commands.push(`SPEED ${speed}`);
+    }
+    if (density !== undefined) {
+      this.commands.push(`DENSITY ${density}`);
+    }
+    if (postPrint !== undefined) {
+      this.commands.push(...POST_PRINT_COMMANDS[postPrint]);
+    }
+
+    // Set print direction (1 = 180 degree rotation for correct orientation)
+    this.commands.push('DIRECTION 1');
+
+    // Clear label buffer
+    this.commands.push('CLS');
+  }
+
+  /**
+   * Text in a printer font
+   * @param {object} options - { x, y, font, rotation, xMul, yMul, text } (multipliers as sent)
+   */
+  text(options) {
+    const { x, y, font, rotation, xMul, yMul, text } = options;
+    // TEXT syntax: x,y,"font",rotation,x-mul,y-mul,"text"
+    this.commands.push(`TEXT ${x},${y},"${font}",${rotation},${xMul},${yMul},"${encodeTSPLString('TEXT', text)}"`);
+  }
+
+  /**
+   * 1D barcode
+   * @param {object} options - { x, y, type (TSPL code type), data, height, readable, rotation, narrow, wide }
+   */
+  barcode(options) {
+    const { x, y, type, data, height, readable, rotation, narrow, wide } = options;
+    // BARCODE syntax: x,y,"code type",height,readable,rotation,narrow,wide,"data"
+    this.commands.push(`BARCODE ${x},${y},"${type}",${height},${readable ? 1 : 0},${rotation},${narrow},${wide},"${encodeTSPLString('BARCODE', data)}"`);
+  }
+
+  /**
+   * GS1-128 barcode, without human readable text
+   * Sent as "128M" so FNC1 is placed explicitly.
+   * @param {object} options - { x, y, elementString, height, rotation, narrow }
+   */
+  gs1Barcode(options) {
+    const { x, y, elementString, height, rotation, narrow } = options;
+    const { manual } = encodeGS1128(elementString);
+    this.commands.push(`BARCODE ${x},${y},"128M",${height},0,${rotation},${narrow},${narrow * 2},"${encodeTSPLString('BARCODE', manual)}"`);
+  }
+
+  /**
+   * QR code
+   * @param {object} options - { x, y, eccLevel, cellWidth, rotation, data }
+   */
+  qrCode(options) {
+    const { x, y, eccLevel, cellWidth, rotation, data } = options;
+    // QRCODE syntax: x,y,ECC level,cell width,mode,rotation,"data"
+    // Mode: A = Auto
+    this.commands.push(`QRCODE ${x},${y},${eccLevel},${cellWidth},A,${rotation},"${encodeTSPLString('QRCODE', data)}"`);
+  }
+
+  /**
+   * DataMatrix (ECC 200)
+   * @param {object} options - { x, y, size (dots), moduleSize, rotation, data, gs1 }
+   */
+  dataMatrix(options) {
+    const { x, y, size, moduleSize, rotation, data, gs1 } = options;
+    // DMATRIX syntax: x,y,width,height,[c escape char,][x module size,][r rotation,]"data"
+    // GS1: with ~ as escape character, ~1 is FNC1 (leading, and as field separator)
+    const escapeOption = gs1 ? 'c126,' : '';
+    const rotationOption = rotation ? `,r${rotation}` : '';
+    const content = gs1 ? '~1' + data.split(GS).join('~1') : data;
+    this.commands.push(`DMATRIX ${x},${y},${size},${size},${escapeOption}x${moduleSize}${rotationOption},"${encodeTSPLString('DMATRIX', content)}"`);
+  }
+
+  /**
+   * PDF417
+   * @param {object} options - { x, y, width, height (dots), rotation, data, eccLevel, moduleWidth, rowHeight, columns }
+   */
+  pdf417(options) {
+    const { x, y, width, height, rotation, data, eccLevel, moduleWidth, rowHeight, columns } = options;
+    // PDF417 syntax: x,y,width,height,rotation,[options,]"data"
+    // E = error correction level, W = module width, H = row height, C = data columns
+    this.commands.push(`PDF417 ${x},${y},${width},${height},${rotation},E${eccLevel},W${moduleWidth},H${rowHeight},C${columns},"${encodeTSPLString('PDF417', data)}"`);
+  }
+
+  /**
+   * Aztec code
+   * @param {object} options - { x, y, rotation, moduleSize, data }
+   */
+  aztec(options) {
+    const { x, y, rotation, moduleSize, data } = options;
+    // AZTEC syntax: x,y,rotation,module size,ecc (0 = default 23%),flag,menu,symbols,reverse,"data"
+    this.commands.push(`AZTEC ${x},${y},${rotation},${moduleSize},0,0,0,1,0,"${encodeTSPLString('AZTEC', data)}"`);
+  }
+
+  /**
+   * 1-bit image
+   * @param {number} x - Left in dots
+   * @param {number} y - Top in dots
+   * @param {object} image - { width, height, pixels }
+   */
+  bitmap(x, y, image) {
+    // BITMAP syntax: x,y,width in bytes,height,mode (1 = OR),data
+    const { widthBytes, height, data } = toBitmapData(image);
+    this.commands.push(`BITMAP ${x},${y},${widthBytes},${height},1,${data.toString('latin1')}`);
+  }
+
+  /**
+   * Rectangle outline
+   * @param {object} options - { x, y, xEnd, yEnd, thickness }
+   */
+  box(options) {
+    const { x, y, xEnd, yEnd, thickness } = options;
+    // BOX syntax: x_start,y_start,x_end,y_end,line_thickness
+    this.commands.push(`BOX ${x},${y},${xEnd},${yEnd},${thickness}`);
+  }
+
+  /**
+   * Filled rectangle
+   * @param {object} options - { x, y, width, height }
+   */
+  bar(options) {
+    const { x, y, width, height } = options;
+    // BAR syntax: x,y,width,height
+    this.commands.push(`BAR ${x},${y},${width},${height}`);
+  }
+
+  /**
+   * Print the label
+   * @param {number} quantity - Number of labels
+   * @param {number} copies - Copies of each label
+   */
+  print(quantity, copies) {
+    // PRINT quantity,copies
+    this.commands.push(`PRINT ${quantity},${copies}`);
+  }
+}
+
+/**
+ * Writes label commands in ZPL II
+ * Each label is one ^XA...^XZ format. ZPL places a rotated field by the
+ * top-left corner of its bounding box, so positions are converted from
+ * TSPL's rotation origin using the element's size.
+ */
+class ZPLCommandBuilder extends LabelCommandBuilder {
+  constructor() {
+    super('zpl', '\n');
+    this.dotsPerMm = 8;
+  }
+
+  /**
+   * Start a label format with its size, media tracking and printer tuning
+   * @param {object} options - { width, height, gap } in mm, dotsPerMm, and the
+   *   printer settings { media, speed, density, postPrint } (left out: not sent)
+   */
+  startLabel(options) {
+    const { width, height, dotsPerMm, media = 'gap', speed, density, postPrint } = options;
+    this.dotsPerMm = dotsPerMm;
+
+    // ^CI28: field data is UTF-8; ^PW/^LL: label width and length in dots
+    this.commands.push('^XA', '^CI28', `^PW${Math.round(width * dotsPerMm)}`, `^LL${Math.round(height * dotsPerMm)}`, '^LH0,0');
+    this.commands.push(`^MN${ZPL_MEDIA_TRACKING[media]}`);
+
+    // Print rate (inches per second, 1-14) and darkness (~SD 0-30, twice the TSPL scale)
+    if (speed !== undefined) {
+      this.commands.push(`^PR${Math.min(14, Math.max(1, Math.round(speed)))}`);
+    }
+    if (density !== undefined) {
+      this.commands.push(`~SD${String(density * 2).padStart(2, '0')}`);
+    }
+    if (postPrint !== undefined) {
+      this.commands.push(`^MM${ZPL_PRINT_MODES[postPrint]}`);
+    }
+
+    // Zebra printers print formats upright as the label comes out
+    this.commands.push('^PON');
+  }
+
+  /**
+   * Get the ^FO position of a rotated field
+   * @param {number} x - TSPL rotation origin X
+   * @param {number} y - TSPL rotation origin Y
+   * @param {number} width - Field width before rotation, in dots
+   * @param {number} height - Field height before rotation, in dots
+   * @param {number} rotation - 0, 90, 180 or 270
+   * @returns {string} ^FO command
+   * @private
+   */
+  _fieldOrigin(x, y, width, height, rotation) {
+    let left = x;
+    let top = y;
+    if (rotation === 90) {
+      left -= height;
+    } else if (rotation === 180) {
+      left -= width;
+      top -= height;
+    } else if (rotation === 270) {
+      top -= width;
+    }
+    return `^FO${Math.max(0, Math.round(left))},${Math.max(0, Math.round(top))}`;
+  }
+
+  /**
+   * Text in a fixed-pitch bitmap font, one character per printer font cell
+   * (see getZPLFont), so it takes the width the layout measured
+   * @param {object} options - { x, y, rotation, text, cellWidth, cellHeight } (cell in dots, multipliers applied)
+   */
+  text(options) {
+    const { x, y, rotation, text, cellWidth, cellHeight } = options;
+    const font = getZPLFont(cellWidth, cellHeight);
+    const origin = this._fieldOrigin(x, y, text.length * cellWidth, font.height, rotation);
+    // ^FP: extra dots between characters, in the field's own direction
+    const spacing = font.gap > 0 ? `^FPH,${font.gap}` : '';
+    this.commands.push(`${origin}^A${font.name}${ZPL_ORIENTATIONS[rotation]},${font.height},${font.width}${spacing}${encodeZPLField('TEXT', text)}`);
+  }
+
+  /**
+   * 1D barcode
+   * @param {object} options - { x, y, type (TSPL code type), data, height, readable, rotation, narrow, wide }
+   */
+  barcode(options) {
+    const { x, y, type, data, height, readable, rotation, narrow, wide } = options;
+    const command = ZPL_BARCODES[type];
+    if (!command) {
+      throw new Error(`Barcode type '${type}' is not supported in ZPL`);
+    }
+
+    // Bars plus the human readable line below them, as TSPL lays them out
+    const { elements } = encodeBarcode(type, data);
+    const fieldHeight = height + (readable ? Math.round(this.dotsPerMm * 3) : 0);
+    const origin = this._fieldOrigin(x, y, getBarsWidth(elements, narrow, wide), fieldHeight, rotation);
+    const ratio = (wide / narrow).toFixed(1);
+    this.commands.push(`${origin}^BY${narrow},${ratio}${command(ZPL_ORIENTATIONS[rotation], height, readable ? 'Y' : 'N')}${encodeZPLField('BARCODE', data)}`);
+  }
+
+  /**
+   * GS1-128 barcode, without human readable text
+   * Code 128 mode D starts with FNC1; >8 is FNC1 as field separator.
+   * @param {object} options - { x, y, elementString, height, rotation, narrow }
+   */
+  gs1Barcode(options) {
+    const { x, y, elementString, height, rotation, narrow } = options;
+    const { elements } = encodeGS1128(elementString);
+    const origin = this._fieldOrigin(x, y, getBarsWidth(elements, narrow, narrow * 2), height, rotation);
+    const data = elementString.split(GS).join('>8');
+    this.commands.push(`${origin}^BY${narrow}^BC${ZPL_ORIENTATIONS[rotation]},${height},N,N,N,D${encodeZPLField('BARCODE', data)}`);
+  }
+
+  /**
+   * QR code
+   * ZPL QR codes are always upright; a QR code reads in any orientation, so
+   * only its position follows the rotation.
+   * @param {object} options - { x, y, eccLevel, cellWidth, rotation, data }
+   */
+  qrCode(options) {
+    const { x, y, eccLevel, cellWidth, rotation, data } = options;
+    const size = QRCode.create(data, { errorCorrectionLevel: eccLevel }).modules.size * cellWidth;
+    const origin = this._fieldOrigin(x, y, size, size, rotation);
+    // ^BQ: model 2, magnification; data is prefixed with the ECC level and A (automatic input)
+    this.commands.push(`${origin}^BQN,2,${cellWidth}${encodeZPLField('QRCODE', `${eccLevel}A,${data}`)}`);
+  }
+
+  /**
+   * DataMatrix (ECC 200)
+   * @param {object} options - { x, y, moduleSize, rotation, data, gs1 }
+   */
+  dataMatrix(options) {
+    const { x, y, moduleSize, rotation, data, gs1 } = options;
+    const symbol = getDataMatrixSymbol(data, { gs1 });
+    const size = (symbol ? symbol.size : 0) * moduleSize;
+    const origin = this._fieldOrigin(x, y, size, size, rotation);
+
+    // ^BX: module size, ECC 200, format 6 (full 8-bit); GS1 uses ` as escape character, `1 is FNC1
+    const escapeOption = gs1 ? ',`' : '';
+    const content = gs1 ? '`1' + data.split(GS).join('`1') : data;
+    this.commands.push(`${origin}^BX${ZPL_ORIENTATIONS[rotation]},${moduleSize},200,0,0,6${escapeOption}${encodeZPLField('DMATRIX', content)}`);
+  }
+
+  /**
+   * PDF417
+   * @param {object} options - { x, y, rotation, data, eccLevel, moduleWidth, rowHeight, columns, rows }
+   */
+  pdf417(options) {
+    const { x, y, rotation, data, eccLevel, moduleWidth, rowHeight, columns, rows } = options;
+    const width = (17 * columns + 69) * moduleWidth;
+    const origin = this._fieldOrigin(x, y, width, rows * rowHeight, rotation);
+    this.commands.push(`${origin}^BY${moduleWidth}^B7${ZPL_ORIENTATIONS[rotation]},${rowHeight},${eccLevel},${columns},${rows},N${encodeZPLField('PDF417', data)}`);
+  }
+
+  /**
+   * Aztec code
+   * @param {object} options - { x, y, rotation, moduleSize, data }
+   */
+  aztec(options) {
+    const { x, y, rotation, moduleSize, data } = options;
+    const symbol = getAztecSymbol(data);
+    const size = (symbol ? symbol.size : 0) * moduleSize;
+    const origin = this._fieldOrigin(x, y, size, size, rotation);
+    this.commands.push(`${origin}^B0${ZPL_ORIENTATIONS[rotation]},${moduleSize},N${encodeZPLField('AZTEC', data)}`);
+  }
+
+  /**
+   * 1-bit image as a ^GF graphic field (hex, 1 = printed)
+   * @param {number} x - Left in dots
+   * @param {number} y - Top in dots
+   * @param {object} image - { width, height, pixels }
+   */
+  bitmap(x, y, image) {
+    // TSPL bitmap data prints 0 bits; ZPL prints 1 bits
+    const { widthBytes, data } = toBitmapData(image);
+    const hex = Buffer.from(data.map(byte => ~byte & 0xFF)).toString('hex').toUpperCase();
+    this.commands.push(`^FO${x},${y}^GFA,${data.length},${data.length},${widthBytes},${hex}^FS`);
+  }
+
+  /**
+   * Rectangle outline
+   * @param {object} options - { x, y, xEnd, yEnd, thickness }
+   */
+  box(options) {
+    const { x, y, xEnd, yEnd, thickness } = options;
+    this.commands.push(`^FO${x},${y}^GB${xEnd - x},${yEnd - y},${thickness}^FS`);
+  }
+
+  /**
+   * Filled rectangle: a box whose border is as thick as its smaller side
+   * @param {object} options - { x, y, width, height }
+   */
+  bar(options) {
+    const { x, y, width, height } = options;
+    this.commands.push(`^FO${x},${y}^GB${width},${height},${Math.min(width, height)}^FS`);
+  }
+
+  /**
+   * Print the label and end the format
+   * @param {number} quantity - Number of labels
+   * @param {number} copies - Copies of each label
+   */
+  print(quantity, copies) {
+    this.commands.push(`^PQ${quantity * copies}`, '^XZ');
+  }
+}
+
+/**
+ * Command builders by printer language
+ */
+const COMMAND_BUILDERS = {
+  tspl: TSPLCommandBuilder,
+  zpl: ZPLCommandBuilder
+};
+
+const LABEL_LANGUAGES = Object.keys(COMMAND_BUILDERS);
+
+/**
+ * Create a command builder for a printer language
+ * @param {string} language - 'tspl' (default) or 'zpl'
+ * @returns {LabelCommandBuilder} Builder
+ */
+function createCommandBuilder(language = 'tspl') {
+  const Builder = COMMAND_BUILDERS[language];
+  if (!Builder) {
+    throw new Error(`Unsupported printer language '${language}'. Supported: ${LABEL_LANGUAGES.join(', ')}`);
+  }
+  return new Builder();
+}
+
+module.exports = {
+  LABEL_LANGUAGES,
+  MEDIA_TYPES,
+  POST_PRINT_COMMANDS,
+  LabelCommandBuilder,
+  TSPLCommandBuilder,
+  ZPLCommandBuilder,
+  createCommandBuilder,
+  encodeTSPLString,
+  findControlCharacter
+};
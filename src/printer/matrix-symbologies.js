@@ -0,0 +1,463 @@
+/**
+ * 2D symbologies other than QR
+ * DataMatrix (ECC 200) is fully encoded so labels can be auto-fitted and
+ * previewed. PDF417 and Aztec are only sized: their symbol dimensions are
+ * estimated from the data so module sizes can be chosen to fit a sticker.
+ */
+
+/**
+ * Square ECC 200 symbol sizes: [size, region data size, regions per side, data codewords, ECC codewords, blocks]
+ * 144x144 (uneven blocks) is not supported.
+ */
+const DATAMATRIX_SIZES = [
+  [10, 8, 1, 3, 5, 1],
+  [12, 10, 1, 5, 7, 1],
+  [14, 12, 1, 8, 10, 1],
+  [16, 14, 1, 12, 12, 1],
+  [18, 16, 1, 18, 14, 1],
+  [20, 18, 1, 22, 18, 1],
+  [22, 20, 1, 30, 20, 1],
+  [24, 22, 1, 36, 24, 1],
+  [26, 24, 1, 44, 28, 1],
+  [32, 14, 2, 62, 36, 1],
+  [36, 16, 2, 86, 42, 1],
+  [40, 18, 2, 114, 48, 1],
+  [44, 20, 2, 144, 56, 1],
+  [48, 22, 2, 174, 68, 1],
+  [52, 24, 2, 204, 84, 2],
+  [64, 14, 4, 280, 112, 2],
+  [72, 16, 4, 368, 144, 4],
+  [80, 18, 4, 456, 192, 4],
+  [88, 20, 4, 576, 224, 4],
+  [96, 22, 4, 696, 272, 4],
+  [104, 24, 4, 816, 336, 6],
+  [120, 18, 6, 1050, 408, 6],
+  [132, 20, 6, 1304, 496, 8]
+].map(([size, region, regions, dataCodewords, eccCodewords, blocks]) => ({
+  size, region, regions, dataCodewords, eccCodewords, blocks
+}));
+
+// FNC1 codeword: marks GS1 DataMatrix and separates variable-length GS1 fields
+const DATAMATRIX_FNC1 = 232;
+
+// GF(256) tables for Reed-Solomon, primitive polynomial x^8 + x^5 + x^3 + x^2 + 1
+const GF_EXP = new Array(255);
+const GF_LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  GF_EXP[i] = value;
+  GF_LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) {
+    value ^= 0x12D;
+  }
+}
+
+/**
+ * Multiply in GF(256)
+ * @param {number} a - Factor
+ * @param {number} b - Factor
+ * @returns {number} Product
+ */
+function gfMultiply(a, b) {
+  if (a === 0 || b === 0) {
+    return 0;
+  }
+  return GF_EXP[(GF_LOG[a] + GF_LOG[b]) % 255];
+}
+
+/**
+ * Encode data as DataMatrix ASCII codewords
+ * Digit pairs take one codeword, bytes above 127 take two (upper shift).
+ * GS1 DataMatrix starts with FNC1 and encodes each GS as FNC1.
+ * @param {string} data - Data (sent to the printer as UTF-8)
+ * @param {boolean} gs1 - Data is a GS1 element string
+ * @returns {number[]} Data codewords without padding
+ */
+function encodeDataMatrixCodewords(data, gs1 = false) {
+  const bytes = Buffer.from(data, 'utf8');
+  const codewords = gs1 ? [DATAMATRIX_FNC1] : [];
+  const isDigit = (byte) => byte >= 0x30 && byte <= 0x39;
+
+  for (let i = 0; i < bytes.length; i++) {
+    if (gs1 && bytes[i] === 0x1D) {
+      codewords.push(DATAMATRIX_FNC1);
+    } else if (isDigit(bytes[i]) && i + 1 < bytes.length && isDigit(bytes[i + 1])) {
+      codewords.push(130 + (bytes[i] - 0x30) * 10 + (bytes[i + 1] - 0x30));
+      i++;
+    } else if (bytes[i] > 127) {
+      codewords.push(235, bytes[i] - 127);
+    } else {
+      codewords.push(bytes[i] + 1);
+    }
+  }
+  return codewords;
+}
+
+/**
+ * Get the smallest square DataMatrix symbol that holds the data
+ * @param {string} data - Data
+ * @param {object} options - Options
+ * @param {boolean} options.gs1 - Data is a GS1 element string (GS = FNC1)
+ * @returns {object|null} Symbol size entry, or null if the data is too long
+ */
+function getDataMatrixSymbol(data, options = {}) {
+  const count = encodeDataMatrixCodewords(data, options.gs1).length;
+  return DATAMATRIX_SIZES.find(symbol => symbol.dataCodewords >= count) || null;
+}
+
+/**
+ * Compute Reed-Solomon ECC codewords for one block
+ * @param {number[]} data - Block data codewords
+ * @param {number} count - Number of ECC codewords
+ * @returns {number[]} ECC codewords
+ */
+function reedSolomon(data, count) {
+  // Generator polynomial (x - 2^1)(x - 2^2)...(x - 2^count), highest power first
+  let generator = [1];
+  for (let i = 1; i <= count; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    for (let j = 0; j < generator.length; j++) {
+      next[j] ^= generator[j];
+      next[j + 1] ^= gfMultiply(generator[j], GF_EXP[i]);
+    }
+    generator = next;
+  }
+
+  const remainder = new Array(count).fill(0);
+  for (const codeword of data) {
+    const factor = codeword ^ remainder[0];
+    remainder.shift();
+    remainder.push(0);
+    for (let j = 0; j < count; j++) {
+      remainder[j] ^= gfMultiply(generator[j + 1], factor);
+    }
+  }
+  return remainder;
+}
+
+/**
+ * Compute the ECC 200 module placement for a mapping matrix
+ * Each entry is codeword * 10 + bit (bit 1 = most significant),
+ * or 1 for the fixed dark modules of the unused corner.
+ * @param {number} nrow - Mapping matrix rows
+ * @param {number} ncol - Mapping matrix columns
+ * @returns {Int32Array} Placement, row by row
+ */
+function placeDataMatrixModules(nrow, ncol) {
+  const array = new Int32Array(nrow * ncol);
+
+  const module = (row, col, chr, bit) => {
+    if (row < 0) {
+      row += nrow;
+      col += 4 - ((nrow + 4) % 8);
+    }
+    if (col < 0) {
+      col += ncol;
+      row += 4 - ((ncol + 4) % 8);
+    }
+    array[row * ncol + col] = 10 * chr + bit;
+  };
+
+  const utah = (row, col, chr) => {
+    module(row - 2, col - 2, chr, 1);
+    module(row - 2, col - 1, chr, 2);
+    module(row - 1, col - 2, chr, 3);
+    module(row - 1, col - 1, chr, 4);
+    module(row - 1, col, chr, 5);
+    module(row, col - 2, chr, 6);
+    module(row, col - 1, chr, 7);
+    module(row, col, chr, 8);
+  };
+
+  const corner = (chr, positions) => {
+    positions.forEach(([row, col], index) => module(row, col, chr, index + 1));
+  };
+
+  let chr = 1;
+  let row = 4;
+  let col = 0;
+
+  do {
+    if (row === nrow && col === 0) {
+      corner(chr++, [[nrow - 1, 0], [nrow - 1, 1], [nrow - 1, 2], [0, ncol - 2],
+        [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]]);
+    }
+    if (row === nrow - 2 && col === 0 && ncol % 4 !== 0) {
+      corner(chr++, [[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 4],
+        [0, ncol - 3], [0, ncol - 2], [0, ncol - 1], [1, ncol - 1]]);
+    }
+    if (row === nrow - 2 && col === 0 && ncol % 8 === 4) {
+      corner(chr++, [[nrow - 3, 0], [nrow - 2, 0], [nrow - 1, 0], [0, ncol - 2],
+        [0, ncol - 1], [1, ncol - 1], [2, ncol - 1], [3, ncol - 1]]);
+    }
+    if (row === nrow + 4 && col === 2 && ncol % 8 === 0) {
+      corner(chr++, [[nrow - 1, 0], [nrow - 1, ncol - 1], [0, ncol - 3], [0, ncol - 2],
+        [0, ncol - 1], [1, ncol - 3], [1, ncol - 2], [1, ncol - 1]]);
+    }
+
+    // Sweep up and to the right
+    do {
+      if (row < nrow && col >= 0 && !array[row * ncol + col]) {
+        utah(row, col, chr++);
+      }
+      row -= 2;
+      col += 2;
+    } while (row >= 0 && col < ncol);
+    row += 1;
+    col += 3;
+
+    // Sweep down and to the left
+    do {
+      if (row >= 0 && col < ncol && !array[row * ncol + col]) {
+        utah(row, col, chr++);
+      }
+      row += 2;
+      col -= 2;
+    } while (row < nrow && col >= 0);
+    row += 3;
+    col += 1;
+  } while (row < nrow || col < ncol);
+
+  // Unused lower right corner gets a fixed pattern
+  if (!array[nrow * ncol - 1]) {
+    array[nrow * ncol - 1] = 1;
+    array[nrow * ncol - ncol - 2] = 1;
+  }
+
+  return array;
+}
+
+/**
+ * Encode data as a square DataMatrix (ECC 200) symbol
+ * @param {string} data - Data
+ * @param {object} options - Options
+ * @param {boolean} options.gs1 - Encode as GS1 DataMatrix (GS = FNC1)
+ * @returns {object} { size, modules } - modules[row][col] is true for dark modules
+ */
+function encodeDataMatrix(data, options = {}) {
+  const symbol = getDataMatrixSymbol(data, options);
+  if (!symbol) {
+    throw new Error('Data is too long for a DataMatrix symbol');
+  }
+
+  // Pad: first pad is 129, the rest are randomized by position
+  const codewords = encodeDataMatrixCodewords(data, options.gs1);
+  if (codewords.length < symbol.dataCodewords) {
+    codewords.push(129);
+  }
+  while (codewords.length < symbol.dataCodewords) {
+    const position = codewords.length + 1;
+    const pad = 129 + ((149 * position) % 253) + 1;
+    codewords.push(pad > 254 ? pad - 254 : pad);
+  }
+
+  // ECC is computed per block over every n-th codeword, then interleaved the same way
+  const eccPerBlock = symbol.eccCodewords / symbol.blocks;
+  const ecc = new Array(symbol.eccCodewords);
+  for (let block = 0; block < symbol.blocks; block++) {
+    const blockData = codewords.filter((_, index) => index % symbol.blocks === block);
+    reedSolomon(blockData, eccPerBlock).forEach((codeword, index) => {
+      ecc[index * symbol.blocks + block] = codeword;
+    });
+  }
+  const stream = codewords.concat(ecc);
+
+  const mappingSize = symbol.region * symbol.regions;
+  const placement = placeDataMatrixModules(mappingSize, mappingSize);
+  const isDark = (row, col) => {
+    const value = placement[row * mappingSize + col];
+    if (value === 1) {
+      return true;
+    }
+    const chr = Math.floor(value / 10);
+    const bit = value % 10;
+    return (stream[chr - 1] & (1 << (8 - bit))) !== 0;
+  };
+
+  // Each data region is surrounded by the finder pattern (solid left/bottom, dotted top/right)
+  const cell = symbol.region + 2;
+  const modules = [];
+  for (let row = 0; row < symbol.size; row++) {
+    const line = [];
+    const regionRow = Math.floor(row / cell);
+    const i = row % cell;
+    for (let col = 0; col < symbol.size; col++) {
+      const regionCol = Math.floor(col / cell);
+      const j = col % cell;
+      if (i === cell - 1 || j === 0) {
+        line.push(true);
+      } else if (i === 0) {
+        line.push(j % 2 === 0);
+      } else if (j === cell - 1) {
+        line.push(i % 2 === 1);
+      } else {
+        line.push(isDark(regionRow * symbol.region + i - 1, regionCol * symbol.region + j - 1));
+      }
+    }
+    modules.push(line);
+  }
+
+  return { size: symbol.size, modules };
+}
+
+/**
+ * Estimate PDF417 data codewords (text, numeric and byte compaction)
+ * @param {string} data - Data
+ * @returns {number} Data codewords including the length descriptor
+ */
+function estimatePDF417Codewords(data) {
+  const bytes = Buffer.from(data, 'utf8');
+  let codewords = 1; // Symbol length descriptor
+  let i = 0;
+
+  while (i < bytes.length) {
+    // Long digit runs use numeric compaction (~2.93 digits per codeword)
+    let digits = 0;
+    while (i + digits < bytes.length && bytes[i + digits] >= 0x30 && bytes[i + digits] <= 0x39) {
+      digits++;
+    }
+    if (digits >= 13) {
+      codewords += 1 + Math.ceil(digits / 2.93);
+      i += digits;
+      continue;
+    }
+
+    // Printable ASCII uses text compaction: two values per codeword,
+    // punctuation and sub-mode changes cost an extra value
+    let values = 0;
+    let previous = null;
+    const start = i;
+    while (i < bytes.length && bytes[i] >= 0x20 && bytes[i] < 0x7F) {
+      const byte = bytes[i];
+      const kind = byte >= 0x41 && byte <= 0x5A ? 'upper'
+        : byte >= 0x61 && byte <= 0x7A ? 'lower'
+          : byte >= 0x30 && byte <= 0x39 ? 'digit'
+            : byte === 0x20 ? previous : 'punct';
+      values += kind === 'punct' ? 2 : 1;
+      if (kind !== 'punct' && previous !== null && kind !== previous) {
+        values += 1;
+      }
+      if (kind !== 'punct') {
+        previous = kind;
+      }
+      i++;
+    }
+    if (i > start) {
+      codewords += 1 + Math.ceil(values / 2);
+      continue;
+    }
+
+    // Other bytes use byte compaction (6 bytes per 5 codewords)
+    let count = 0;
+    while (i < bytes.length && (bytes[i] < 0x20 || bytes[i] >= 0x7F)) {
+      count++;
+      i++;
+    }
+    codewords += 1 + Math.ceil((count * 5) / 6);
+  }
+
+  return codewords;
+}
+
+/**
+ * Choose a PDF417 layout that fits an area
+ * Tries the widest modules first (2-4 dots) and the fewest columns that fit.
+ * @param {string} data - Data
+ * @param {number} maxWidthDots - Available width in dots
+ * @param {number} maxHeightDots - Available height in dots
+ * @returns {object|null} { moduleWidth, rowHeight, columns, rows, eccLevel, width, height } or null
+ */
+function fitPDF417(data, maxWidthDots, maxHeightDots) {
+  const dataCodewords = estimatePDF417Codewords(data);
+  // Recommended minimum error correction level for the data size
+  const eccLevel = dataCodewords <= 40 ? 2 : dataCodewords <= 160 ? 3 : dataCodewords <= 320 ? 4 : 5;
+  const total = dataCodewords + Math.pow(2, eccLevel + 1);
+  if (total > 928) {
+    return null;
+  }
+
+  for (let moduleWidth = 4; moduleWidth >= 2; moduleWidth--) {
+    const rowHeight = moduleWidth * 3;
+    for (let columns = 1; columns <= 30; columns++) {
+      const rows = Math.max(3, Math.ceil(total / columns));
+      // Start, left indicator, data columns, right indicator (17 modules each) and stop (18)
+      const width = (17 * columns + 69) * moduleWidth;
+      const height = rows * rowHeight;
+      if (width > maxWidthDots) {
+        break;
+      }
+      if (rows <= 90 && height <= maxHeightDots) {
+        return { moduleWidth, rowHeight, columns, rows, eccLevel, width, height };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Estimate the Aztec symbol size (default 23% error correction)
+ * @param {string} data - Data
+ * @returns {object|null} { size, layers, compact } or null if the data is too long
+ */
+function getAztecSymbol(data) {
+  const bytes = Buffer.from(data, 'utf8');
+
+  // Bits per character in the cheapest mode, plus mode changes
+  let bits = 0;
+  let previous = null;
+  for (const byte of bytes) {
+    let kind;
+    let cost;
+    if (byte >= 0x30 && byte <= 0x39) {
+      kind = 'digit';
+      cost = 4;
+    } else if ((byte >= 0x41 && byte <= 0x5A) || (byte >= 0x61 && byte <= 0x7A) || byte === 0x20) {
+      kind = byte >= 0x61 ? 'lower' : 'upper';
+      cost = 5;
+    } else if (byte >= 0x21 && byte < 0x7F) {
+      kind = previous;
+      cost = 10; // Shift to punctuation mode
+    } else {
+      kind = 'byte';
+      cost = 8;
+    }
+    if (kind !== previous && previous !== null && kind !== null) {
+      bits += kind === 'byte' ? 10 : 5;
+    }
+    if (kind !== null) {
+      previous = kind;
+    }
+    bits += cost;
+  }
+  // Margin for bit stuffing
+  bits = Math.ceil(bits * 1.05);
+
+  const candidates = [];
+  for (let layers = 1; layers <= 4; layers++) {
+    candidates.push({ compact: true, layers });
+  }
+  for (let layers = 1; layers <= 32; layers++) {
+    candidates.push({ compact: false, layers });
+  }
+
+  for (const { compact, layers } of candidates) {
+    const wordSize = layers <= 2 ? 6 : layers <= 8 ? 8 : layers <= 22 ? 10 : 12;
+    const capacityWords = Math.floor((((compact ? 88 : 112) + 16 * layers) * layers) / wordSize);
+    const dataWords = Math.ceil(bits / wordSize);
+    const eccWords = Math.ceil(dataWords * 0.23) + 3;
+    if (dataWords + eccWords <= capacityWords) {
+      const base = (compact ? 11 : 14) + layers * 4;
+      // Full-range symbols have reference grid lines every 16 modules
+      const size = compact ? base : base + 1 + 2 * Math.floor((base / 2 - 1) / 15);
+      return { size, layers, compact };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  encodeDataMatrix,
+  getDataMatrixSymbol,
+  fitPDF417,
+  getAztecSymbol
+};
@@ -0,0 +1,382 @@
+/**
+ * Network printer implementation using raw TCP (port 9100 / "JetDirect")
+ * Streams TSPL directly to Ethernet printers
+ */
+
+const net = require('net');
+const { logger } = require('../utils/logger');
+const { printerEvents } = require('./printer-events');
+const { STATUS_QUERY, STATUS_TIMEOUT, decodeStatusByte } = require('./printer-status');
+const { encodeTSPL } = require('./tspl-generator');
+
+const DEFAULT_PORT = 9100;
+const CONNECT_TIMEOUT = 5000;     // ms to wait for the TCP handshake
+const RECONNECT_MIN_DELAY = 1000; // ms before the first reconnect attempt
+const RECONNECT_MAX_DELAY = 30000;
+
+/**
+ * Network Printer Manager
+ * Keeps a persistent socket to the printer and reconnects with backoff
+ * when the connection drops.
+ */
+class NetworkPrinterManager {
+  constructor() {
+    this.transport = 'network';
+    this.socket = null;
+    this.host = null;
+    this.port = DEFAULT_PORT;
+    this.reconnectTimer = null;
+    this.reconnectDelay = RECONNECT_MIN_DELAY;
+    this.reconnecting = null;       // Pending reconnect, shared by print() and the reconnect timer
+    this.statusUnsupported = false; // Set when the printer does not answer <ESC>!?
+    this.statusRequest = null;      // Pending status query { resolve, reject, timer }
+  }
+
+  /**
+   * Network printers cannot be enumerated; they are connected by address
+   * @returns {Array} Empty list
+   */
+  listPrinters() {
+    return [];
+  }
+
+  /**
+   * Connect to a network printer
+   * @param {object} options - Connection options
+   * @param {string} options.host - Printer hostname or IP address
+   * @param {number} options.port - TCP port (default: 9100)
+   * @returns {Promise<boolean>} Connection success
+   */
+  async connect(options) {
+    const { host, port = DEFAULT_PORT } = options;
+
+    if (!host) {
+      throw new Error('host is required');
+    }
+
+    // Replace any existing connection, once a reconnect in flight has settled
+    if (this.reconnecting) {
+      await this.reconnecting.catch(() => {});
+    }
+    this.closeSocket();
+    this.cancelReconnect();
+    this.host = host;
+    this.port = port;
+
+    try {
+      await this.openSocket();
+      this.reconnectDelay = RECONNECT_MIN_DELAY;
+      logger.info('Connected to network printer', { host, port });
+      printerEvents.emit('connected', { printerId: this.id || null, printer: { host, port } });
+      return true;
+    } catch (error) {
+      logger.error('Failed to connect to network printer', { host, port, error: error.message });
+      this.host = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Open the TCP socket to this.host:this.port
+   * @returns {Promise<void>} Resolves once connected
+   * @private
+   */
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      let connected = false;
+
+      socket.setTimeout(CONNECT_TIMEOUT);
+
+      socket.once('connect', () => {
+        connected = true;
+        socket.setTimeout(0);
+        socket.setKeepAlive(true, 10000);
+        this.socket = socket;
+        resolve();
+      });
+
+      socket.on('timeout', () => {
+        socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out`));
+      });
+
+      socket.on('data', (data) => this.handleData(data));
+
+      socket.on('error', (error) => {
+        if (!connected) {
+          reject(error);
+        } else {
+          logger.warn('Network printer socket error', { error: error.message });
+        }
+      });
+
+      socket.on('close', () => {
+        if (!connected || this.socket !== socket) {
+          return;
+        }
+        this.socket = null;
+        this.failStatusRequest(new Error('Connection closed'));
+        logger.warn('Network printer connection lost', { host: this.host, port: this.port });
+        printerEvents.emit('disconnected', {
+          printerId: this.id || null,
+          printer: { host: this.host, port: this.port },
+          reason: 'connection lost'
+        });
+        this.scheduleReconnect();
+      });
+    });
+  }
+
+  /**
+   * Reopen the socket after the connection was lost
+   * print() and the reconnect timer share one attempt, so a second socket
+   * never replaces (and leaks) the first and 'connected' is emitted once.
+   * @returns {Promise<void>} Resolves once reconnected
+   * @private
+   */
+  reconnect() {
+    if (!this.reconnecting) {
+      this.reconnecting = this.openSocket()
+        .then(() => {
+          this.reconnectDelay = RECONNECT_MIN_DELAY;
+          logger.info('Reconnected to network printer', { host: this.host, port: this.port });
+          printerEvents.emit('connected', { printerId: this.id || null, printer: { host: this.host, port: this.port } });
+        })
+        .finally(() => {
+          this.reconnecting = null;
+        });
+    }
+    return this.reconnecting;
+  }
+
+  /**
+   * Schedule a reconnect attempt with exponential backoff
+   * @private
+   */
+  scheduleReconnect() {
+    if (!this.host || this.reconnectTimer) {
+      return;
+    }
+
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_DELAY);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (!this.host || this.isConnected()) {
+        return;
+      }
+
+      try {
+        await this.reconnect();
+      } catch (error) {
+        logger.warn('Network printer reconnect failed', { error: error.message, retryInMs: this.reconnectDelay });
+        this.scheduleReconnect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Cancel a pending reconnect attempt
+   * @private
+   */
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Close the socket without triggering reconnect
+   * @private
+   */
+  closeSocket() {
+    const socket = this.socket;
+    this.socket = null;
+    this.statusUnsupported = false;
+    this.failStatusRequest(new Error('Connection closed'));
+    if (socket) {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Disconnect from printer
+   */
+  disconnect() {
+    const wasConnected = this.isConnected();
+    const printer = { host: this.host, port: this.port };
+
+    this.cancelReconnect();
+    this.closeSocket();
+    this.host = null;
+
+    logger.info('Disconnected from network printer');
+    if (wasConnected) {
+      printerEvents.emit('disconnected', { printerId: this.id || null, printer });
+    }
+  }
+
+  /**
+   * Send TSPL commands to printer
+   * @param {string} tsplCommands - TSPL commands to send
+   * @returns {Promise<boolean>} Success status
+   */
+  async print(tsplCommands) {
+    if (!this.isConnected()) {
+      if (!this.host) {
+        throw new Error('Printer not connected');
+      }
+      // Try to reconnect once before giving up
+      logger.info('Network printer not connected, attempting reconnect...');
+      this.cancelReconnect();
+      await this.reconnect();
+    }
+
+    const buffer = encodeTSPL(tsplCommands);
+
+    await new Promise((resolve, reject) => {
+      this.socket.write(buffer, (error) => {
+        if (error) {
+          logger.error('Print error', { error: error.message });
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    logger.info('Print job sent successfully', { bytes: buffer.length, host: this.host });
+    return true;
+  }
+
+  /**
+   * Route incoming bytes to a pending status query
+   * @param {Buffer} data - Data received from the printer
+   * @private
+   */
+  handleData(data) {
+    if (this.statusRequest && data.length > 0) {
+      const { resolve, timer } = this.statusRequest;
+      clearTimeout(timer);
+      this.statusRequest = null;
+      resolve(decodeStatusByte(data[0]));
+    }
+  }
+
+  /**
+   * Reject a pending status query
+   * @param {Error} error - Reason
+   * @private
+   */
+  failStatusRequest(error) {
+    if (this.statusRequest) {
+      const { reject, timer } = this.statusRequest;
+      clearTimeout(timer);
+      this.statusRequest = null;
+      reject(error);
+    }
+  }
+
+  /**
+   * Query the printer for its status byte using <ESC>!?
+   * @returns {Promise<object|null>} Decoded status, or null if the printer does not answer
+   */
+  queryStatus() {
+    if (!this.isConnected() || this.statusUnsupported) {
+      return Promise.resolve(null);
+    }
+
+    if (this.statusRequest) {
+      return this.statusRequest.promise;
+    }
+
+    const request = {};
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+      request.timer = setTimeout(() => {
+        // No answer: printer doesn't support status queries over TCP
+        this.statusRequest = null;
+        this.statusUnsupported = true;
+        logger.warn('Network printer did not answer status query', { host: this.host });
+        resolve(null);
+      }, STATUS_TIMEOUT);
+    });
+    this.statusRequest = request;
+
+    this.socket.write(Buffer.from(STATUS_QUERY, 'latin1'));
+    return request.promise;
+  }
+
+  /**
+   * Get printer status
+   * @returns {Promise<object>} Printer status
+   */
+  async getStatus() {
+    if (!this.isConnected()) {
+      return {
+        connected: false,
+        ready: false,
+        status: this.reconnectTimer ? 'reconnecting' : 'disconnected'
+      };
+    }
+
+    const device = { host: this.host, port: this.port };
+
+    try {
+      const printerStatus = await this.queryStatus();
+
+      if (!printerStatus) {
+        return {
+          connected: true,
+          ready: true,
+          status: 'ready',
+          statusSupported: false,
+          device
+        };
+      }
+
+      return {
+        connected: true,
+        ready: printerStatus.ready,
+        status: printerStatus.status,
+        errors: printerStatus.errors,
+        flags: printerStatus.flags,
+        raw: printerStatus.raw,
+        statusSupported: true,
+        device
+      };
+    } catch (error) {
+      logger.warn('Printer status query failed', { error: error.message });
+      return {
+        connected: this.isConnected(),
+        ready: false,
+        status: 'unknown',
+        error: error.message,
+        device
+      };
+    }
+  }
+
+  /**
+   * Check if printer is connected
+   * @returns {boolean} Connection status
+   */
+  isConnected() {
+    return this.socket !== null && !this.socket.destroyed;
+  }
+
+  /**
+   * Get last connected device info (for compatibility with USB manager)
+   */
+  get lastConnectedDevice() {
+    if (this.host) {
+      return { host: this.host, port: this.port };
+    }
+    return null;
+  }
+}
+
+module.exports = { NetworkPrinterManager, DEFAULT_PORT };
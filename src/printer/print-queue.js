@@ -1,7 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { app } = require('electron');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
-const { getPrinterManager } = require('./printer-manager');
+const { getPrinterRegistry, DEFAULT_PRINTER_ID } = require('./printer-registry');
 const { TSPLGenerator } = require('./tspl-generator');
+const { getLabelTemplate } = require('../config/label-templates');
+const { resolvePrinterSettings } = require('../config/printer-profiles');
+const settings = require('../config/settings');
 
 /**
  * Print job statuses
@@ -14,14 +21,320 @@ const JobStatus = {
   CANCELLED: 'cancelled'
 };
 
+// Finished jobs (completed/failed/cancelled) kept in history before the oldest are pruned
+const MAX_HISTORY = 500;
+
+// Queue file path for persistent storage (next to config.json)
+function getQueuePath() {
+  try {
+    const userDataPath = app.getPath('userData');
+    return path.join(userDataPath, 'print-queue.json');
+  } catch (e) {
+    // Fallback for non-Electron environments
+    return path.join(__dirname, '../../print-queue.json');
+  }
+}
+
+/**
+ * Resolve the retry policy for a job
+ * Per-job overrides take precedence over the defaults in settings.
+ * @param {object} overrides - Per-job retry options (optional)
+ * @param {number} overrides.maxAttempts - Total attempts including the first one
+ * @param {number} overrides.backoffMs - Delay before the first retry in ms
+ * @param {number} overrides.backoffMultiplier - Factor applied to the delay after each attempt
+ * @param {number} overrides.maxBackoffMs - Upper bound for the delay in ms
+ * @returns {object} Retry policy
+ */
+function resolveRetryPolicy(overrides = {}) {
+  const policy = { ...settings.getRetryPolicy() };
+  for (const key of ['maxAttempts', 'backoffMs', 'backoffMultiplier', 'maxBackoffMs']) {
+    if (overrides[key] !== undefined) {
+      policy[key] = overrides[key];
+    }
+  }
+  return policy;
+}
+
+/**
+ * Calculate delay before the next attempt (exponential backoff)
+ * @param {object} policy - Retry policy
+ * @param {number} attemptCount - Number of attempts made so far
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(policy, attemptCount) {
+  const delay = policy.backoffMs * Math.pow(policy.backoffMultiplier, attemptCount - 1);
+  return Math.min(delay, policy.maxBackoffMs);
+}
+
+/**
+ * Build the public job summary used in events and webhooks (omits generated TSPL)
+ * @param {object} job - Job object
+ * @returns {object} Job summary
+ */
+function summarizeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    pageConfig: job.pageConfig,
+    printerId: job.printerId || null,
+    quantity: job.quantity,
+    labelCount: job.isBatch ? job.labels.length : undefined,
+    template: job.template || undefined,
+    error: job.error,
+    attempts: job.attempts ? job.attempts.length : 0,
+    nextAttemptAt: job.nextAttemptAt || null,
+    needsReview: job.needsReview || false,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Get the printer a job is generated for
+ * @param {object} job - Job (or job-shaped preview request)
+ * @returns {string|null} Printer ID, or null if no printer is registered
+ */
+function getJobPrinterId(job) {
+  return getPrinterRegistry().resolvePrinterId({ printerId: job.printerId, pageConfig: job.pageConfig });
+}
+
+/**
+ * Get the resolution a job is generated at
+ * An explicit dpi (previews) wins, otherwise the resolution of the printer
+ * the job is routed to.
+ * @param {object} job - Job (or job-shaped preview request)
+ * @returns {number} DPI
+ */
+function getJobDpi(job) {
+  if (job.dpi) {
+    return job.dpi;
+  }
+  return getPrinterRegistry().getDpi(getJobPrinterId(job));
+}
+
+/**
+ * Generate the TSPL for a label or batch job
+ * Also used by POST /preview so previews match what is printed.
+ * @param {object} job - Job (or job-shaped preview request)
+ * @returns {string} TSPL commands
+ */
+function generateJobTSPL(job) {
+  const generator = new TSPLGenerator({
+    pageConfigId: job.pageConfig,
+    padding: job.padding,
+    horizontalOffset: job.horizontalOffset,
+    verticalOffset: job.verticalOffset,
+    dpi: getJobDpi(job),
+    printerSettings: resolvePrinterSettings(getJobPrinterId(job), job.printerSettings),
+    orientation: job.orientation
+  });
+
+  if (job.isBatch) {
+    // Batch job: generate labels for multiple unique items
+    return generator.generateBatchLabels({
+      labels: job.labels, layout: job.layout, startPosition: job.startPosition, serial: job.serial
+    });
+  }
+
+  if (job.template) {
+    // Template job: the template is looked up when the TSPL is generated
+    return generator.generateTemplateLabel({
+      template: getLabelTemplate(job.template),
+      data: job.data,
+      quantity: job.quantity,
+      startPosition: job.startPosition,
+      serial: job.serial
+    });
+  }
+
+  // Single job: generate label with quantity
+  return generator.generateProductLabel({
+    qrData: job.label.qrData,
+    barcodeData: job.label.barcodeData,
+    symbology: job.label.symbology,
+    gs1: job.label.gs1,
+    images: job.label.images,
+    title: job.label.title,
+    subtitle: job.label.subtitle,
+    itemQuantity: job.label.itemQuantity,
+    layout: job.label.layout || 'barcode',
+    quantity: job.quantity,
+    startPosition: job.startPosition,
+    serial: job.serial
+  });
+}
+
+/**
+ * Check if a job is in a terminal state
+ * @param {object} job - Job to check
+ * @returns {boolean} True if the job will not be processed again
+ */
+function isFinished(job) {
+  return job.status === JobStatus.COMPLETED ||
+         job.status === JobStatus.FAILED ||
+         job.status === JobStatus.CANCELLED;
+}
+
+/**
+ * Get the worker a job is processed by
+ * Each printer has its own worker, so a jam on one printer does not block the others.
+ * @param {object} job - Job
+ * @returns {string} Worker key (printer ID)
+ */
+function getWorkerKey(job) {
+  return job.printerId || DEFAULT_PRINTER_ID;
+}
+
 /**
  * Print Queue Manager
+ * Emits 'job' with { job, status, previousStatus } on every status transition.
  */
-class PrintQueue {
+class PrintQueue extends EventEmitter {
   constructor() {
+    super();
     this.jobs = new Map();
-    this.processing = false;
-    this.currentJob = null;
+    this.workers = new Map(); // printerId -> { processing, currentJob, retryTimer }
+    this.loadJobs(); // Restore queue and history from disk
+  }
+
+  /**
+   * Get (or create) the worker state for a printer
+   * @param {string} key - Worker key (printer ID)
+   * @returns {object} Worker state
+   */
+  getWorker(key) {
+    if (!this.workers.has(key)) {
+      this.workers.set(key, { processing: false, currentJob: null, retryTimer: null });
+    }
+    return this.workers.get(key);
+  }
+
+  /**
+   * Load persisted jobs from disk
+   * Pending jobs are kept as-is so they resume; jobs that were processing
+   * when the app exited are marked failed and flagged for operator review,
+   * since we cannot know whether the printer received them.
+   */
+  loadJobs() {
+    try {
+      const queuePath = getQueuePath();
+      if (!fs.existsSync(queuePath)) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+      const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+      let pending = 0;
+      let interrupted = 0;
+
+      for (const job of jobs) {
+        if (job.status === JobStatus.PROCESSING) {
+          job.status = JobStatus.FAILED;
+          job.error = 'Interrupted while printing (app exited). Check the printer output before reprinting.';
+          job.needsReview = true;
+          job.updatedAt = new Date().toISOString();
+          interrupted++;
+        } else if (job.status === JobStatus.PENDING) {
+          pending++;
+        }
+        this.jobs.set(job.id, job);
+      }
+
+      logger.info('Loaded persisted print queue', { total: jobs.length, pending, interrupted });
+      if (interrupted > 0) {
+        this.saveJobs();
+      }
+    } catch (error) {
+      logger.warn('Could not load print queue', { error: error.message });
+    }
+  }
+
+  /**
+   * Save all jobs to disk
+   * Writes to a temp file first and renames it so a crash mid-write
+   * never leaves a truncated queue file behind.
+   */
+  saveJobs() {
+    try {
+      this.pruneHistory();
+
+      const queuePath = getQueuePath();
+      const dir = path.dirname(queuePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tmpPath = `${queuePath}.tmp`;
+      const data = { version: 1, jobs: Array.from(this.jobs.values()) };
+      fs.writeFileSync(tmpPath, JSON.stringify(data));
+      fs.renameSync(tmpPath, queuePath);
+    } catch (error) {
+      logger.warn('Could not save print queue', { error: error.message });
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs once history exceeds MAX_HISTORY
+   */
+  pruneHistory() {
+    const finished = Array.from(this.jobs.values()).filter(isFinished);
+    if (finished.length <= MAX_HISTORY) {
+      return;
+    }
+
+    finished
+      .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt))
+      .slice(0, finished.length - MAX_HISTORY)
+      .forEach(job => this.jobs.delete(job.id));
+  }
+
+  /**
+   * Move a job to a new status and persist the change
+   * @param {object} job - Job to update
+   * @param {string} status - New status (JobStatus)
+   * @param {object} changes - Additional fields to set on the job
+   */
+  setJobStatus(job, status, changes = {}) {
+    const previousStatus = job.status;
+    Object.assign(job, changes);
+    job.status = status;
+    job.updatedAt = new Date().toISOString();
+    this.saveJobs();
+    this.emit('job', { job, status, previousStatus });
+  }
+
+  /**
+   * Record a webhook delivery attempt on a job and persist it
+   * @param {string} jobId - Job ID
+   * @param {object} delivery - Delivery log entry
+   */
+  recordWebhookDelivery(jobId, delivery) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return;
+    }
+
+    job.webhookDeliveries = job.webhookDeliveries || [];
+    job.webhookDeliveries.push(delivery);
+    this.saveJobs();
+  }
+
+  /**
+   * Store a new job and start processing
+   * @param {object} job - Job to enqueue
+   */
+  enqueue(job) {
+    // Route jobs without an explicit printer by page config (or to the default printer)
+    if (!job.printerId) {
+      job.printerId = getPrinterRegistry().resolvePrinterId({ pageConfig: job.pageConfig });
+    }
+
+    this.jobs.set(job.id, job);
+    this.saveJobs();
+    this.emit('job', { job, status: job.status, previousStatus: null });
+
+    // Start processing on this printer's worker if it is idle
+    this.processQueue(getWorkerKey(job));
   }
 
   /**
@@ -29,10 +342,19 @@ class PrintQueue {
    * @param {object} jobData - Job data
    * @param {string} jobData.pageConfig - Page configuration ID
    * @param {object} jobData.label - Label data
+   * @param {string} jobData.template - Template ID (instead of label)
+   * @param {object} jobData.data - Values for the template's placeholders
    * @param {number} jobData.quantity - Number of copies
    * @param {number} jobData.padding - Internal padding in mm (optional, default: 1.5)
    * @param {number} jobData.horizontalOffset - Horizontal offset in mm for calibration (optional)
    * @param {number} jobData.verticalOffset - Vertical offset in mm for calibration (optional)
+   * @param {object} jobData.retry - Retry policy overrides (optional)
+   * @param {string} jobData.callbackUrl - Webhook URL notified when the job finishes (optional)
+   * @param {string} jobData.printerId - Target printer (optional, routed by page config otherwise)
+   * @param {object} jobData.printerSettings - Overrides for the printer's tuning profile (optional)
+   * @param {number} jobData.startPosition - First free position on a partly used page (optional, default: 1)
+   * @param {object} jobData.serial - Serial numbers reserved for the job { counter, first, step } (optional)
+   * @param {number} jobData.orientation - Content rotation 0, 90, 180 or 270 (optional, default: the page config's)
    * @returns {object} Created job
    */
   addJob(jobData) {
@@ -41,23 +363,30 @@ class PrintQueue {
       status: JobStatus.PENDING,
       pageConfig: jobData.pageConfig || 'default',
       label: jobData.label,
+      template: jobData.template,
+      data: jobData.data,
       quantity: jobData.quantity || 1,
       padding: jobData.padding,
       horizontalOffset: jobData.horizontalOffset,
       verticalOffset: jobData.verticalOffset,
+      printerSettings: jobData.printerSettings,
+      startPosition: jobData.startPosition,
+      serial: jobData.serial,
+      orientation: jobData.orientation,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       error: null,
-      tspl: null
+      tspl: null,
+      retry: resolveRetryPolicy(jobData.retry),
+      attempts: [],
+      nextAttemptAt: null,
+      callbackUrl: jobData.callbackUrl || null,
+      webhookDeliveries: [],
+      printerId: jobData.printerId || null
     };
 
-    this.jobs.set(job.id, job);
     logger.info('Job added to queue', { jobId: job.id });
-
-    // Start processing if not already processing
-    if (!this.processing) {
-      this.processQueue();
-    }
+    this.enqueue(job);
 
     return job;
   }
@@ -66,6 +395,9 @@ class PrintQueue {
    * Add a custom TSPL job to the queue
    * @param {object} jobData - Job data
    * @param {string} jobData.tspl - Raw TSPL commands
+   * @param {object} jobData.retry - Retry policy overrides (optional)
+   * @param {string} jobData.callbackUrl - Webhook URL notified when the job finishes (optional)
+   * @param {string} jobData.printerId - Target printer (optional, routed by page config otherwise)
    * @returns {object} Created job
    */
   addCustomJob(jobData) {
@@ -78,15 +410,17 @@ class PrintQueue {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       error: null,
-      tspl: jobData.tspl
+      tspl: jobData.tspl,
+      retry: resolveRetryPolicy(jobData.retry),
+      attempts: [],
+      nextAttemptAt: null,
+      callbackUrl: jobData.callbackUrl || null,
+      webhookDeliveries: [],
+      printerId: jobData.printerId || null
     };
 
-    this.jobs.set(job.id, job);
     logger.info('Custom job added to queue', { jobId: job.id });
-
-    if (!this.processing) {
-      this.processQueue();
-    }
+    this.enqueue(job);
 
     return job;
   }
@@ -95,10 +429,18 @@ class PrintQueue {
    * Add a batch print job to the queue (multiple unique labels)
    * @param {object} jobData - Job data
    * @param {string} jobData.pageConfig - Page configuration ID
-   * @param {Array} jobData.labels - Array of label objects {title, subtitle, qrData}
+   * @param {Array} jobData.labels - Array of label objects {title, subtitle, qrData, barcodeData, layout, quantity, ...}
+   * @param {string} jobData.layout - Layout of labels without their own: 'qr' (default), 'barcode', 'datamatrix', 'text-only'
    * @param {number} jobData.padding - Internal padding in mm (optional, default: 1.5)
    * @param {number} jobData.horizontalOffset - Horizontal offset in mm for calibration (optional)
    * @param {number} jobData.verticalOffset - Vertical offset in mm for calibration (optional)
+   * @param {object} jobData.retry - Retry policy overrides (optional)
+   * @param {string} jobData.callbackUrl - Webhook URL notified when the job finishes (optional)
+   * @param {string} jobData.printerId - Target printer (optional, routed by page config otherwise)
+   * @param {object} jobData.printerSettings - Overrides for the printer's tuning profile (optional)
+   * @param {number} jobData.startPosition - First free position on a partly used page (optional, default: 1)
+   * @param {object} jobData.serial - Serial numbers reserved for the job { counter, first, step } (optional)
+   * @param {number} jobData.orientation - Content rotation 0, 90, 180 or 270 (optional, default: the page config's)
    * @returns {object} Created job
    */
   addBatchJob(jobData) {
@@ -107,22 +449,29 @@ class PrintQueue {
       status: JobStatus.PENDING,
       pageConfig: jobData.pageConfig || 'default',
       labels: jobData.labels,  // Array of label objects
+      layout: jobData.layout || 'qr',
       isBatch: true,
       padding: jobData.padding,
       horizontalOffset: jobData.horizontalOffset,
       verticalOffset: jobData.verticalOffset,
+      printerSettings: jobData.printerSettings,
+      startPosition: jobData.startPosition,
+      serial: jobData.serial,
+      orientation: jobData.orientation,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       error: null,
-      tspl: null
+      tspl: null,
+      retry: resolveRetryPolicy(jobData.retry),
+      attempts: [],
+      nextAttemptAt: null,
+      callbackUrl: jobData.callbackUrl || null,
+      webhookDeliveries: [],
+      printerId: jobData.printerId || null
     };
 
-    this.jobs.set(job.id, job);
     logger.info(`Batch job ${job.id} added with ${job.labels.length} labels`);
-
-    if (!this.processing) {
-      this.processQueue();
-    }
+    this.enqueue(job);
 
     return job;
   }
@@ -174,8 +523,7 @@ class PrintQueue {
     }
 
     if (job.status === JobStatus.PENDING) {
-      job.status = JobStatus.CANCELLED;
-      job.updatedAt = new Date().toISOString();
+      this.setJobStatus(job, JobStatus.CANCELLED);
       logger.info('Job cancelled', { jobId });
       return true;
     } else if (job.status === JobStatus.PROCESSING) {
@@ -203,38 +551,87 @@ class PrintQueue {
     }
 
     this.jobs.delete(jobId);
+    this.saveJobs();
     logger.info('Job deleted', { jobId });
     return true;
   }
 
   /**
-   * Process the print queue
+   * Process pending jobs for one printer
+   * @param {string} key - Worker key (printer ID)
    */
-  async processQueue() {
-    if (this.processing) {
+  async processQueue(key = DEFAULT_PRINTER_ID) {
+    const worker = this.getWorker(key);
+    if (worker.processing) {
       return;
     }
 
-    this.processing = true;
+    worker.processing = true;
 
     try {
       while (true) {
-        // Find next pending job
-        const nextJob = Array.from(this.jobs.values()).find(
-          job => job.status === JobStatus.PENDING
+        // Find next pending job for this printer that is not waiting for a retry
+        const now = Date.now();
+        const pendingJobs = Array.from(this.jobs.values()).filter(
+          job => job.status === JobStatus.PENDING && getWorkerKey(job) === key
+        );
+        const nextJob = pendingJobs.find(
+          job => !job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now
         );
 
         if (!nextJob) {
+          // Wake up again when the earliest waiting retry is due
+          if (pendingJobs.length > 0) {
+            const nextAt = Math.min(...pendingJobs.map(job => new Date(job.nextAttemptAt).getTime()));
+            this.scheduleRetry(key, nextAt - now);
+          }
           break;
         }
 
+        worker.currentJob = nextJob;
         await this.processJob(nextJob);
       }
     } catch (error) {
-      logger.error('Error processing queue', { error: error.message });
+      logger.error('Error processing queue', { printerId: key, error: error.message });
     } finally {
-      this.processing = false;
-      this.currentJob = null;
+      worker.processing = false;
+      worker.currentJob = null;
+    }
+  }
+
+  /**
+   * Schedule a printer's worker to run again after a delay (for backoff retries)
+   * @param {string} key - Worker key (printer ID)
+   * @param {number} delay - Delay in ms
+   */
+  scheduleRetry(key, delay) {
+    const worker = this.getWorker(key);
+    if (worker.retryTimer) {
+      clearTimeout(worker.retryTimer);
+    }
+
+    worker.retryTimer = setTimeout(() => {
+      worker.retryTimer = null;
+      this.processQueue(key);
+    }, Math.max(0, delay));
+  }
+
+  /**
+   * Resume processing pending jobs (e.g. restored from disk on startup)
+   * Call once a printer is connected so restored jobs do not fail immediately.
+   * @param {string} printerId - Only resume this printer's jobs (optional)
+   */
+  resume(printerId) {
+    const pendingJobs = Array.from(this.jobs.values()).filter(
+      job => job.status === JobStatus.PENDING && (!printerId || getWorkerKey(job) === printerId)
+    );
+
+    const keys = new Set(pendingJobs.map(getWorkerKey));
+    for (const key of keys) {
+      if (!this.getWorker(key).processing) {
+        logger.info('Resuming print queue', { printerId: key, pending: pendingJobs.filter(j => getWorkerKey(j) === key).length });
+        this.processQueue(key);
+      }
     }
   }
 
@@ -243,59 +640,87 @@ class PrintQueue {
    * @param {object} job - Job to process
    */
   async processJob(job) {
-    this.currentJob = job;
-    job.status = JobStatus.PROCESSING;
-    job.updatedAt = new Date().toISOString();
-
-    logger.info('Processing job', { jobId: job.id });
+    // Jobs restored from older queue files have no retry fields
+    job.retry = job.retry || resolveRetryPolicy();
+    job.attempts = job.attempts || [];
+
+    const attempt = {
+      attempt: job.attempts.length + 1,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null
+    };
+    job.attempts.push(attempt);
+    this.setJobStatus(job, JobStatus.PROCESSING, { nextAttemptAt: null });
+
+    logger.info('Processing job', { jobId: job.id, attempt: attempt.attempt });
+
+    // Generate TSPL if not already provided. Generation errors (missing template
+    // or image, data that does not fit) fail the same way every time, so the
+    // job fails without retrying.
+    if (!job.tspl) {
+      try {
+        job.tspl = generateJobTSPL(job);
+      } catch (error) {
+        attempt.finishedAt = new Date().toISOString();
+        attempt.error = error.message;
+        logger.error('Job failed', { jobId: job.id, attempts: job.attempts.length, error: error.message });
+        this.setJobStatus(job, JobStatus.FAILED, { error: error.message });
+        return;
+      }
+    }
 
     try {
-      // Generate TSPL if not already provided
-      if (!job.tspl) {
-        const generator = new TSPLGenerator({
-          pageConfigId: job.pageConfig,
-          padding: job.padding,
-          horizontalOffset: job.horizontalOffset,
-          verticalOffset: job.verticalOffset
-        });
-
-        if (job.isBatch) {
-          // Batch job: generate labels for multiple unique items
-          job.tspl = generator.generateBatchLabels({ labels: job.labels });
-        } else {
-          // Single job: generate label with quantity
-          job.tspl = generator.generateProductLabel({
-            qrData: job.label.qrData,
-            barcodeData: job.label.barcodeData,
-            title: job.label.title,
-            subtitle: job.label.subtitle,
-            itemQuantity: job.label.itemQuantity,
-            layout: job.label.layout || 'barcode',
-            quantity: job.quantity
-          });
-        }
+      // Get the printer this job is routed to
+      const registry = getPrinterRegistry();
+      const printer = job.printerId ? registry.get(job.printerId) : registry.getDefault();
+      if (!printer) {
+        throw new Error(job.printerId ? `Printer '${job.printerId}' is not registered` : 'Printer not connected');
       }
-
-      // Get printer manager
-      const printerManager = getPrinterManager();
+      const printerManager = printer.manager;
 
       // Check if printer is connected
       if (!printerManager.isConnected()) {
         throw new Error('Printer not connected');
       }
 
+      // Refuse to send while the printer reports an error (head open, paper out, ...).
+      // The status query is TSPL; ZPL printers never answer it, so they are not asked.
+      // The job's own settings count, as they choose the language it was generated in.
+      if (resolvePrinterSettings(printer.id, job.printerSettings).language !== 'zpl') {
+        const printerStatus = await printerManager.getStatus();
+        if (printerStatus.errors && printerStatus.errors.length > 0) {
+          throw new Error(`Printer reports error: ${printerStatus.errors.join(', ')}`);
+        }
+      }
+
       // Send to printer
       await printerManager.print(job.tspl);
 
       // Mark as completed
-      job.status = JobStatus.COMPLETED;
-      job.updatedAt = new Date().toISOString();
+      attempt.finishedAt = new Date().toISOString();
+      this.setJobStatus(job, JobStatus.COMPLETED, { error: null });
       logger.info('Job completed', { jobId: job.id });
     } catch (error) {
-      logger.error('Job failed', { jobId: job.id, error: error.message });
-      job.status = JobStatus.FAILED;
-      job.error = error.message;
-      job.updatedAt = new Date().toISOString();
+      attempt.finishedAt = new Date().toISOString();
+      attempt.error = error.message;
+
+      if (job.attempts.length < job.retry.maxAttempts) {
+        const delay = getBackoffDelay(job.retry, job.attempts.length);
+        logger.warn('Job attempt failed, will retry', {
+          jobId: job.id,
+          attempt: attempt.attempt,
+          retryInMs: delay,
+          error: error.message
+        });
+        this.setJobStatus(job, JobStatus.PENDING, {
+          error: error.message,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+      } else {
+        logger.error('Job failed', { jobId: job.id, attempts: job.attempts.length, error: error.message });
+        this.setJobStatus(job, JobStatus.FAILED, { error: error.message });
+      }
     }
   }
 
@@ -305,6 +730,7 @@ class PrintQueue {
    */
   getStats() {
     const jobs = Array.from(this.jobs.values());
+    const active = Array.from(this.workers.values()).filter(worker => worker.currentJob);
     return {
       total: jobs.length,
       pending: jobs.filter(j => j.status === JobStatus.PENDING).length,
@@ -312,7 +738,11 @@ class PrintQueue {
       completed: jobs.filter(j => j.status === JobStatus.COMPLETED).length,
       failed: jobs.filter(j => j.status === JobStatus.FAILED).length,
       cancelled: jobs.filter(j => j.status === JobStatus.CANCELLED).length,
-      currentJob: this.currentJob ? this.currentJob.id : null
+      needsReview: jobs.filter(j => j.needsReview).length,
+      currentJob: active.length > 0 ? active[0].currentJob.id : null,
+      workers: Object.fromEntries(
+        Array.from(this.workers.entries()).map(([key, worker]) => [key, worker.currentJob ? worker.currentJob.id : null])
+      )
     };
   }
 
@@ -331,6 +761,10 @@ class PrintQueue {
       }
     });
 
+    if (cleared > 0) {
+      this.saveJobs();
+    }
+
     logger.info('Cleared completed jobs', { count: cleared });
     return cleared;
   }
@@ -350,4 +784,4 @@ function getPrintQueue() {
   return printQueueInstance;
 }
 
-module.exports = { PrintQueue, getPrintQueue, JobStatus };
+module.exports = { PrintQueue, getPrintQueue, JobStatus, isFinished, summarizeJob, generateJobTSPL, getJobDpi };
@@ -0,0 +1,14 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Shared event bus for printer connection events
+ * Printer managers emit here so listeners keep working regardless of
+ * which manager implementation is active.
+ *
+ * Events:
+ * - 'connected'    { printerId, printer } - a printer was connected
+ * - 'disconnected' { printerId, printer, reason } - a printer was disconnected
+ */
+const printerEvents = new EventEmitter();
+
+module.exports = { printerEvents };
@@ -2,6 +2,9 @@ const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
 const { logger } = require('../utils/logger');
+const { printerEvents } = require('./printer-events');
+const { STATUS_QUERY, STATUS_TIMEOUT, decodeStatusByte } = require('./printer-status');
+const { encodeTSPL } = require('./tspl-generator');
 
 // Platform detection
 const isWindows = process.platform === 'win32';
@@ -15,6 +18,9 @@ function getUsbModule() {
   return usb;
 }
 
+const { NetworkPrinterManager } = require('./network-printer');
+const { VirtualPrinterManager } = require('./virtual-printer');
+
 // Import Windows printer manager
 let WindowsPrinterManager = null;
 if (isWindows) {
@@ -107,6 +113,21 @@ const USB_PRODUCTS = {
   '0x0471:0x0055': 'Gprinter S-4211 (TSPL)',
 };
 
+/**
+ * Printer resolution by model; printers not listed here print at 203 DPI
+ */
+const MODEL_DPI = {
+  'TTP-343C': 300,
+  'TE210': 300
+};
+
+/**
+ * Printer language by vendor; printers not listed here speak TSPL
+ */
+const VENDOR_LANGUAGES = {
+  0x0A5F: 'zpl'  // Zebra
+};
+
 /**
  * Device type hints based on vendor
  */
@@ -140,15 +161,53 @@ function getProductName(vendorId, productId) {
   return USB_PRODUCTS[key] || DEVICE_TYPE_HINTS[vendorId] || null;
 }
 
+/**
+ * Detect a printer's resolution from its model
+ * USB printers are looked up by vendor/product ID, Windows printers by a
+ * model name contained in the printer name.
+ * @param {object} connection - Connection options
+ * @returns {number|null} DPI, or null if the model is unknown
+ */
+function detectPrinterDpi(connection = {}) {
+  let model = null;
+  if (connection.vendorId !== undefined && connection.productId !== undefined) {
+    model = getProductName(Number(connection.vendorId), Number(connection.productId));
+  } else if (typeof connection.name === 'string') {
+    const printerName = connection.name.toUpperCase();
+    model = Object.keys(MODEL_DPI).find(candidate => printerName.includes(candidate.toUpperCase()));
+  }
+  return (model && MODEL_DPI[model]) || null;
+}
+
+/**
+ * Detect a printer's language from its vendor
+ * USB printers are looked up by vendor ID, Windows printers by a vendor
+ * name contained in the printer name. Network printers cannot be detected.
+ * @param {object} connection - Connection options
+ * @returns {string|null} Language ('zpl'), or null if unknown (TSPL)
+ */
+function detectPrinterLanguage(connection = {}) {
+  if (connection.vendorId !== undefined) {
+    return VENDOR_LANGUAGES[Number(connection.vendorId)] || null;
+  }
+  if (typeof connection.name === 'string' && /zebra/i.test(connection.name)) {
+    return VENDOR_LANGUAGES[0x0A5F];
+  }
+  return null;
+}
+
 /**
  * Printer Manager for USB communication with TSPL printers
  */
 class PrinterManager {
   constructor() {
+    this.transport = 'usb';
     this.printer = null;
     this.device = null;
     this.interface = null;
     this.endpoint = null;
+    this.inEndpoint = null; // IN endpoint for status queries (optional)
+    this.statusQuery = null; // In-flight status query, shared by concurrent callers
     this.lastConnectedDevice = null; // Store for reconnection
     this.loadSavedPrinter(); // Load saved printer on init
   }
@@ -313,11 +372,20 @@ class PrinterManager {
         throw new Error('No OUT endpoint found');
       }
 
+      // IN endpoint is used to read status; printers without one still print
+      this.inEndpoint = this.interface.endpoints.find(
+        ep => ep.direction === 'in'
+      ) || null;
+      if (!this.inEndpoint) {
+        logger.warn('No IN endpoint found, printer status will not be queried');
+      }
+
       // Store connection info for auto-reconnect and save to disk
       this.lastConnectedDevice = { vendorId, productId };
       this.savePrinterConfig();
 
       logger.info('Connected to printer', { vendorId, productId });
+      printerEvents.emit('connected', { printerId: this.id || null, printer: { vendorId, productId } });
       return true;
     } catch (error) {
       logger.error('Failed to connect to printer', { error: error.message });
@@ -330,6 +398,8 @@ class PrinterManager {
    * Disconnect from printer
    */
   disconnect() {
+    const wasConnected = this.isConnected();
+
     try {
       if (this.interface) {
         try {
@@ -355,8 +425,12 @@ class PrinterManager {
       this.device = null;
       this.interface = null;
       this.endpoint = null;
+      this.inEndpoint = null;
 
       logger.info('Disconnected from printer');
+      if (wasConnected) {
+        printerEvents.emit('disconnected', { printerId: this.id || null, printer: this.lastConnectedDevice });
+      }
     } catch (error) {
       logger.error('Error disconnecting from printer', { error: error.message });
     }
@@ -377,6 +451,7 @@ class PrinterManager {
       this.device = null;
       this.interface = null;
       this.endpoint = null;
+      this.inEndpoint = null;
 
       // Try to reconnect
       this.connect(this.lastConnectedDevice);
@@ -408,7 +483,7 @@ class PrinterManager {
             throw new Error('Printer not connected');
           }
 
-          const buffer = Buffer.from(tsplCommands, 'utf8');
+          const buffer = encodeTSPL(tsplCommands);
 
           this.endpoint.transfer(buffer, (error) => {
             if (error) {
@@ -420,6 +495,8 @@ class PrinterManager {
                 this.device = null;
                 this.interface = null;
                 this.endpoint = null;
+                this.inEndpoint = null;
+                printerEvents.emit('disconnected', { printerId: this.id || null, printer: this.lastConnectedDevice, reason: error.message });
 
                 if (this.tryReconnect()) {
                   attemptPrint(true);
@@ -442,11 +519,51 @@ class PrinterManager {
     });
   }
 
+  /**
+   * Query the printer for its status byte using <ESC>!?
+   * @returns {Promise<object|null>} Decoded status, or null if the printer has no IN endpoint
+   */
+  queryStatus() {
+    if (!this.endpoint || !this.inEndpoint) {
+      return Promise.resolve(null);
+    }
+
+    if (this.statusQuery) {
+      return this.statusQuery;
+    }
+
+    this.statusQuery = new Promise((resolve, reject) => {
+      this.endpoint.transfer(Buffer.from(STATUS_QUERY, 'latin1'), (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+
+        this.inEndpoint.timeout = STATUS_TIMEOUT;
+        const length = this.inEndpoint.descriptor.wMaxPacketSize || 64;
+        this.inEndpoint.transfer(length, (readError, data) => {
+          if (readError) {
+            reject(readError);
+          } else if (!data || data.length === 0) {
+            reject(new Error('Printer returned an empty status response'));
+          } else {
+            resolve(decodeStatusByte(data[0]));
+          }
+        });
+      });
+    }).finally(() => {
+      this.statusQuery = null;
+    });
+
+    return this.statusQuery;
+  }
+
   /**
    * Get printer status
-   * @returns {object} Printer status
+   * Queries the printer with <ESC>!? when an IN endpoint is available.
+   * @returns {Promise<object>} Printer status
    */
-  getStatus() {
+  async getStatus() {
     if (!this.device) {
       return {
         connected: false,
@@ -455,16 +572,11 @@ class PrinterManager {
       };
     }
 
+    let device;
     try {
-      // Basic status - in a real implementation, you would query the printer
-      return {
-        connected: true,
-        ready: true,
-        status: 'ready',
-        device: {
-          vendorId: this.device.deviceDescriptor.idVendor,
-          productId: this.device.deviceDescriptor.idProduct
-        }
+      device = {
+        vendorId: this.device.deviceDescriptor.idVendor,
+        productId: this.device.deviceDescriptor.idProduct
       };
     } catch (error) {
       logger.error('Error getting printer status', { error: error.message });
@@ -475,6 +587,42 @@ class PrinterManager {
         error: error.message
       };
     }
+
+    try {
+      const printerStatus = await this.queryStatus();
+
+      if (!printerStatus) {
+        // Printer cannot report status - assume ready as long as we are connected
+        return {
+          connected: true,
+          ready: true,
+          status: 'ready',
+          statusSupported: false,
+          device
+        };
+      }
+
+      return {
+        connected: true,
+        ready: printerStatus.ready,
+        status: printerStatus.status,
+        errors: printerStatus.errors,
+        flags: printerStatus.flags,
+        raw: printerStatus.raw,
+        statusSupported: true,
+        device
+      };
+    } catch (error) {
+      logger.warn('Printer status query failed', { error: error.message });
+      return {
+        connected: true,
+        ready: false,
+        status: 'unknown',
+        statusSupported: true,
+        error: error.message,
+        device
+      };
+    }
   }
 
   /**
@@ -486,25 +634,66 @@ class PrinterManager {
   }
 }
 
-// Singleton instance
-let printerManagerInstance = null;
+/**
+ * Create a printer manager for a transport
+ * @param {string} transport - 'usb', 'windows', 'network' or 'virtual'
+ * @returns {PrinterManager|WindowsPrinterManager|NetworkPrinterManager|VirtualPrinterManager} New manager
+ */
+function createPrinterManager(transport) {
+  if (transport === 'virtual') {
+    logger.info('Using virtual printer manager');
+    return new VirtualPrinterManager();
+  }
+  if (transport === 'network') {
+    logger.info('Using network printer manager');
+    return new NetworkPrinterManager();
+  }
+  if (transport === 'windows' && WindowsPrinterManager) {
+    logger.info('Using Windows native printer manager');
+    return new WindowsPrinterManager();
+  }
+  logger.info('Using USB printer manager');
+  return new PrinterManager();
+}
 
 /**
- * Get printer manager instance
- * Returns WindowsPrinterManager on Windows, PrinterManager (USB) on other platforms
- * @returns {PrinterManager|WindowsPrinterManager} Printer manager singleton
+ * Determine which transport a set of connection options refers to
+ * @param {object} options - Connection options
+ * @returns {string} 'virtual' for { virtual: true }, 'network' for { host }, 'windows' on Windows, otherwise 'usb'
  */
-function getPrinterManager() {
-  if (!printerManagerInstance) {
-    if (isWindows && WindowsPrinterManager) {
-      logger.info('Using Windows native printer manager');
-      printerManagerInstance = new WindowsPrinterManager();
-    } else {
-      logger.info('Using USB printer manager');
-      printerManagerInstance = new PrinterManager();
-    }
+function getTransportType(options = {}) {
+  if (options.virtual) {
+    return 'virtual';
+  }
+  if (options.host) {
+    return 'network';
+  }
+  if (isWindows && WindowsPrinterManager) {
+    return 'windows';
   }
-  return printerManagerInstance;
+  return 'usb';
 }
 
-module.exports = { PrinterManager, getPrinterManager, isWindows };
+/**
+ * Get the printer manager of the default printer
+ * Falls back to the platform manager (USB, or Windows spooler) when no printer
+ * is registered; that manager is also used to list attached devices.
+ * @returns {PrinterManager|WindowsPrinterManager|NetworkPrinterManager|VirtualPrinterManager} Printer manager
+ */
+function getPrinterManager() {
+  // Lazy require - the registry depends on this module
+  const { getPrinterRegistry } = require('./printer-registry');
+  const registry = getPrinterRegistry();
+  const printer = registry.getDefault();
+  return printer ? printer.manager : registry.getDiscoveryManager();
+}
+
+module.exports = {
+  PrinterManager,
+  getPrinterManager,
+  createPrinterManager,
+  getTransportType,
+  detectPrinterDpi,
+  detectPrinterLanguage,
+  isWindows
+};
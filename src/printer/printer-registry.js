@@ -0,0 +1,286 @@
+/**
+ * Printer registry for running several printers at once
+ * Each registered printer has an ID, a display name, its own manager
+ * (USB, Windows or network) and the page configs it is loaded with,
+ * which are used to route jobs that don't name a printer.
+ */
+
+const { logger } = require('../utils/logger');
+const { createPrinterManager, getTransportType, detectPrinterDpi, detectPrinterLanguage } = require('./printer-manager');
+const { LAYOUT_CONFIG } = require('./tspl-generator');
+const settings = require('../config/settings');
+
+const DEFAULT_PRINTER_ID = 'default';
+
+/**
+ * Build a readable name from connection options
+ * @param {object} connection - Connection options
+ * @returns {string} Display name
+ */
+function describeConnection(connection) {
+  if (connection.virtual) {
+    return 'Virtual printer';
+  }
+  if (connection.host) {
+    return `${connection.host}:${connection.port || 9100}`;
+  }
+  if (connection.name) {
+    return connection.name;
+  }
+  const hex = (id) => `0x${Number(id).toString(16).toUpperCase().padStart(4, '0')}`;
+  return `USB ${hex(connection.vendorId)}:${hex(connection.productId)}`;
+}
+
+/**
+ * Printer Registry
+ */
+class PrinterRegistry {
+  constructor() {
+    this.printers = new Map(); // id -> { id, displayName, connection, pageConfigs, dpi, manager }
+    this.discoveryManager = null;
+  }
+
+  /**
+   * Manager used only for listing attached printers (USB or Windows spooler)
+   * @returns {object} Printer manager
+   */
+  getDiscoveryManager() {
+    if (!this.discoveryManager) {
+      this.discoveryManager = createPrinterManager(getTransportType());
+    }
+    return this.discoveryManager;
+  }
+
+  /**
+   * Persist registered printers to settings
+   */
+  save() {
+    settings.savePrinters(Array.from(this.printers.values()).map(printer => ({
+      id: printer.id,
+      displayName: printer.displayName,
+      connection: printer.connection,
+      pageConfigs: printer.pageConfigs,
+      dpi: printer.configuredDpi
+    })));
+  }
+
+  /**
+   * Register (or replace) a printer and connect to it
+   * @param {object} options - Printer options
+   * @param {string} options.id - Printer ID (default: 'default')
+   * @param {string} options.displayName - Human readable name (optional)
+   * @param {object} options.connection - { virtual, ... } | { host, port } | { name } | { vendorId, productId }
+   * @param {string[]} options.pageConfigs - Page configs loaded in this printer, for routing (optional)
+   * @param {number} options.dpi - Printer resolution (optional, default: detected from the model, else 203)
+   * @param {boolean} options.persist - Save to settings (default: true)
+   * @returns {Promise<object>} Registered printer
+   */
+  async connect(options) {
+    const {
+      id = DEFAULT_PRINTER_ID,
+      displayName,
+      connection,
+      pageConfigs = [],
+      dpi,
+      persist = true
+    } = options;
+
+    const existing = this.printers.get(id);
+    const transport = getTransportType(connection);
+
+    // Reuse the manager when the transport is unchanged, otherwise start fresh
+    // (the old one is disconnected once the new one is connected)
+    let manager = existing ? existing.manager : null;
+    const replaced = manager && manager.transport !== transport ? manager : null;
+    if (replaced) {
+      manager = null;
+    }
+    if (!manager) {
+      manager = createPrinterManager(transport);
+      manager.id = id;
+    }
+
+    const printer = {
+      id,
+      displayName: displayName || (existing && existing.displayName) || describeConnection(connection),
+      connection,
+      pageConfigs,
+      dpi: dpi || detectPrinterDpi(connection) || LAYOUT_CONFIG.DEFAULT_DPI,
+      configuredDpi: dpi,
+      language: detectPrinterLanguage(connection),
+      manager
+    };
+    this.printers.set(id, printer);
+
+    try {
+      await manager.connect(connection);
+    } catch (error) {
+      // A printer that cannot be reached must not replace the registered and saved
+      // one, or restore() would retry it on every launch. Restored printers stay
+      // registered while unreachable.
+      if (persist) {
+        if (existing) {
+          this.printers.set(id, existing);
+        } else {
+          this.printers.delete(id);
+        }
+      }
+      throw error;
+    }
+
+    if (replaced) {
+      replaced.disconnect();
+    }
+    if (persist) {
+      this.save();
+    }
+    logger.info('Printer registered', { id, transport, displayName: printer.displayName, dpi: printer.dpi });
+    return printer;
+  }
+
+  /**
+   * Disconnect a printer but keep it registered
+   * @param {string} id - Printer ID
+   * @returns {boolean} True if the printer exists
+   */
+  disconnect(id) {
+    const printer = this.printers.get(id);
+    if (!printer) {
+      return false;
+    }
+    printer.manager.disconnect();
+    return true;
+  }
+
+  /**
+   * Disconnect and unregister a printer
+   * @param {string} id - Printer ID
+   * @returns {boolean} True if the printer existed
+   */
+  remove(id) {
+    const printer = this.printers.get(id);
+    if (!printer) {
+      return false;
+    }
+    printer.manager.disconnect();
+    this.printers.delete(id);
+    this.save();
+    logger.info('Printer removed', { id });
+    return true;
+  }
+
+  /**
+   * Reconnect all printers saved in settings
+   * @returns {Promise<number>} Number of printers connected
+   */
+  async restore() {
+    let connected = 0;
+    for (const saved of settings.getSavedPrinters()) {
+      try {
+        await this.connect({ ...saved, persist: false });
+        connected++;
+      } catch (error) {
+        logger.warn('Could not reconnect saved printer', { id: saved.id, error: error.message });
+      }
+    }
+    return connected;
+  }
+
+  /**
+   * Get a registered printer
+   * @param {string} id - Printer ID
+   * @returns {object|null} Printer or null
+   */
+  get(id) {
+    return this.printers.get(id) || null;
+  }
+
+  /**
+   * Get a printer's resolution
+   * @param {string} id - Printer ID
+   * @returns {number} DPI (203 if the printer is not registered)
+   */
+  getDpi(id) {
+    const printer = this.printers.get(id);
+    return printer ? printer.dpi : LAYOUT_CONFIG.DEFAULT_DPI;
+  }
+
+  /**
+   * Get the language a printer was detected to speak from its model
+   * @param {string} id - Printer ID
+   * @returns {string|null} Language ('zpl'), or null if unknown or not registered (TSPL)
+   */
+  getDetectedLanguage(id) {
+    const printer = this.printers.get(id);
+    return printer ? printer.language : null;
+  }
+
+  /**
+   * Get the default printer: 'default' if registered, otherwise the first one
+   * @returns {object|null} Printer or null
+   */
+  getDefault() {
+    return this.printers.get(DEFAULT_PRINTER_ID) || this.printers.values().next().value || null;
+  }
+
+  /**
+   * Pick the printer for a job
+   * Explicit printerId wins, then a printer loaded with the job's page config,
+   * then the default printer.
+   * @param {object} options - Routing options
+   * @param {string} options.printerId - Explicit printer ID (optional)
+   * @param {string} options.pageConfig - Job page config (optional)
+   * @returns {string|null} Printer ID, or null if no printer is registered
+   */
+  resolvePrinterId({ printerId, pageConfig } = {}) {
+    if (printerId) {
+      return printerId;
+    }
+
+    const all = Array.from(this.printers.values());
+    const routed = pageConfig && (
+      all.find(p => p.pageConfigs.includes(pageConfig) && p.manager.isConnected()) ||
+      all.find(p => p.pageConfigs.includes(pageConfig))
+    );
+    if (routed) {
+      return routed.id;
+    }
+
+    const fallback = this.getDefault();
+    return fallback ? fallback.id : null;
+  }
+
+  /**
+   * List registered printers
+   * @returns {Array} Printer summaries
+   */
+  list() {
+    const defaultPrinter = this.getDefault();
+    return Array.from(this.printers.values()).map(printer => ({
+      id: printer.id,
+      displayName: printer.displayName,
+      transport: printer.manager.transport,
+      connection: printer.connection,
+      pageConfigs: printer.pageConfigs,
+      dpi: printer.dpi,
+      connected: printer.manager.isConnected(),
+      isDefault: defaultPrinter === printer
+    }));
+  }
+}
+
+// Singleton instance
+let printerRegistryInstance = null;
+
+/**
+ * Get printer registry instance
+ * @returns {PrinterRegistry} Printer registry singleton
+ */
+function getPrinterRegistry() {
+  if (!printerRegistryInstance) {
+    printerRegistryInstance = new PrinterRegistry();
+  }
+  return printerRegistryInstance;
+}
+
+module.exports = { PrinterRegistry, getPrinterRegistry, DEFAULT_PRINTER_ID };
@@ -0,0 +1,60 @@
+/**
+ * TSPL printer status decoding, shared by the USB and network printer managers
+ */
+
+/**
+ * TSPL status query: <ESC>!? returns a single status byte
+ */
+const STATUS_QUERY = '\x1B!?';
+const STATUS_TIMEOUT = 1000; // ms to wait for the printer to answer
+
+/**
+ * Status byte bits returned by <ESC>!? (TSPL/TSPL2 programming manual)
+ * Conditions marked error stop printing; others are informational.
+ */
+const STATUS_BITS = [
+  { bit: 0x01, key: 'headOpen', name: 'head_open', error: true },
+  { bit: 0x02, key: 'paperJam', name: 'paper_jam', error: true },
+  { bit: 0x04, key: 'paperOut', name: 'paper_out', error: true },
+  { bit: 0x08, key: 'ribbonOut', name: 'ribbon_out', error: true },
+  { bit: 0x10, key: 'paused', name: 'paused', error: false },
+  { bit: 0x20, key: 'printing', name: 'printing', error: false },
+  { bit: 0x40, key: 'coverOpen', name: 'cover_open', error: true },
+  { bit: 0x80, key: 'otherError', name: 'other_error', error: true }
+];
+
+/**
+ * Decode a TSPL status byte into printer conditions
+ * @param {number} byte - Status byte from <ESC>!?
+ * @returns {object} { raw, flags, errors, status, ready }
+ */
+function decodeStatusByte(byte) {
+  const flags = {};
+  const errors = [];
+
+  for (const { bit, key, name, error } of STATUS_BITS) {
+    flags[key] = (byte & bit) !== 0;
+    if (flags[key] && error) {
+      errors.push(name);
+    }
+  }
+
+  let status = 'ready';
+  if (errors.length > 0) {
+    status = errors[0];
+  } else if (flags.paused) {
+    status = 'paused';
+  } else if (flags.printing) {
+    status = 'printing';
+  }
+
+  return {
+    raw: byte,
+    flags,
+    errors,
+    status,
+    ready: errors.length === 0 && !flags.paused
+  };
+}
+
+module.exports = { STATUS_QUERY, STATUS_TIMEOUT, STATUS_BITS, decodeStatusByte };
@@ -0,0 +1,340 @@
+/**
+ * Unicode text rasterization for TSPL BITMAP
+ * Printer-resident fonts only cover ASCII. Other text (diacritics, CJK,
+ * typographic dashes, ...) is drawn with TrueType/OpenType fonts into a
+ * 1-bit image at printer resolution. Configured fonts are tried in order for
+ * each character, then the bundled DejaVu Sans.
+ */
+
+const fs = require('fs');
+const opentype = require('opentype.js');
+const { logger } = require('../utils/logger');
+const settings = require('../config/settings');
+
+const BUNDLED_FONT = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+
+// Sub-scanlines per pixel row and the coverage a pixel needs to be printed
+const SUBSAMPLES = 4;
+const COVERAGE_THRESHOLD = 0.4;
+
+// Line segments per curve when flattening glyph outlines
+const CURVE_SEGMENTS = 8;
+
+/**
+ * Check if text needs rasterizing (anything outside printable ASCII)
+ * @param {string} text - Text
+ * @returns {boolean} True if the printer fonts cannot print it
+ */
+function needsRasterization(text) {
+  return /[^\x20-\x7E]/.test(text);
+}
+
+/**
+ * Flatten an opentype.js path into line segments
+ * @param {Array} commands - Path commands (M, L, Q, C, Z)
+ * @returns {Array} Edges [x0, y0, x1, y1]
+ */
+function pathToEdges(commands) {
+  const edges = [];
+  let startX = 0;
+  let startY = 0;
+  let x = 0;
+  let y = 0;
+
+  const lineTo = (toX, toY) => {
+    if (toY !== y) {
+      edges.push([x, y, toX, toY]);
+    }
+    x = toX;
+    y = toY;
+  };
+
+  for (const cmd of commands) {
+    switch (cmd.type) {
+      case 'M':
+        startX = x = cmd.x;
+        startY = y = cmd.y;
+        break;
+      case 'L':
+        lineTo(cmd.x, cmd.y);
+        break;
+      case 'Q': {
+        const fromX = x;
+        const fromY = y;
+        for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+          const t = i / CURVE_SEGMENTS;
+          const s = 1 - t;
+          lineTo(
+            s * s * fromX + 2 * s * t * cmd.x1 + t * t * cmd.x,
+            s * s * fromY + 2 * s * t * cmd.y1 + t * t * cmd.y
+          );
+        }
+        break;
+      }
+      case 'C': {
+        const fromX = x;
+        const fromY = y;
+        for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+          const t = i / CURVE_SEGMENTS;
+          const s = 1 - t;
+          lineTo(
+            s * s * s * fromX + 3 * s * s * t * cmd.x1 + 3 * s * t * t * cmd.x2 + t * t * t * cmd.x,
+            s * s * s * fromY + 3 * s * s * t * cmd.y1 + 3 * s * t * t * cmd.y2 + t * t * t * cmd.y
+          );
+        }
+        break;
+      }
+      case 'Z':
+        lineTo(startX, startY);
+        break;
+      default:
+        break;
+    }
+  }
+  return edges;
+}
+
+/**
+ * Fill edges into a 1-bit image (non-zero winding rule)
+ * Each pixel row is sampled with several sub-scanlines; a pixel is printed
+ * when enough of it is covered, which keeps thin stems at small sizes.
+ * @param {Array} edges - Edges [x0, y0, x1, y1] in pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} Pixels, 1 = printed
+ */
+function fillEdges(edges, width, height) {
+  const pixels = new Uint8Array(width * height);
+  const coverage = new Float32Array(width);
+
+  for (let row = 0; row < height; row++) {
+    coverage.fill(0);
+
+    for (let sub = 0; sub < SUBSAMPLES; sub++) {
+      const scanY = row + (sub + 0.5) / SUBSAMPLES;
+      const crossings = [];
+      for (const [x0, y0, x1, y1] of edges) {
+        if ((scanY >= y0 && scanY < y1) || (scanY >= y1 && scanY < y0)) {
+          crossings.push({ x: x0 + ((scanY - y0) * (x1 - x0)) / (y1 - y0), dir: y1 > y0 ? 1 : -1 });
+        }
+      }
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += crossings[i].dir;
+        if (winding === 0) continue;
+
+        // Add the horizontal coverage of [left, right) to each pixel
+        const left = Math.max(0, crossings[i].x);
+        const right = Math.min(width, crossings[i + 1].x);
+        for (let col = Math.floor(left); col < right; col++) {
+          const covered = Math.min(col + 1, right) - Math.max(col, left);
+          if (covered > 0) {
+            coverage[col] += covered / SUBSAMPLES;
+          }
+        }
+      }
+    }
+
+    const offset = row * width;
+    for (let col = 0; col < width; col++) {
+      if (coverage[col] >= COVERAGE_THRESHOLD) {
+        pixels[offset + col] = 1;
+      }
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Rotate a 1-bit image clockwise
+ * @param {object} image - { width, height, pixels }
+ * @param {number} rotation - 0, 90, 180 or 270
+ * @returns {object} Rotated { width, height, pixels }
+ */
+function rotateImage(image, rotation) {
+  if (!rotation) {
+    return image;
+  }
+  const { width, height, pixels } = image;
+  const swap = rotation === 90 || rotation === 270;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const out = new Uint8Array(outWidth * outHeight);
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (!pixels[row * width + col]) continue;
+      let x;
+      let y;
+      if (rotation === 90) {
+        x = height - 1 - row;
+        y = col;
+      } else if (rotation === 180) {
+        x = width - 1 - col;
+        y = height - 1 - row;
+      } else {
+        x = row;
+        y = width - 1 - col;
+      }
+      out[y * outWidth + x] = 1;
+    }
+  }
+  return { width: outWidth, height: outHeight, pixels: out };
+}
+
+/**
+ * Pack a 1-bit image into TSPL BITMAP data
+ * Rows are padded to whole bytes, most significant bit first; a 0 bit is printed.
+ * @param {object} image - { width, height, pixels }
+ * @returns {object} { widthBytes, height, data: Buffer }
+ */
+function toBitmapData(image) {
+  const widthBytes = Math.ceil(image.width / 8);
+  const data = Buffer.alloc(widthBytes * image.height, 0xFF);
+  for (let row = 0; row < image.height; row++) {
+    for (let col = 0; col < image.width; col++) {
+      if (image.pixels[row * image.width + col]) {
+        data[row * widthBytes + (col >> 3)] &= ~(0x80 >> (col & 7));
+      }
+    }
+  }
+  return { widthBytes, height: image.height, data };
+}
+
+/**
+ * Draws text with TrueType/OpenType fonts
+ */
+class TextRasterizer {
+  constructor() {
+    this.fonts = [];
+    this.fontPaths = null;
+    this.cache = new Map(); // font file path -> opentype.Font
+  }
+
+  /**
+   * Get the font fallback chain, reloading when the configured fonts change
+   * @returns {Array} Fonts: configured fonts in order, then the bundled font
+   */
+  getFonts() {
+    const fontPaths = [...settings.getTextFonts(), BUNDLED_FONT];
+    if (this.fontPaths && this.fontPaths.join('\n') === fontPaths.join('\n')) {
+      return this.fonts;
+    }
+
+    this.fontPaths = fontPaths;
+    this.fonts = fontPaths.map(fontPath => this.loadFont(fontPath)).filter(Boolean);
+    return this.fonts;
+  }
+
+  /**
+   * Load a font file
+   * @param {string} fontPath - Path to a .ttf or .otf file
+   * @returns {object|null} opentype.js font, or null if it cannot be read
+   */
+  loadFont(fontPath) {
+    if (this.cache.has(fontPath)) {
+      return this.cache.get(fontPath);
+    }
+    let font = null;
+    try {
+      const buffer = fs.readFileSync(fontPath);
+      font = opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+      logger.info('Loaded text font', { fontPath });
+    } catch (error) {
+      logger.warn('Cannot load text font', { fontPath, error: error.message });
+    }
+    this.cache.set(fontPath, font);
+    return font;
+  }
+
+  /**
+   * Lay out glyphs for a line of text
+   * Each character uses the first font that has a glyph for it. Fonts are
+   * scaled so ascender to descender spans the line height.
+   * @param {string} text - Text
+   * @param {number} heightDots - Line height in dots
+   * @param {number} scaleX - Horizontal stretch (e.g. TEXT x-multiplication / y-multiplication)
+   * @returns {object} { glyphs: [{ font, glyph, x, fontSize }], width, baseline }
+   */
+  layout(text, heightDots, scaleX = 1) {
+    const fonts = this.getFonts();
+    if (fonts.length === 0) {
+      throw new Error('No font available for Unicode text');
+    }
+
+    const sizeFor = font => (heightDots * font.unitsPerEm) / (font.ascender - font.descender);
+    const primary = fonts[0];
+    const baseline = (primary.ascender * sizeFor(primary)) / primary.unitsPerEm;
+
+    const glyphs = [];
+    let x = 0;
+    for (const char of text) {
+      const font = fonts.find(candidate => candidate.charToGlyphIndex(char) > 0) || primary;
+      const glyph = font.charToGlyph(char);
+      const fontSize = sizeFor(font);
+      glyphs.push({ font, glyph, x, fontSize });
+      x += ((glyph.advanceWidth || 0) * fontSize * scaleX) / font.unitsPerEm;
+    }
+    return { glyphs, width: Math.ceil(x), baseline };
+  }
+
+  /**
+   * Measure the width of a line of text
+   * @param {string} text - Text
+   * @param {number} heightDots - Line height in dots
+   * @param {number} scaleX - Horizontal stretch
+   * @returns {number} Width in dots
+   */
+  measureText(text, heightDots, scaleX = 1) {
+    return this.layout(text, heightDots, scaleX).width;
+  }
+
+  /**
+   * Draw a line of text
+   * @param {string} text - Text
+   * @param {number} heightDots - Line height in dots
+   * @param {object} options - { scaleX, rotation }
+   * @returns {object} 1-bit image { width, height, pixels }
+   */
+  rasterize(text, heightDots, options = {}) {
+    const { scaleX = 1, rotation = 0 } = options;
+    const { glyphs, width, baseline } = this.layout(text, heightDots, scaleX);
+
+    const edges = [];
+    for (const { glyph, x, fontSize } of glyphs) {
+      const path = glyph.getPath(0, baseline, fontSize);
+      for (const [x0, y0, x1, y1] of pathToEdges(path.commands)) {
+        edges.push([x + x0 * scaleX, y0, x + x1 * scaleX, y1]);
+      }
+    }
+
+    const image = { width: Math.max(1, width), height: heightDots, pixels: null };
+    image.pixels = fillEdges(edges, image.width, image.height);
+    return rotateImage(image, rotation);
+  }
+}
+
+// Singleton instance
+let textRasterizerInstance = null;
+
+/**
+ * Get the text rasterizer instance
+ * @returns {TextRasterizer} Text rasterizer
+ */
+function getTextRasterizer() {
+  if (!textRasterizerInstance) {
+    textRasterizerInstance = new TextRasterizer();
+  }
+  return textRasterizerInstance;
+}
+
+module.exports = {
+  TextRasterizer,
+  getTextRasterizer,
+  needsRasterization,
+  rotateImage,
+  toBitmapData,
+  BUNDLED_FONT
+};
@@ -1,5 +1,16 @@
-const { getPageConfig, mmToInches } = require('../config/page-configs');
+const { ORIENTATIONS, getPageConfig, getPositionsPerPage } = require('../config/page-configs');
 const { logger } = require('../utils/logger');
+const { getSymbology, validateBarcodeData, encodeBarcode, encodeGS1128 } = require('./barcode-symbologies');
+const { normalizeGS1, toElementString, toHumanReadable, toDigitalLink } = require('./gs1');
+const { getDataMatrixSymbol, fitPDF417, getAztecSymbol } = require('./matrix-symbologies');
+const { getTextRasterizer, needsRasterization, rotateImage } = require('./text-rasterizer');
+const { imageToBitmap } = require('./image-bitmap');
+const { getImage } = require('../config/image-library');
+const { fillTemplate } = require('../config/label-templates');
+const { fillSerial, getSerialNumber } = require('../config/serial-counters');
+const {
+  MEDIA_TYPES, POST_PRINT_COMMANDS, createCommandBuilder, encodeTSPLString, findControlCharacter
+} = require('./label-commands');
 
 /**
  * Layout constants
@@ -8,14 +19,49 @@ const LAYOUT_CONFIG = {
   PADDING: 1.5,         // Internal padding in mm
   MIN_FONT_SIZE: 1,     // Minimum font (1 = 8x12 dots)
   MAX_FONT_SIZE: 4,     // Maximum font (4 = 24x32 dots)
-  DPI: 8,               // Dots per mm (203 DPI ≈ 8 dots/mm)
-  // Font dimensions in dots (width x height)
+  DPI: 8,               // Dots per mm at the default 203 DPI (203 DPI ≈ 8 dots/mm)
+  DEFAULT_DPI: 203,
+  // Font dimensions in dots (width x height) at 203 DPI
   FONTS: {
     1: { width: 8, height: 12, name: 'tiny' },
     2: { width: 12, height: 20, name: 'small' },
     3: { width: 16, height: 24, name: 'medium' },
     4: { width: 24, height: 32, name: 'large' }
   },
+  // Printer resolutions: dots per mm and the printer font sizes in dots.
+  // 600 DPI printers have no larger fonts, so their text is sent with x2 multipliers.
+  RESOLUTIONS: {
+    203: {
+      dotsPerMm: 8,
+      fontMul: 1,
+      fonts: {
+        1: { width: 8, height: 12 },
+        2: { width: 12, height: 20 },
+        3: { width: 16, height: 24 },
+        4: { width: 24, height: 32 }
+      }
+    },
+    300: {
+      dotsPerMm: 12,
+      fontMul: 1,
+      fonts: {
+        1: { width: 12, height: 20 },
+        2: { width: 16, height: 28 },
+        3: { width: 20, height: 36 },
+        4: { width: 24, height: 44 }
+      }
+    },
+    600: {
+      dotsPerMm: 24,
+      fontMul: 2,
+      fonts: {
+        1: { width: 24, height: 40 },
+        2: { width: 32, height: 56 },
+        3: { width: 40, height: 72 },
+        4: { width: 48, height: 88 }
+      }
+    }
+  },
   // QR layout uses dynamic font sizing for title:
   // - Short SKUs: Font 2 (larger, more readable)
   // - Long SKUs: Font 1 (smaller, fits ~57 chars in 3 lines with 2mm padding)
@@ -27,7 +73,57 @@ const LAYOUT_CONFIG = {
 };
 
 /**
- * Generates TSPL commands for printing labels
+ * Get the settings for a printer resolution
+ * @param {number} dpi - 203, 300 or 600
+ * @returns {object} { dpi, dotsPerMm, fontMul, fonts }
+ */
+function getResolution(dpi = LAYOUT_CONFIG.DEFAULT_DPI) {
+  const resolution = LAYOUT_CONFIG.RESOLUTIONS[dpi];
+  if (!resolution) {
+    throw new Error(`Unsupported printer resolution ${dpi} DPI. Supported: ${Object.keys(LAYOUT_CONFIG.RESOLUTIONS).join(', ')}`);
+  }
+  return { dpi: Number(dpi), ...resolution };
+}
+
+// BITMAP x,y,width (bytes),height,mode, followed by binary data
+const BITMAP_HEADER = /^[ \t]*BITMAP[ \t]+(\d+)[ \t]*,[ \t]*(\d+)[ \t]*,[ \t]*(\d+)[ \t]*,[ \t]*(\d+)[ \t]*,[ \t]*(\d)[ \t]*,/i;
+
+/**
+ * Encode TSPL for sending to a printer
+ * BITMAP data is binary, carried as one Latin-1 character per byte, and is
+ * sent as is. All other commands are sent as UTF-8, so text and barcode data
+ * in the same job keep their non-Latin-1 characters.
+ * @param {string} tspl - TSPL commands
+ * @returns {Buffer} Bytes to send
+ */
+function encodeTSPL(tspl) {
+  const buffers = [];
+  let position = 0;
+
+  while (position < tspl.length) {
+    // BITMAP data may contain line breaks: take exactly width x height bytes
+    const bitmap = tspl.slice(position, position + 64).match(BITMAP_HEADER);
+    if (bitmap) {
+      const start = position + bitmap[0].length;
+      const end = start + Number(bitmap[3]) * Number(bitmap[4]);
+      buffers.push(Buffer.from(tspl.slice(position, start), 'utf8'), Buffer.from(tspl.slice(start, end), 'latin1'));
+      position = Math.min(end, tspl.length);
+      continue;
+    }
+
+    const lineEnd = tspl.indexOf('\n', position);
+    const next = lineEnd === -1 ? tspl.length : lineEnd + 1;
+    buffers.push(Buffer.from(tspl.slice(position, next), 'utf8'));
+    position = next;
+  }
+
+  return Buffer.concat(buffers);
+}
+
+/**
+ * Lays out labels and generates the commands to print them
+ * Commands are written by a command builder (see label-commands.js) in the
+ * printer's language: TSPL (default) or ZPL.
  */
 class TSPLGenerator {
   /**
@@ -37,6 +133,13 @@ class TSPLGenerator {
    * @param {number} options.padding - Internal padding in mm (default: 1.5)
    * @param {number} options.horizontalOffset - Horizontal offset in mm for printer calibration (default: 0)
    * @param {number} options.verticalOffset - Vertical offset in mm for printer calibration (default: 0)
+   * @param {number} options.dpi - Printer resolution: 203 (default), 300 or 600
+   * @param {object} options.printerSettings - Printer tuning sent in each label header (optional):
+   *   { density: 0-15, speed: inches/s, media: 'gap'|'blackmark'|'continuous', postPrint: 'none'|'tear'|'peel'|'cut'|'cut-batch' }
+   *   Settings left out are not sent, so the printer keeps its own. language ('tspl' or 'zpl',
+   *   default: 'tspl') is the printer language the commands are written in.
+   * @param {number} options.orientation - Clockwise rotation of the sticker content: 0, 90, 180 or 270
+   *   (default: the page config's)
    */
   constructor(options = 'default') {
     // Support both string (pageConfigId) and object (options) for backwards compatibility
@@ -51,46 +154,62 @@ class TSPLGenerator {
       this.horizontalOffset = options.horizontalOffset !== undefined ? options.horizontalOffset : 0;
       this.verticalOffset = options.verticalOffset !== undefined ? options.verticalOffset : 0;
     }
-    this.commands = [];
+
+    // All mm to dot conversions, font metrics and bar widths follow the printer resolution
+    const resolution = getResolution(typeof options === 'object' && options.dpi ? options.dpi : LAYOUT_CONFIG.DEFAULT_DPI);
+    this.dpi = resolution.dpi;
+    this.dotsPerMm = resolution.dotsPerMm;
+    this.fonts = resolution.fonts;
+    this.fontMul = resolution.fontMul;
+    // Narrow bar widths tried for barcodes: 0.25mm down to 0.125mm (2 and 1 dots at 203 DPI)
+    this.maxNarrow = Math.round(this.dotsPerMm / 4);
+    this.minNarrow = Math.max(1, Math.round(this.dotsPerMm / 8));
+
+    this.printerSettings = (typeof options === 'object' && options.printerSettings) || {};
+
+    // Layouts are computed on the sticker as read; 90 and 270 swap its width and height
+    this.orientation = (typeof options === 'object' && options.orientation !== undefined)
+      ? options.orientation
+      : this.pageConfig.orientation || 0;
+    if (!ORIENTATIONS.includes(this.orientation)) {
+      throw new Error(`orientation must be one of: ${ORIENTATIONS.join(', ')}`);
+    }
+    this.stickerOrigin = { x: 0, y: 0 }; // Top-left of the sticker being laid out, in page mm
+
+    this.builder = createCommandBuilder(this.printerSettings.language);
     this.fullRowMode = false; // Track if using full row width (multi-column)
+    this.sheetMode = false; // Track if using the full sheet height (multi-row)
+    this.imageCache = new Map(); // Converted images, reused across stickers
   }
 
   /**
    * Initialize label with size and gap settings
-   * @param {boolean} fullRow - If true, use full row width for multi-column labels
+   * @param {boolean} fullRow - If true, use the full page (row width, and sheet height for multi-row pages)
    * @returns {TSPLGenerator} this for chaining
    */
   initLabel(fullRow = false) {
     const { sticker, layout } = this.pageConfig;
 
     // Track mode for coordinate calculations
-    this.fullRowMode = fullRow && layout.columns > 1;
+    this.fullRowMode = fullRow && (layout.columns > 1 || layout.rows > 1);
+    this.sheetMode = this.fullRowMode && layout.rows > 1;
 
     // For multi-column layouts, use full row width including outer margins
     let width, height;
     if (this.fullRowMode) {
       // Full row width: (sticker * columns) + (gap * (columns-1)) + (margin * 2)
-      const rowWidth = (sticker.width * layout.columns) +
-                       (layout.gap * (layout.columns - 1)) +
-                       (layout.outerMargin * 2);
-      width = mmToInches(rowWidth);
-      height = mmToInches(sticker.height);
+      width = (sticker.width * layout.columns) +
+              (layout.gap * (layout.columns - 1)) +
+              (layout.outerMargin * 2);
+      // Sheets are printed whole: all rows, row gaps and top/bottom margins
+      height = this.sheetMode ? this.pageConfig.pageHeight : sticker.height;
     } else {
-      width = mmToInches(sticker.width);
-      height = mmToInches(sticker.height);
+      width = sticker.width;
+      height = sticker.height;
     }
 
-    this.commands.push(`SIZE ${width},${height}`);
-
-    // GAP command: gap between rows, offset in inches
-    const gap = mmToInches(layout.gap);
-    this.commands.push(`GAP ${gap},0`);
-
-    // Set print direction (1 = 180 degree rotation for correct orientation)
-    this.commands.push('DIRECTION 1');
-
-    // Clear label buffer
-    this.commands.push('CLS');
+    // Size, media sensing (gap between rows), printer tuning, then a cleared label buffer
+    this.builder.startLabel({ width, height, gap: layout.gap, dotsPerMm: this.dotsPerMm, ...this.printerSettings });
 
     return this;
   }
@@ -114,6 +233,104 @@ class TSPLGenerator {
     return layout.outerMargin + (column * (sticker.width + layout.gap));
   }
 
+  /**
+   * Get Y offset for a specific row of a sheet (0-indexed from top)
+   * @param {number} row - Row index (0, 1, 2, ... from top)
+   * @returns {number} Y offset in mm
+   */
+  getRowOffset(row) {
+    // Roll pages are one row high, with no top margin
+    if (!this.sheetMode) {
+      return 0;
+    }
+
+    const { sticker, layout } = this.pageConfig;
+    return layout.outerMargin + (row * (sticker.height + layout.rowGap));
+  }
+
+  /**
+   * Get the sticker size as its content is read
+   * @returns {object} { width, height } in mm, swapped for 90 and 270 orientations
+   */
+  getContentSize() {
+    const { sticker } = this.pageConfig;
+    const swap = this.orientation === 90 || this.orientation === 270;
+    return swap ? { width: sticker.height, height: sticker.width } : { width: sticker.width, height: sticker.height };
+  }
+
+  /**
+   * Map a point of the content to the page
+   * Content coordinates are page mm with the sticker's content turned upright;
+   * the sticker being laid out (stickerOrigin) is rotated clockwise by the orientation.
+   * @param {number} x - X in mm
+   * @param {number} y - Y in mm
+   * @returns {object} { x, y } in page mm
+   */
+  toPagePoint(x, y) {
+    if (!this.orientation) {
+      return { x, y };
+    }
+
+    const { sticker } = this.pageConfig;
+    const { x: originX, y: originY } = this.stickerOrigin;
+    const u = x - originX;
+    const v = y - originY;
+    switch (this.orientation) {
+      case 90:
+        return { x: originX + sticker.width - v, y: originY + u };
+      case 180:
+        return { x: originX + sticker.width - u, y: originY + sticker.height - v };
+      default:
+        return { x: originX + v, y: originY + sticker.height - u };
+    }
+  }
+
+  /**
+   * Map a rectangle of the content to the page
+   * @param {number} x - Left in mm
+   * @param {number} y - Top in mm
+   * @param {number} width - Width in mm
+   * @param {number} height - Height in mm
+   * @returns {object} { x, y, width, height } in page mm
+   */
+  toPageRect(x, y, width, height) {
+    if (!this.orientation) {
+      return { x, y, width, height };
+    }
+
+    const start = this.toPagePoint(x, y);
+    const end = this.toPagePoint(x + width, y + height);
+    return {
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y)
+    };
+  }
+
+  /**
+   * Convert a content point to printer dots, applying orientation and calibration offsets
+   * @param {number} x - X in mm
+   * @param {number} y - Y in mm
+   * @returns {object} { xDots, yDots }
+   */
+  toDots(x, y) {
+    const point = this.toPagePoint(x, y);
+    return {
+      xDots: Math.round((point.x + this.horizontalOffset) * this.dotsPerMm),
+      yDots: Math.round((point.y + this.verticalOffset) * this.dotsPerMm)
+    };
+  }
+
+  /**
+   * Get the rotation an element is printed with
+   * @param {number} rotation - Rotation within the content (0, 90, 180, 270)
+   * @returns {number} Rotation on the page
+   */
+  getPageRotation(rotation) {
+    return (rotation + this.orientation) % 360;
+  }
+
   /**
    * Add QR code to label
    * @param {object} options - QR code options
@@ -121,7 +338,7 @@ class TSPLGenerator {
    * @param {number} options.y - Y position in mm
    * @param {string} options.data - Data to encode
    * @param {string} options.eccLevel - Error correction level (L, M, Q, H)
-   * @param {number} options.cellWidth - Cell width (1-10)
+   * @param {number} options.cellWidth - Cell width in dots (1-10, default: 0.5mm)
    * @param {number} options.rotation - Rotation angle (0, 90, 180, 270)
    * @returns {TSPLGenerator} this for chaining
    */
@@ -131,7 +348,7 @@ class TSPLGenerator {
       y = 10,
       data,
       eccLevel = 'H',
-      cellWidth = 4,
+      cellWidth = Math.round(this.dotsPerMm / 2),
       rotation = 0
     } = options;
 
@@ -139,20 +356,147 @@ class TSPLGenerator {
       throw new Error('QR code data is required');
     }
 
-    // Convert mm to dots (assuming 203 DPI: 8 dots per mm), applying calibration offsets
-    const xDots = Math.round((x + this.horizontalOffset) * 8);
-    const yDots = Math.round((y + this.verticalOffset) * 8);
+    // Convert mm to dots at the printer resolution, applying orientation and calibration offsets
+    const { xDots, yDots } = this.toDots(x, y);
 
-    // QRCODE syntax: x,y,ECC level,cell width,mode,rotation,"data"
-    // Mode: A = Auto
-    const cmd = `QRCODE ${xDots},${yDots},${eccLevel},${cellWidth},A,${rotation},"${data}"`;
-    this.commands.push(cmd);
+    this.builder.qrCode({ x: xDots, y: yDots, eccLevel, cellWidth, rotation: this.getPageRotation(rotation), data });
 
     logger.debug('Added QR code', { x, y, data, eccLevel, cellWidth, rotation });
 
     return this;
   }
 
+  /**
+   * Add DataMatrix (ECC 200) to label
+   * @param {object} options - DataMatrix options
+   * @param {number} options.x - X position in mm
+   * @param {number} options.y - Y position in mm
+   * @param {string} options.data - Data to encode
+   * @param {boolean} options.gs1 - Data is a GS1 element string; encode as GS1 DataMatrix
+   * @param {number} options.size - Area (square) in mm the symbol must fit in
+   * @param {number} options.moduleSize - Module size in dots (default: largest that fits)
+   * @param {number} options.rotation - Rotation angle (0, 90, 180, 270)
+   * @returns {TSPLGenerator} this for chaining
+   */
+  addDataMatrix(options) {
+    const {
+      x = 0,
+      y = 0,
+      data,
+      gs1 = false,
+      size = 10,
+      rotation = 0
+    } = options;
+
+    if (!data) {
+      throw new Error('DataMatrix data is required');
+    }
+
+    let { moduleSize } = options;
+    if (moduleSize === undefined) {
+      const params = this.calculateDataMatrixParams(data, size, gs1);
+      if (!params) {
+        throw new Error(`DataMatrix data does not fit in ${size}mm`);
+      }
+      moduleSize = params.moduleSize;
+    }
+
+    const { xDots, yDots } = this.toDots(x, y);
+    const sizeDots = Math.round(size * this.dotsPerMm);
+    this.builder.dataMatrix({
+      x: xDots, y: yDots, size: sizeDots, moduleSize, rotation: this.getPageRotation(rotation), data, gs1
+    });
+
+    logger.debug('Added DataMatrix', { x, y, data, gs1, size, moduleSize, rotation });
+
+    return this;
+  }
+
+  /**
+   * Add PDF417 to label
+   * @param {object} options - PDF417 options
+   * @param {number} options.x - X position in mm
+   * @param {number} options.y - Y position in mm
+   * @param {string} options.data - Data to encode
+   * @param {number} options.width - Area width in mm
+   * @param {number} options.height - Area height in mm
+   * @param {number} options.rotation - Rotation angle (0, 90, 180, 270)
+   * @returns {TSPLGenerator} this for chaining
+   */
+  addPDF417(options) {
+    const {
+      x = 0,
+      y = 0,
+      data,
+      width = 40,
+      height = 15,
+      rotation = 0
+    } = options;
+
+    if (!data) {
+      throw new Error('PDF417 data is required');
+    }
+
+    const params = this.calculatePDF417Params(data, width, height);
+    if (!params) {
+      throw new Error(`PDF417 data does not fit in ${width}x${height}mm`);
+    }
+
+    const { xDots, yDots } = this.toDots(x, y);
+    const widthDots = Math.round(width * this.dotsPerMm);
+    const heightDots = Math.round(height * this.dotsPerMm);
+    const { eccLevel, moduleWidth, rowHeight, columns, rows } = params;
+    this.builder.pdf417({
+      x: xDots, y: yDots, width: widthDots, height: heightDots, rotation: this.getPageRotation(rotation),
+      data, eccLevel, moduleWidth, rowHeight, columns, rows
+    });
+
+    logger.debug('Added PDF417', { x, y, data, width, height, moduleWidth, columns });
+
+    return this;
+  }
+
+  /**
+   * Add Aztec code to label
+   * @param {object} options - Aztec options
+   * @param {number} options.x - X position in mm
+   * @param {number} options.y - Y position in mm
+   * @param {string} options.data - Data to encode
+   * @param {number} options.size - Area (square) in mm the symbol must fit in
+   * @param {number} options.moduleSize - Module size in dots (1-20, default: largest that fits)
+   * @param {number} options.rotation - Rotation angle (0, 90, 180, 270)
+   * @returns {TSPLGenerator} this for chaining
+   */
+  addAztec(options) {
+    const {
+      x = 0,
+      y = 0,
+      data,
+      size = 10,
+      rotation = 0
+    } = options;
+
+    if (!data) {
+      throw new Error('Aztec data is required');
+    }
+
+    let { moduleSize } = options;
+    if (moduleSize === undefined) {
+      const params = this.calculateAztecParams(data, size);
+      if (!params) {
+        throw new Error(`Aztec data does not fit in ${size}mm`);
+      }
+      moduleSize = params.moduleSize;
+    }
+
+    const { xDots, yDots } = this.toDots(x, y);
+    this.builder.aztec({ x: xDots, y: yDots, rotation: this.getPageRotation(rotation), moduleSize, data });
+
+    logger.debug('Added Aztec', { x, y, data, size, moduleSize });
+
+    return this;
+  }
+
   /**
    * Add text to label
    * @param {object} options - Text options
@@ -179,14 +523,32 @@ class TSPLGenerator {
     if (!text) {
       throw new Error('Text is required');
     }
+    // Checked for bitmaps too, so text is accepted the same way whichever way it is drawn
+    encodeTSPLString('TEXT', text);
 
-    // Convert mm to dots (assuming 203 DPI: 8 dots per mm), applying calibration offsets
-    const xDots = Math.round((x + this.horizontalOffset) * 8);
-    const yDots = Math.round((y + this.verticalOffset) * 8);
+    // Convert mm to dots at the printer resolution, applying orientation and calibration offsets
+    const { xDots, yDots } = this.toDots(x, y);
+    const pageRotation = this.getPageRotation(rotation);
 
-    // TEXT syntax: x,y,"font",rotation,x-mul,y-mul,"text"
-    const cmd = `TEXT ${xDots},${yDots},"${font}",${rotation},${xMul},${yMul},"${text}"`;
-    this.commands.push(cmd);
+    // Printer fonts are ASCII only; anything else is drawn as a bitmap
+    if (needsRasterization(text)) {
+      return this._addTextBitmap({ xDots, yDots, text, font, rotation: pageRotation, xMul, yMul });
+    }
+
+    // 600 DPI printers double the multipliers to keep font sizes in mm; the
+    // cell size in dots is for builders without the printer's fonts
+    const cell = this.fonts[font] || this.fonts[3];
+    this.builder.text({
+      x: xDots,
+      y: yDots,
+      font,
+      rotation: pageRotation,
+      xMul: xMul * this.fontMul,
+      yMul: yMul * this.fontMul,
+      cellWidth: cell.width * xMul,
+      cellHeight: cell.height * yMul,
+      text
+    });
 
     logger.debug('Added text', { x, y, text, font });
 
@@ -194,13 +556,110 @@ class TSPLGenerator {
   }
 
   /**
-   * Add barcode to label (CODE128)
+   * Add text drawn with a TrueType font as a BITMAP
+   * The bitmap has the height of the printer font it replaces and is placed
+   * the way TEXT would place the same text.
+   * @param {object} options - { xDots, yDots, text, font, rotation, xMul, yMul }
+   * @returns {TSPLGenerator} this for chaining
+   * @private
+   */
+  _addTextBitmap(options) {
+    const { xDots, yDots, text, font, rotation, xMul, yMul } = options;
+    const cell = this.fonts[font] || this.fonts[3];
+
+    const image = getTextRasterizer().rasterize(text, cell.height * yMul, { scaleX: xMul / yMul, rotation });
+
+    // TEXT rotates clockwise around x,y; move the bitmap's top-left corner to match
+    let left = xDots;
+    let top = yDots;
+    if (rotation === 90 || rotation === 180) left -= image.width;
+    if (rotation === 180 || rotation === 270) top -= image.height;
+
+    this._addBitmap(left, top, image);
+    logger.debug('Added text bitmap', { x: xDots, y: yDots, text, font, width: image.width, height: image.height });
+
+    return this;
+  }
+
+  /**
+   * Add an image (PNG or JPEG) to label
+   * The image is scaled to fit the box keeping its aspect ratio, centered in
+   * it, and dithered to black and white.
+   * @param {object} options - Image options
+   * @param {number} options.x - X position of the box in mm
+   * @param {number} options.y - Y position of the box in mm
+   * @param {number} options.width - Box width in mm
+   * @param {number} options.height - Box height in mm
+   * @param {string} options.name - Image library name
+   * @param {Buffer|string} options.image - Image file contents or base64 (instead of name)
+   * @param {boolean} options.dither - Floyd-Steinberg dithering (default: true); false thresholds
+   * @param {number} options.threshold - Gray level (0-255) below which dots print (default: 128)
+   * @returns {TSPLGenerator} this for chaining
+   */
+  addImage(options) {
+    const {
+      x = 0,
+      y = 0,
+      width,
+      height,
+      name,
+      image,
+      dither = true,
+      threshold = 128
+    } = options;
+
+    if (!name && !image) {
+      throw new Error('Image name or data is required');
+    }
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error('Image width and height are required');
+    }
+
+    const widthDots = Math.round(width * this.dotsPerMm);
+    const heightDots = Math.round(height * this.dotsPerMm);
+
+    // Library images and base64 strings are converted once per generator
+    const source = name ? `name:${name}` : (typeof image === 'string' ? `data:${image}` : null);
+    const cacheKey = source && `${widthDots}x${heightDots}:${dither}:${threshold}:${source}`;
+    let bitmap = cacheKey && this.imageCache.get(cacheKey);
+    if (!bitmap) {
+      const buffer = name ? getImage(name).data : (Buffer.isBuffer(image) ? image : Buffer.from(image, 'base64'));
+      bitmap = imageToBitmap(buffer, widthDots, heightDots, { dither, threshold });
+      if (cacheKey) this.imageCache.set(cacheKey, bitmap);
+    }
+
+    // BITMAP cannot rotate, so the image itself is turned with the content
+    bitmap = rotateImage(bitmap, this.orientation);
+    const box = this.toPageRect(x, y, width, height);
+    const left = Math.round((box.x + this.horizontalOffset) * this.dotsPerMm + (Math.round(box.width * this.dotsPerMm) - bitmap.width) / 2);
+    const top = Math.round((box.y + this.verticalOffset) * this.dotsPerMm + (Math.round(box.height * this.dotsPerMm) - bitmap.height) / 2);
+    this._addBitmap(left, top, bitmap);
+
+    logger.debug('Added image', { x, y, width, height, name, dots: `${bitmap.width}x${bitmap.height}` });
+
+    return this;
+  }
+
+  /**
+   * Add a 1-bit image (BITMAP in TSPL)
+   * @param {number} xDots - Left in dots
+   * @param {number} yDots - Top in dots
+   * @param {object} image - { width, height, pixels }
+   * @private
+   */
+  _addBitmap(xDots, yDots, image) {
+    this.builder.bitmap(Math.max(0, xDots), Math.max(0, yDots), image);
+  }
+
+  /**
+   * Add a 1D barcode to label
    * @param {object} options - Barcode options
    * @param {number} options.x - X position in mm
    * @param {number} options.y - Y position in mm
    * @param {string} options.data - Data to encode
+   * @param {string} options.symbology - 'code128' (default), 'ean13', 'upca', 'code39', 'itf14'
    * @param {number} options.height - Barcode height in mm
-   * @param {number} options.narrow - Narrow bar width (1-10, default 2)
+   * @param {number} options.narrow - Narrow bar width in dots (1-10, default: 0.25mm)
    * @param {number} options.rotation - Rotation (0, 90, 180, 270)
    * @param {boolean} options.showText - Show human readable text below barcode
    * @returns {TSPLGenerator} this for chaining
@@ -210,8 +669,9 @@ class TSPLGenerator {
       x = 0,
       y = 0,
       data,
+      symbology = 'code128',
       height = 10,
-      narrow = 2,
+      narrow = this.maxNarrow,
       rotation = 0,
       showText = true
     } = options;
@@ -220,19 +680,65 @@ class TSPLGenerator {
       throw new Error('Barcode data is required');
     }
 
-    // Convert mm to dots, applying calibration offsets
-    const xDots = Math.round((x + this.horizontalOffset) * 8);
-    const yDots = Math.round((y + this.verticalOffset) * 8);
-    const heightDots = Math.round(height * 8);
-    const readable = showText ? 1 : 0;
+    const definition = getSymbology(symbology);
+
+    // Convert mm to dots, applying orientation and calibration offsets
+    const { xDots, yDots } = this.toDots(x, y);
+    const heightDots = Math.round(height * this.dotsPerMm);
+
+    // Wide bars only matter for two-width symbologies (Code 39, ITF), which use a 3:1 ratio
+    const wide = definition.twoWidth ? narrow * 3 : narrow * 2;
+    this.builder.barcode({
+      x: xDots,
+      y: yDots,
+      type: definition.tsplType,
+      data: definition.toTsplData(data),
+      height: heightDots,
+      readable: showText,
+      rotation: this.getPageRotation(rotation),
+      narrow,
+      wide
+    });
+
+    logger.debug('Added barcode', { x, y, data, symbology, height });
+
+    return this;
+  }
+
+  /**
+   * Add a GS1-128 barcode (CODE128 with FNC1) to label
+   * @param {object} options - Barcode options
+   * @param {number} options.x - X position in mm
+   * @param {number} options.y - Y position in mm
+   * @param {string} options.elementString - GS1 element string (GS where FNC1 separators go)
+   * @param {number} options.height - Barcode height in mm
+   * @param {number} options.narrow - Narrow bar width in dots (1-10, default: 0.25mm)
+   * @param {number} options.rotation - Rotation (0, 90, 180, 270)
+   * @returns {TSPLGenerator} this for chaining
+   */
+  addGS1Barcode(options) {
+    const {
+      x = 0,
+      y = 0,
+      elementString,
+      height = 10,
+      narrow = this.maxNarrow,
+      rotation = 0
+    } = options;
+
+    if (!elementString) {
+      throw new Error('GS1 element string is required');
+    }
+
+    const { xDots, yDots } = this.toDots(x, y);
+    const heightDots = Math.round(height * this.dotsPerMm);
 
-    // BARCODE syntax: x,y,"code type",height,readable,rotation,narrow,wide,"data"
-    // Using CODE128 which is versatile and common
-    const wide = narrow * 2;
-    const cmd = `BARCODE ${xDots},${yDots},"128",${heightDots},${readable},${rotation},${narrow},${wide},"${data}"`;
-    this.commands.push(cmd);
+    // Human readable text with parenthesised AIs is drawn separately
+    this.builder.gs1Barcode({
+      x: xDots, y: yDots, elementString, height: heightDots, rotation: this.getPageRotation(rotation), narrow
+    });
 
-    logger.debug('Added barcode', { x, y, data, height });
+    logger.debug('Added GS1-128 barcode', { x, y, elementString, height });
 
     return this;
   }
@@ -245,22 +751,20 @@ class TSPLGenerator {
    * @returns {object} Font settings { font, fits, maxChars }
    */
   calculateFontForWidth(text, availableWidthMm, maxFont = LAYOUT_CONFIG.MAX_FONT_SIZE) {
-    const availableDots = availableWidthMm * LAYOUT_CONFIG.DPI;
-    const textLength = text.length;
+    const availableDots = availableWidthMm * this.dotsPerMm;
 
     // Try each font from largest to smallest
     for (let fontNum = Math.min(maxFont, LAYOUT_CONFIG.MAX_FONT_SIZE); fontNum >= LAYOUT_CONFIG.MIN_FONT_SIZE; fontNum--) {
-      const font = LAYOUT_CONFIG.FONTS[fontNum];
-      const textWidthDots = font.width * textLength;
+      const font = this.fonts[fontNum];
       const maxChars = Math.floor(availableDots / font.width);
 
-      if (textWidthDots <= availableDots) {
+      if (this.fitsWidth(text, availableWidthMm, fontNum)) {
         return { font: String(fontNum), fits: true, maxChars, height: font.height };
       }
     }
 
     // Text doesn't fit even with smallest font - return smallest font info
-    const smallestFont = LAYOUT_CONFIG.FONTS[LAYOUT_CONFIG.MIN_FONT_SIZE];
+    const smallestFont = this.fonts[LAYOUT_CONFIG.MIN_FONT_SIZE];
     const maxChars = Math.floor(availableDots / smallestFont.width);
     return { font: String(LAYOUT_CONFIG.MIN_FONT_SIZE), fits: false, maxChars, height: smallestFont.height };
   }
@@ -271,8 +775,8 @@ class TSPLGenerator {
    * @returns {number} Height in mm
    */
   getFontHeightMm(fontNum) {
-    const font = LAYOUT_CONFIG.FONTS[fontNum] || LAYOUT_CONFIG.FONTS[1];
-    return font.height / LAYOUT_CONFIG.DPI;
+    const font = this.fonts[fontNum] || this.fonts[1];
+    return font.height / this.dotsPerMm;
   }
 
   /**
@@ -293,7 +797,7 @@ class TSPLGenerator {
    * @returns {object} Layout dimensions
    */
   getStickerLayout() {
-    const { sticker } = this.pageConfig;
+    const sticker = this.getContentSize();
     const padding = this.padding;
 
     return {
@@ -302,7 +806,7 @@ class TSPLGenerator {
       innerWidth: sticker.width - (padding * 2),
       innerHeight: sticker.height - (padding * 2),
       padding: padding,
-      paddingDots: padding * LAYOUT_CONFIG.DPI
+      paddingDots: padding * this.dotsPerMm
     };
   }
 
@@ -313,8 +817,43 @@ class TSPLGenerator {
    * @returns {number} Max characters
    */
   getMaxCharsForWidth(widthMm, fontNum) {
-    const font = LAYOUT_CONFIG.FONTS[fontNum] || LAYOUT_CONFIG.FONTS[1];
-    return Math.floor((widthMm * LAYOUT_CONFIG.DPI) / font.width);
+    const font = this.fonts[fontNum] || this.fonts[1];
+    return Math.floor((widthMm * this.dotsPerMm) / font.width);
+  }
+
+  /**
+   * Check if text fits in a given width
+   * ASCII is counted in fixed-width printer font cells; other text is measured
+   * with the font it will be rasterized with.
+   * @param {string} text - Text
+   * @param {number} widthMm - Available width in mm
+   * @param {number} fontNum - Font number (1-4)
+   * @returns {boolean} True if it fits
+   */
+  fitsWidth(text, widthMm, fontNum) {
+    if (!needsRasterization(text)) {
+      return text.length <= this.getMaxCharsForWidth(widthMm, fontNum);
+    }
+    return this.getTextWidthMm(text, fontNum) <= widthMm;
+  }
+
+  /**
+   * Get how many leading characters of text fit in a given width
+   * @param {string} text - Text
+   * @param {number} widthMm - Available width in mm
+   * @param {number} fontNum - Font number (1-4)
+   * @returns {number} Length (in UTF-16 units, never splitting a character)
+   */
+  getFittingLength(text, widthMm, fontNum) {
+    if (!needsRasterization(text)) {
+      return Math.min(text.length, this.getMaxCharsForWidth(widthMm, fontNum));
+    }
+    let length = 0;
+    for (const char of text) {
+      if (!this.fitsWidth(text.substring(0, length + char.length), widthMm, fontNum)) break;
+      length += char.length;
+    }
+    return length;
   }
 
   /**
@@ -343,7 +882,7 @@ class TSPLGenerator {
       while (word.length > 0 && lines.length < maxLines) {
         const testLine = currentLine ? currentLine + ' ' + word : word;
 
-        if (testLine.length <= charsPerLine) {
+        if (this.fitsWidth(testLine, maxWidthMm, fontNum)) {
           // Word fits on current line
           currentLine = testLine;
           break; // Move to next word
@@ -359,10 +898,13 @@ class TSPLGenerator {
           }
 
           // Current line is empty, word is too long - hard wrap it
-          if (word.length > charsPerLine) {
+          if (!this.fitsWidth(word, maxWidthMm, fontNum)) {
             // Check if we can break at a hyphen within the line width
-            let breakPoint = charsPerLine;
-            for (let i = charsPerLine - 1; i > 0; i--) {
+            // (at least one character per line, even if it is wider than the line)
+            const firstChar = String.fromCodePoint(word.codePointAt(0));
+            const fitting = Math.max(this.getFittingLength(word, maxWidthMm, fontNum), firstChar.length);
+            let breakPoint = fitting;
+            for (let i = fitting - 1; i > 0; i--) {
               if (word[i] === '-') {
                 breakPoint = i + 1; // Include the hyphen
                 break;
@@ -399,12 +941,7 @@ class TSPLGenerator {
     }
 
     // Final safety check - ensure no line exceeds width
-    return lines.map(line => {
-      if (line.length > charsPerLine) {
-        return line.substring(0, charsPerLine);
-      }
-      return line;
-    });
+    return lines.map(line => line.substring(0, this.getFittingLength(line, maxWidthMm, fontNum)));
   }
 
   /**
@@ -421,12 +958,25 @@ class TSPLGenerator {
   }
 
   /**
-   * Calculate barcode width in dots for CODE128
+   * Calculate barcode width in dots
    * @param {string} data - Barcode data
    * @param {number} narrow - Narrow bar width in dots
+   * @param {string} symbology - Symbology (default: 'code128')
    * @returns {number} Estimated barcode width in dots
    */
-  getBarcodeWidthDots(data, narrow) {
+  getBarcodeWidthDots(data, narrow, symbology = 'code128') {
+    if (symbology !== 'code128') {
+      // Other symbologies are measured from their actual encoding
+      const definition = getSymbology(symbology);
+      const wide = definition.twoWidth ? narrow * 3 : narrow * 2;
+      const { elements } = encodeBarcode(definition.tsplType, definition.toTsplData(data));
+      return elements.reduce((total, { width }) => {
+        if (width === 'wide') return total + wide;
+        if (width === 'narrow') return total + narrow;
+        return total + width * narrow;
+      }, 0);
+    }
+
     // CODE128 structure (quiet zones handled separately by printer):
     // - Start code: 11 modules
     // - Data: 11 modules per character
@@ -444,18 +994,20 @@ class TSPLGenerator {
 
   /**
    * Calculate barcode parameters to fit within width, or return null if can't fit
+   * Fixed-length symbologies (EAN-13, UPC-A, ITF-14) are never truncated.
    * @param {string} data - Barcode data
    * @param {number} maxWidthMm - Maximum width in mm
+   * @param {string} symbology - Symbology (default: 'code128')
    * @returns {object|null} { narrow, truncatedData, widthMm } or null if can't fit at all
    */
-  calculateBarcodeParams(data, maxWidthMm) {
+  calculateBarcodeParams(data, maxWidthMm, symbology = 'code128') {
     if (!data) return null;
 
-    const maxWidthDots = maxWidthMm * LAYOUT_CONFIG.DPI;
+    const maxWidthDots = maxWidthMm * this.dotsPerMm;
 
     // Try with original data, decreasing narrow width
-    for (let narrow = 2; narrow >= 1; narrow--) {
-      const barcodeWidth = this.getBarcodeWidthDots(data, narrow);
+    for (let narrow = this.maxNarrow; narrow >= this.minNarrow; narrow--) {
+      const barcodeWidth = this.getBarcodeWidthDots(data, narrow, symbology);
       // Reserve space for quiet zones (10 modules each side)
       const quietZoneDots = 10 * narrow * 2;
       const totalWidth = barcodeWidth + quietZoneDots;
@@ -465,26 +1017,31 @@ class TSPLGenerator {
           narrow,
           truncatedData: data,
           fits: true,
-          widthMm: barcodeWidth / LAYOUT_CONFIG.DPI,
-          quietZoneMm: (quietZoneDots / 2) / LAYOUT_CONFIG.DPI // per side
+          widthMm: barcodeWidth / this.dotsPerMm,
+          quietZoneMm: (quietZoneDots / 2) / this.dotsPerMm // per side
         };
       }
     }
 
+    if (!getSymbology(symbology).truncatable) {
+      return null;
+    }
+
     // Try truncating the data (only if necessary)
+    const narrow = this.minNarrow;
     for (let len = data.length - 1; len >= 4; len--) {
       const truncated = data.substring(0, len);
-      const barcodeWidth = this.getBarcodeWidthDots(truncated, 1);
-      const quietZoneDots = 10 * 1 * 2;
+      const barcodeWidth = this.getBarcodeWidthDots(truncated, narrow, symbology);
+      const quietZoneDots = 10 * narrow * 2;
       const totalWidth = barcodeWidth + quietZoneDots;
 
       if (totalWidth <= maxWidthDots) {
         return {
-          narrow: 1,
+          narrow,
           truncatedData: truncated,
           fits: true,
-          widthMm: barcodeWidth / LAYOUT_CONFIG.DPI,
-          quietZoneMm: (quietZoneDots / 2) / LAYOUT_CONFIG.DPI
+          widthMm: barcodeWidth / this.dotsPerMm,
+          quietZoneMm: (quietZoneDots / 2) / this.dotsPerMm
         };
       }
     }
@@ -493,6 +1050,86 @@ class TSPLGenerator {
     return null;
   }
 
+  /**
+   * Calculate GS1-128 parameters to fit within width (never truncated)
+   * @param {string} elementString - GS1 element string
+   * @param {number} maxWidthMm - Maximum width in mm
+   * @returns {object|null} { narrow, widthMm } or null if can't fit
+   */
+  calculateGS1BarcodeParams(elementString, maxWidthMm) {
+    const { elements } = encodeGS1128(elementString);
+    const modules = elements.reduce((total, { width }) => total + width, 0);
+    const maxWidthDots = maxWidthMm * this.dotsPerMm;
+
+    for (let narrow = this.maxNarrow; narrow >= this.minNarrow; narrow--) {
+      // Same quiet zones as calculateBarcodeParams (10 modules each side)
+      if ((modules + 20) * narrow <= maxWidthDots) {
+        return { narrow, widthMm: (modules * narrow) / this.dotsPerMm };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Calculate the DataMatrix module size that fits a square area
+   * @param {string} data - DataMatrix data
+   * @param {number} sizeMm - Available size in mm
+   * @param {boolean} gs1 - Data is a GS1 element string
+   * @returns {object|null} { moduleSize, symbolSize, sizeMm } or null if can't fit
+   */
+  calculateDataMatrixParams(data, sizeMm, gs1 = false) {
+    const symbol = getDataMatrixSymbol(data, { gs1 });
+    if (!symbol) return null;
+
+    const moduleSize = Math.floor((sizeMm * this.dotsPerMm) / symbol.size);
+    if (moduleSize < 1) return null;
+
+    return {
+      moduleSize,
+      symbolSize: symbol.size,
+      sizeMm: (symbol.size * moduleSize) / this.dotsPerMm
+    };
+  }
+
+  /**
+   * Calculate PDF417 module width, row height and columns that fit an area
+   * @param {string} data - PDF417 data
+   * @param {number} widthMm - Available width in mm
+   * @param {number} heightMm - Available height in mm
+   * @returns {object|null} { moduleWidth, rowHeight, columns, rows, eccLevel, widthMm, heightMm } or null
+   */
+  calculatePDF417Params(data, widthMm, heightMm) {
+    const layout = fitPDF417(data, widthMm * this.dotsPerMm, heightMm * this.dotsPerMm);
+    if (!layout) return null;
+
+    return {
+      ...layout,
+      widthMm: layout.width / this.dotsPerMm,
+      heightMm: layout.height / this.dotsPerMm
+    };
+  }
+
+  /**
+   * Calculate the Aztec module size that fits a square area
+   * @param {string} data - Aztec data
+   * @param {number} sizeMm - Available size in mm
+   * @returns {object|null} { moduleSize, symbolSize, sizeMm } or null if can't fit
+   */
+  calculateAztecParams(data, sizeMm) {
+    const symbol = getAztecSymbol(data);
+    if (!symbol) return null;
+
+    // Printers accept module sizes 1-20 dots
+    const moduleSize = Math.min(20, Math.floor((sizeMm * this.dotsPerMm) / symbol.size));
+    if (moduleSize < 1) return null;
+
+    return {
+      moduleSize,
+      symbolSize: symbol.size,
+      sizeMm: (symbol.size * moduleSize) / this.dotsPerMm
+    };
+  }
+
   /**
    * Find the best font size that fits text in available width
    * @param {string} text - Text to fit
@@ -502,8 +1139,7 @@ class TSPLGenerator {
    */
   findBestFont(text, maxWidthMm, maxFont = 3) {
     for (let fontNum = maxFont; fontNum >= LAYOUT_CONFIG.MIN_FONT_SIZE; fontNum--) {
-      const maxChars = this.getMaxCharsForWidth(maxWidthMm, fontNum);
-      if (text.length <= maxChars) {
+      if (this.fitsWidth(text, maxWidthMm, fontNum)) {
         return fontNum;
       }
     }
@@ -536,10 +1172,9 @@ class TSPLGenerator {
            fontNum--) {
 
         const lines = this.wrapText(text, widthMm, fontNum, targetLines);
-        const wrappedLength = lines.reduce((sum, line) => sum + line.length, 0);
 
         // All text preserved? This is optimal for this line count
-        if (wrappedLength >= text.length) {
+        if (this.keepsAllText(text, lines)) {
           return { font: fontNum, lines, fits: true };
         }
       }
@@ -554,6 +1189,47 @@ class TSPLGenerator {
     };
   }
 
+  /**
+   * Find the best layout for GS1 human readable text
+   * Lines break only between element strings, so an AI always stays with its
+   * whole value. Like findOptimalLayout, fewer lines beat a larger font.
+   * @param {string[]} parts - Element strings as text, e.g. ['(01)09501101530003', '(10)AB-123']
+   * @param {number} widthMm - Available width in mm
+   * @param {number} maxLines - Maximum lines allowed
+   * @param {number} maxFont - Maximum font to try (default 1)
+   * @returns {object} { font, lines }
+   * @throws {Error} If the element strings do not fit even in the smallest font
+   */
+  findGS1Layout(parts, widthMm, maxLines, maxFont = 1) {
+    for (let targetLines = 1; targetLines <= maxLines; targetLines++) {
+      for (let fontNum = Math.min(maxFont, LAYOUT_CONFIG.MAX_FONT_SIZE); fontNum >= LAYOUT_CONFIG.MIN_FONT_SIZE; fontNum--) {
+        const lines = [];
+        for (const part of parts) {
+          const joined = lines.length > 0 ? `${lines[lines.length - 1]} ${part}` : null;
+          if (joined && this.fitsWidth(joined, widthMm, fontNum)) {
+            lines[lines.length - 1] = joined;
+          } else {
+            lines.push(part);
+          }
+        }
+        if (lines.length <= targetLines && lines.every(line => this.fitsWidth(line, widthMm, fontNum))) {
+          return { font: fontNum, lines };
+        }
+      }
+    }
+    throw new Error(`GS1 human readable text does not fit in ${Math.round(widthMm * 10) / 10}mm on ${maxLines} line(s)`);
+  }
+
+  /**
+   * Check if wrapped lines kept all of the text (spaces at line breaks are dropped)
+   * @param {string} text - Original text
+   * @param {string[]} lines - Lines from wrapText
+   * @returns {boolean} True if nothing was cut
+   */
+  keepsAllText(text, lines) {
+    return lines.join('').replace(/\s/g, '').length >= text.replace(/\s/g, '').length;
+  }
+
   /**
    * Calculate text width in mm for a given text and font
    * @param {string} text - Text to measure
@@ -562,8 +1238,11 @@ class TSPLGenerator {
    */
   getTextWidthMm(text, fontNum) {
     if (!text) return 0;
-    const font = LAYOUT_CONFIG.FONTS[fontNum] || LAYOUT_CONFIG.FONTS[1];
-    return (font.width * text.length) / LAYOUT_CONFIG.DPI;
+    const font = this.fonts[fontNum] || this.fonts[1];
+    if (needsRasterization(text)) {
+      return getTextRasterizer().measureText(text, font.height) / this.dotsPerMm;
+    }
+    return (font.width * text.length) / this.dotsPerMm;
   }
 
   /**
@@ -573,7 +1252,7 @@ class TSPLGenerator {
    * @param {number} options.y - Y position in mm
    * @param {number} options.width - Width in mm
    * @param {number} options.height - Height in mm
-   * @param {number} options.thickness - Line thickness in dots
+   * @param {number} options.thickness - Line thickness in dots (default: 0.25mm)
    * @returns {TSPLGenerator} this for chaining
    */
   addBox(options) {
@@ -582,18 +1261,45 @@ class TSPLGenerator {
       y = 0,
       width,
       height,
-      thickness = 2
+      thickness = Math.round(this.dotsPerMm / 4)
+    } = options;
+
+    // Convert mm to dots, applying orientation and calibration offsets
+    const box = this.toPageRect(x, y, width, height);
+    const xDots = Math.round((box.x + this.horizontalOffset) * this.dotsPerMm);
+    const yDots = Math.round((box.y + this.verticalOffset) * this.dotsPerMm);
+    const xEndDots = Math.round((box.x + box.width + this.horizontalOffset) * this.dotsPerMm);
+    const yEndDots = Math.round((box.y + box.height + this.verticalOffset) * this.dotsPerMm);
+
+    this.builder.box({ x: xDots, y: yDots, xEnd: xEndDots, yEnd: yEndDots, thickness });
+
+    return this;
+  }
+
+  /**
+   * Add a filled rectangle (lines and rules) to the label
+   * @param {object} options - Line options
+   * @param {number} options.x - X position in mm
+   * @param {number} options.y - Y position in mm
+   * @param {number} options.width - Width in mm
+   * @param {number} options.height - Height in mm
+   * @returns {TSPLGenerator} this for chaining
+   */
+  addLine(options) {
+    const {
+      x = 0,
+      y = 0,
+      width,
+      height
     } = options;
 
-    // Convert mm to dots, applying calibration offsets
-    const xDots = Math.round((x + this.horizontalOffset) * 8);
-    const yDots = Math.round((y + this.verticalOffset) * 8);
-    const xEndDots = Math.round((x + width + this.horizontalOffset) * 8);
-    const yEndDots = Math.round((y + height + this.verticalOffset) * 8);
+    const bar = this.toPageRect(x, y, width, height);
+    const xDots = Math.round((bar.x + this.horizontalOffset) * this.dotsPerMm);
+    const yDots = Math.round((bar.y + this.verticalOffset) * this.dotsPerMm);
+    const widthDots = Math.max(1, Math.round(bar.width * this.dotsPerMm));
+    const heightDots = Math.max(1, Math.round(bar.height * this.dotsPerMm));
 
-    // BOX syntax: x_start,y_start,x_end,y_end,line_thickness
-    const cmd = `BOX ${xDots},${yDots},${xEndDots},${yEndDots},${thickness}`;
-    this.commands.push(cmd);
+    this.builder.bar({ x: xDots, y: yDots, width: widthDots, height: heightDots });
 
     return this;
   }
@@ -605,65 +1311,110 @@ class TSPLGenerator {
    * @returns {TSPLGenerator} this for chaining
    */
   print(quantity = 1, copies = 1) {
-    // PRINT quantity,copies
-    this.commands.push(`PRINT ${quantity},${copies}`);
+    this.builder.print(quantity, copies);
     return this;
   }
 
   /**
-   * Add content to a single sticker at specified column
+   * Add content to a single sticker at specified column and row
    * @param {object} data - Label data
    * @param {number} column - Column index (0-indexed)
+   * @param {number} row - Row index on a sheet (0-indexed)
    * @private
    */
-  _addStickerContent(data, column = 0) {
-    const { title, subtitle, codeData, layoutType, itemQuantity } = data;
+  _addStickerContent(data, column = 0, row = 0) {
+    const { title, symbology, layoutType, itemQuantity, gs1, images, template } = data;
+    let { subtitle, codeData } = data;
     const layout = this.getStickerLayout();
+    const rowOffset = this.getRowOffset(row);
+    this.stickerOrigin = { x: this.getColumnOffset(column), y: rowOffset };
+
+    if (template) {
+      this._layoutTemplate(this.getColumnOffset(column), rowOffset, fillTemplate(template, data.fields));
+      return;
+    }
+
+    // GS1 data replaces codeData: Digital Link for QR, element strings otherwise.
+    // 2D layouts show the AIs as subtitle when there is none; barcodes print them under the bars.
+    let gs1Text = null;
+    if (gs1) {
+      codeData = layoutType === 'qr' ? toDigitalLink(gs1.elements) : gs1.elementString;
+      if (layoutType !== 'barcode' && !subtitle) {
+        subtitle = gs1.text;
+        gs1Text = gs1.parts;
+      }
+    }
+
     const colOffset = this.getColumnOffset(column);
 
     // Content area starts at padding offset
     const contentX = colOffset + layout.padding;
-    const contentY = layout.padding;
+    const contentY = rowOffset + layout.padding;
     const contentWidth = layout.innerWidth;
     const contentHeight = layout.innerHeight;
 
-    if (layoutType === 'qr' && codeData) {
-      this._layoutQR(contentX, contentY, contentWidth, contentHeight, title, subtitle, codeData, itemQuantity);
+    if ((layoutType === 'qr' || layoutType === 'datamatrix') && codeData) {
+      this._layoutQR(contentX, contentY, contentWidth, contentHeight, title, subtitle, codeData, itemQuantity, layoutType, !!gs1, gs1Text);
     } else if (layoutType === 'text-only') {
-      this._layoutTextOnly(contentX, contentY, contentWidth, contentHeight, title, subtitle);
+      this._layoutTextOnly(contentX, contentY, contentWidth, contentHeight, title, subtitle, gs1Text);
     } else {
-      this._layoutBarcode(contentX, contentY, contentWidth, contentHeight, title, subtitle, codeData);
+      this._layoutBarcode(contentX, contentY, contentWidth, contentHeight, title, subtitle, codeData, symbology, gs1);
+    }
+
+    // Images go on top of the layout, positioned from the sticker's top-left corner
+    for (const image of images || []) {
+      const { name, data: imageData, x = 0, y = 0, width, height, dither, threshold } = image;
+      this.addImage({ x: colOffset + x, y: rowOffset + y, width, height, name, image: imageData, dither, threshold });
     }
   }
 
   /**
-   * Layout for QR code with text (QR left-aligned, text vertically distributed)
+   * Layout for QR code or DataMatrix with text (code left-aligned, text vertically distributed)
    * Supports 3 fields: title (SKU - bold), subtitle (Batch), quantity
    * Layout: SKU at top, Batch in middle, Qty at bottom
    * Uses dynamic font sizing: fewer lines with larger fonts preferred
+   * Content areas taller than wide (stickers turned 90 or 270 degrees) put
+   * the code at the top and the text below it.
+   * gs1Text: GS1 element strings shown as the subtitle, wrapped between
+   * element strings; text that does not fit is an error rather than cut.
    * @private
    */
-  _layoutQR(x, y, width, height, title, subtitle, qrData, quantity) {
+  _layoutQR(x, y, width, height, title, subtitle, qrData, quantity, codeType = 'qr', gs1 = false, gs1Text = null) {
     const qrTextGap = 1; // 1mm gap between QR and text
+    const stacked = height > width;
 
-    // QR code: square, full inner height, left-aligned
-    const qrSizeMm = height;
-    const qrCellWidth = Math.max(1, Math.floor((qrSizeMm * LAYOUT_CONFIG.DPI) / 25));
-
-    this.addQRCode({
-      x: x,
-      y: y,
-      data: qrData,
-      eccLevel: 'M',
-      cellWidth: qrCellWidth,
-      rotation: 0
-    });
+    // Code: square, as large as the short side, top-left
+    const codeAreaMm = Math.min(width, height);
+    let qrSizeMm = codeAreaMm;
+
+    if (codeType === 'datamatrix') {
+      // Module size from the actual symbol size; text starts next to the symbol
+      const params = this.calculateDataMatrixParams(qrData, codeAreaMm, gs1);
+      if (!params) {
+        throw new Error(`DataMatrix data is too long for a ${Math.round(codeAreaMm * 10) / 10}mm symbol`);
+      }
+      this.addDataMatrix({ x, y, data: qrData, gs1, size: codeAreaMm, moduleSize: params.moduleSize });
+      qrSizeMm = params.sizeMm;
+    } else {
+      const qrCellWidth = Math.max(1, Math.floor((qrSizeMm * this.dotsPerMm) / 25));
+
+      this.addQRCode({
+        x: x,
+        y: y,
+        data: qrData,
+        eccLevel: 'M',
+        cellWidth: qrCellWidth,
+        rotation: 0
+      });
+    }
 
-    // Text area to the right of QR
-    const textX = x + qrSizeMm + qrTextGap;
-    const textWidth = width - qrSizeMm - qrTextGap;
+    // Text area to the right of the code, or below it
+    const textX = stacked ? x : x + qrSizeMm + qrTextGap;
+    const textY = stacked ? y + qrSizeMm + qrTextGap : y;
+    const textWidth = stacked ? width : width - qrSizeMm - qrTextGap;
+    const textHeight = stacked ? height - qrSizeMm - qrTextGap : height;
 
-    if (textWidth < 3) {
+    if (textWidth < 3 || textHeight < this.getFontHeightMm(1)) {
       return;
     }
 
@@ -680,9 +1431,12 @@ class TSPLGenerator {
 
     // Find optimal layout for subtitle (Batch) - max 2 lines, max font 2
     const hasSubtitle = !!subtitle;
-    const subtitleLayout = hasSubtitle
-      ? this.findOptimalLayout(subtitle, textWidth, 2, 2)
-      : { font: 1, lines: [], fits: true };
+    let subtitleLayout = { font: 1, lines: [], fits: true };
+    if (gs1Text) {
+      subtitleLayout = this.findGS1Layout(gs1Text, textWidth, 2, 2);
+    } else if (hasSubtitle) {
+      subtitleLayout = this.findOptimalLayout(subtitle, textWidth, 2, 2);
+    }
     const subtitleLines = subtitleLayout.lines;
     const subtitleFont = subtitleLayout.font;
     const subtitleLineHeight = this.getFontHeightMm(subtitleFont);
@@ -702,15 +1456,15 @@ class TSPLGenerator {
     // Calculate spacing between sections
     const numSections = (titleLines.length > 0 ? 1 : 0) + (subtitleLines.length > 0 ? 1 : 0) + (hasQuantity ? 1 : 0);
     const totalContentHeight = titleHeight + subtitleHeight + qtyHeight;
-    const availableSpace = height - totalContentHeight;
+    const availableSpace = textHeight - totalContentHeight;
     const sectionGap = numSections > 1 ? Math.max(0.5, availableSpace / (numSections + 1)) : 0;
 
     // Start rendering from top with calculated spacing
-    let currentY = y + sectionGap;
+    let currentY = textY + sectionGap;
 
     // Render SKU (title) - dynamic font, wrapped
     for (const line of titleLines) {
-      if (currentY + skuLineHeight > y + height) break;
+      if (currentY + skuLineHeight > textY + textHeight) break;
       this.addText({
         x: textX,
         y: currentY,
@@ -729,7 +1483,10 @@ class TSPLGenerator {
 
     // Render Batch (subtitle) - dynamic font, wrapped
     for (const line of subtitleLines) {
-      if (currentY + subtitleLineHeight > y + height) break;
+      if (currentY + subtitleLineHeight > textY + textHeight) {
+        if (gs1Text) throw new Error(`GS1 human readable text does not fit in ${Math.round(textHeight * 10) / 10}mm height`);
+        break;
+      }
       this.addText({
         x: textX,
         y: currentY,
@@ -743,7 +1500,7 @@ class TSPLGenerator {
 
     // Render Qty text at bottom (fixed position)
     if (hasQuantity) {
-      const qtyY = y + height - qtyLineHeight;
+      const qtyY = textY + textHeight - qtyLineHeight;
       this.addText({
         x: textX,
         y: qtyY,
@@ -757,9 +1514,10 @@ class TSPLGenerator {
 
   /**
    * Layout for text only (title + subtitle)
+   * gs1Text: GS1 element strings shown as the subtitle (see _layoutQR)
    * @private
    */
-  _layoutTextOnly(x, y, width, height, title, subtitle) {
+  _layoutTextOnly(x, y, width, height, title, subtitle, gs1Text = null) {
     let currentY = y;
     const lineSpacing = 0.5;
 
@@ -778,6 +1536,21 @@ class TSPLGenerator {
       currentY += titleLineHeight + lineSpacing;
     }
 
+    // GS1 text in the smallest font, on as many lines as are left; never cut
+    if (gs1Text) {
+      const gs1Font = LAYOUT_CONFIG.MIN_FONT_SIZE;
+      const maxLines = this.getMaxLinesForHeight(y + height - currentY, gs1Font, lineSpacing);
+      if (maxLines < 1) {
+        throw new Error('GS1 human readable text does not fit below the title');
+      }
+      const { lines } = this.findGS1Layout(gs1Text, width, maxLines, gs1Font);
+      for (const line of lines) {
+        this.addText({ x: x, y: currentY, text: line, font: String(gs1Font), xMul: 1, yMul: 1 });
+        currentY += this.getFontHeightMm(gs1Font) + lineSpacing;
+      }
+      return;
+    }
+
     // Subtitle
     if (hasSubtitle && currentY + 1.5 <= y + height) {
       const subtitleFont = this.findBestFont(subtitle, width, 2);
@@ -794,9 +1567,12 @@ class TSPLGenerator {
 
   /**
    * Layout for barcode with text (stacked vertically, text centered)
+   * In content areas taller than wide (stickers turned 90 or 270 degrees), a
+   * barcode too long for the width runs along the right edge instead, with
+   * the text beside it.
    * @private
    */
-  _layoutBarcode(x, y, width, height, title, subtitle, barcodeData) {
+  _layoutBarcode(x, y, width, height, title, subtitle, barcodeData, symbology = 'code128', gs1 = null) {
     const lineSpacing = 0.3;
     const hasBarcode = !!barcodeData;
     const hasSubtitle = !!subtitle;
@@ -804,49 +1580,105 @@ class TSPLGenerator {
     // Calculate barcode space (if barcode fits)
     let barcodeParams = null;
     let barcodeHeight = 0;
-
-    if (hasBarcode) {
-      barcodeParams = this.calculateBarcodeParams(barcodeData, width);
-      if (barcodeParams) {
+    let sideways = false;
+    let hriLines = [];
+    let hriHeight = 0;
+
+    if (gs1) {
+      barcodeParams = this.calculateGS1BarcodeParams(gs1.elementString, width);
+      if (!barcodeParams) {
+        throw new Error(`GS1-128 barcode does not fit in ${Math.round(width * 10) / 10}mm`);
+      }
+      barcodeHeight = Math.min(4, height * 0.3);
+      // Human readable interpretation under the bars, wrapped between element strings
+      hriLines = this.findGS1Layout(gs1.parts, width, 2).lines;
+      hriHeight = hriLines.length * (this.getFontHeightMm(1) + lineSpacing);
+    } else if (hasBarcode) {
+      barcodeParams = this.calculateBarcodeParams(barcodeData, width, symbology);
+      if (!barcodeParams && height > width) {
+        barcodeParams = this.calculateBarcodeParams(barcodeData, height, symbology);
+        sideways = !!barcodeParams;
+      }
+      if (sideways) {
+        barcodeHeight = Math.min(4, width * 0.35); // Max 4mm or 35% of the width it takes
+      } else if (barcodeParams) {
         barcodeHeight = Math.min(4, height * 0.35); // Max 4mm or 35% of height
+      } else if (!getSymbology(symbology).truncatable) {
+        // Dropping a retail barcode silently would produce unscannable packaging
+        throw new Error(`${getSymbology(symbology).name} barcode does not fit in ${Math.round(width * 10) / 10}mm`);
       }
     }
 
-    // Available height for text
-    const textAreaHeight = height - barcodeHeight - (barcodeHeight > 0 ? 0.5 : 0);
+    // Available space for text: above the barcode, or left of a sideways one
+    const textWidth = sideways ? width - barcodeHeight - 0.5 : width;
+    const textAreaHeight = sideways ? height : height - barcodeHeight - hriHeight - (barcodeHeight > 0 ? 0.5 : 0);
     let currentY = y;
 
     // Title: find best font, wrap if needed
-    const titleFont = this.findBestFont(title, width, 2);
+    const titleFont = this.findBestFont(title, textWidth, 2);
     const titleLineHeight = this.getFontHeightMm(titleFont);
     const titleMaxLines = hasSubtitle ? 1 : 2;
-    const titleLines = this.wrapText(title, width, titleFont, titleMaxLines);
+    const titleLines = this.wrapText(title, textWidth, titleFont, titleMaxLines);
 
     for (const line of titleLines) {
       if (currentY + titleLineHeight > y + textAreaHeight) break;
       // Center the title line
       const lineWidth = this.getTextWidthMm(line, titleFont);
-      const centeredX = x + (width - lineWidth) / 2;
+      const centeredX = x + (textWidth - lineWidth) / 2;
       this.addText({ x: centeredX, y: currentY, text: line, font: String(titleFont), xMul: 1, yMul: 1 });
       currentY += titleLineHeight + lineSpacing;
     }
 
     // Subtitle (single line, smaller font, centered)
     if (hasSubtitle && currentY + 1.5 <= y + textAreaHeight) {
-      const subtitleFont = this.findBestFont(subtitle, width, 1);
-      const maxChars = this.getMaxCharsForWidth(width, subtitleFont);
+      const subtitleFont = this.findBestFont(subtitle, textWidth, 1);
+      const maxChars = this.getFittingLength(subtitle, textWidth, subtitleFont);
       const displaySubtitle = this.truncateText(subtitle, maxChars);
       const subtitleLineHeight = this.getFontHeightMm(subtitleFont);
 
       if (currentY + subtitleLineHeight <= y + textAreaHeight) {
         // Center the subtitle
         const subtitleWidth = this.getTextWidthMm(displaySubtitle, subtitleFont);
-        const centeredSubX = x + (width - subtitleWidth) / 2;
+        const centeredSubX = x + (textWidth - subtitleWidth) / 2;
         this.addText({ x: centeredSubX, y: currentY, text: displaySubtitle, font: String(subtitleFont), xMul: 1, yMul: 1 });
         currentY += subtitleLineHeight + lineSpacing;
       }
     }
 
+    if (gs1) {
+      const barcodeY = y + height - hriHeight - barcodeHeight;
+      this.addGS1Barcode({
+        x: x + (width - barcodeParams.widthMm) / 2,
+        y: barcodeY,
+        elementString: gs1.elementString,
+        height: barcodeHeight,
+        narrow: barcodeParams.narrow
+      });
+
+      let hriY = barcodeY + barcodeHeight + lineSpacing;
+      for (const line of hriLines) {
+        const lineWidth = this.getTextWidthMm(line, 1);
+        this.addText({ x: x + (width - lineWidth) / 2, y: hriY, text: line, font: '1', xMul: 1, yMul: 1 });
+        hriY += this.getFontHeightMm(1) + lineSpacing;
+      }
+      return;
+    }
+
+    // Sideways barcode: turned 90 degrees around its top-left corner, so it extends left of x
+    if (sideways) {
+      this.addBarcode({
+        x: x + width,
+        y: y + (height - barcodeParams.widthMm) / 2,
+        data: barcodeParams.truncatedData,
+        symbology,
+        height: barcodeHeight,
+        narrow: barcodeParams.narrow,
+        rotation: 90,
+        showText: false
+      });
+      return;
+    }
+
     // Barcode at the bottom, centered (only if it fits)
     if (barcodeParams) {
       const barcodeY = y + height - barcodeHeight;
@@ -857,6 +1689,7 @@ class TSPLGenerator {
         x: centeredBarcodeX,
         y: barcodeY,
         data: barcodeParams.truncatedData,
+        symbology,
         height: barcodeHeight,
         narrow: barcodeParams.narrow,
         showText: false
@@ -864,28 +1697,219 @@ class TSPLGenerator {
     }
   }
 
+  /**
+   * Layout from a label template (elements positioned from the sticker's top-left corner)
+   * @param {number} x - Sticker left in mm
+   * @param {number} y - Sticker top in mm
+   * @param {Array} elements - Template elements with placeholders filled in
+   * @private
+   */
+  _layoutTemplate(x, y, elements) {
+    const sticker = this.getContentSize();
+
+    elements.forEach((element, index) => {
+      const { type, x: left = 0, y: top = 0 } = element;
+      const width = element.width ?? element.size;
+      const height = element.height ?? element.size;
+      const fail = (message) => {
+        throw new Error(`Template element ${index} (${type}): ${message}`);
+      };
+
+      if (left + width > sticker.width + 0.01 || (height !== undefined && top + height > sticker.height + 0.01)) {
+        fail(`does not fit on the ${sticker.width}x${sticker.height}mm sticker`);
+      }
+
+      switch (type) {
+        case 'text':
+          if (element.text) this._layoutTemplateText(x + left, y + top, element);
+          break;
+
+        case 'barcode': {
+          if (!element.data) break;
+          const symbology = element.symbology || 'code128';
+          const barcodeError = validateBarcodeData(symbology, element.data);
+          if (barcodeError) fail(barcodeError);
+          const params = this.calculateBarcodeParams(element.data, width, symbology);
+          if (!params) fail(`${getSymbology(symbology).name} barcode does not fit in ${width}mm`);
+          this.addBarcode({
+            x: x + left + (width - params.widthMm) / 2,
+            y: y + top,
+            data: params.truncatedData,
+            symbology,
+            height,
+            narrow: params.narrow,
+            showText: false
+          });
+          break;
+        }
+
+        case 'qr':
+          if (!element.data) break;
+          // Same sizing as the qr layout
+          this.addQRCode({
+            x: x + left,
+            y: y + top,
+            data: element.data,
+            eccLevel: 'M',
+            cellWidth: Math.max(1, Math.floor((width * this.dotsPerMm) / 25))
+          });
+          break;
+
+        case 'datamatrix': {
+          if (!element.data) break;
+          const params = this.calculateDataMatrixParams(element.data, width);
+          if (!params) fail(`data is too long for a ${width}mm symbol`);
+          this.addDataMatrix({ x: x + left, y: y + top, data: element.data, size: width, moduleSize: params.moduleSize });
+          break;
+        }
+
+        case 'box':
+          this.addBox({
+            x: x + left,
+            y: y + top,
+            width,
+            height,
+            thickness: Math.max(1, Math.round((element.thickness || 0.25) * this.dotsPerMm))
+          });
+          break;
+
+        case 'line':
+          this.addLine({ x: x + left, y: y + top, width, height });
+          break;
+
+        case 'image':
+          if (!element.name && !element.data) break;
+          try {
+            this.addImage({
+              x: x + left,
+              y: y + top,
+              width,
+              height,
+              name: element.name,
+              image: element.data,
+              dither: element.dither,
+              threshold: element.threshold
+            });
+          } catch (error) {
+            fail(error.message);
+          }
+          break;
+
+        default:
+          fail('unknown element type');
+      }
+    });
+  }
+
+  /**
+   * Template text block: wrapped and shrunk to fit its box
+   * Uses the largest font, from element.font down, at which all the text fits
+   * in the lines the box height (and element.maxLines) allows. Unlike
+   * findOptimalLayout, a larger font on more lines beats a single small line.
+   * Text that does not fit even at the smallest font is cut.
+   * @param {number} x - Left in mm
+   * @param {number} y - Top in mm
+   * @param {object} element - { text, width, height, font, maxLines, wrap, shrink, align }
+   * @private
+   */
+  _layoutTemplateText(x, y, element) {
+    const { text, width, height, font = 3, wrap = true, shrink = true, align = 'left' } = element;
+    const lineSpacing = 0.5;
+
+    // Without a maxLines, wrapped text may fill the box height
+    const maxLines = wrap ? (element.maxLines || (height ? 10 : 1)) : 1;
+    const linesFor = (fontNum) => (height
+      ? Math.min(maxLines, this.getMaxLinesForHeight(height, fontNum, lineSpacing))
+      : maxLines);
+
+    let layout = null;
+    for (let fontNum = font; shrink && !layout && fontNum >= LAYOUT_CONFIG.MIN_FONT_SIZE; fontNum--) {
+      if (linesFor(fontNum) < 1) continue;
+      const lines = this.wrapText(text, width, fontNum, linesFor(fontNum));
+      if (this.keepsAllText(text, lines)) {
+        layout = { font: fontNum, lines };
+      }
+    }
+    if (!layout) {
+      const fontNum = shrink ? LAYOUT_CONFIG.MIN_FONT_SIZE : font;
+      layout = { font: fontNum, lines: this.wrapText(text, width, fontNum, Math.max(1, linesFor(fontNum))) };
+    }
+
+    const lineHeight = this.getFontHeightMm(layout.font);
+    let currentY = y;
+    for (const line of layout.lines) {
+      const lineWidth = this.getTextWidthMm(line, layout.font);
+      let lineX = x;
+      if (align === 'center') lineX = x + (width - lineWidth) / 2;
+      if (align === 'right') lineX = x + width - lineWidth;
+      this.addText({ x: lineX, y: currentY, text: line, font: String(layout.font), xMul: 1, yMul: 1 });
+      currentY += lineHeight + lineSpacing;
+    }
+  }
+
+  /**
+   * Prepare GS1 data for the sticker layouts
+   * @param {object} gs1 - GS1 AI to value map (optional)
+   * @returns {object|null} { elements, elementString, text, parts } or null without GS1 data
+   * @private
+   */
+  _prepareGS1(gs1) {
+    if (!gs1) return null;
+    const elements = normalizeGS1(gs1);
+    // Human readable text, and each element string on its own for layouts that wrap it
+    return {
+      elements,
+      elementString: toElementString(elements),
+      text: toHumanReadable(elements, ' '),
+      parts: elements.map(element => toHumanReadable([element]))
+    };
+  }
+
   /**
    * Generate a label with text and barcode
    * Layout: Title (line 1), Subtitle (line 2), Barcode (line 3)
    * @param {object} data - Label data
    * @param {string} data.qrData - Data for QR code (legacy, used as barcode if no barcodeData)
    * @param {string} data.barcodeData - Data for barcode
+   * @param {string} data.symbology - Barcode symbology (default: 'code128')
+   * @param {object} data.gs1 - GS1 AI to value map; encoded as GS1-128, GS1 DataMatrix or GS1 Digital Link QR
+   * @param {Array} data.images - Images [{ name or data, x, y, width, height }] in mm from the sticker's top-left
    * @param {string} data.title - Title text (SKU) - max 22 chars for QR layout
    * @param {string} data.subtitle - Subtitle text (Batch) - max 34 chars for QR layout
    * @param {string} data.itemQuantity - Quantity text to display on label (for QR layout)
    * @param {number} data.quantity - Number of labels to print (rows)
-   * @param {string} data.layout - Layout type: 'barcode' (default), 'qr', 'text-only'
+   * @param {string} data.layout - Layout type: 'barcode' (default), 'qr', 'datamatrix', 'text-only'
+   * @param {number} data.startPosition - First free position on the first page (default: 1)
+   * @param {object} data.serial - Serial numbers { first, step } for {seq} placeholders (optional)
    * @returns {string} TSPL commands
    */
   generateProductLabel(data) {
+    const { quantity = 1, startPosition = 1, serial } = data;
+
+    if (serial) {
+      // Every copy has its own number, so copies cannot share a PRINT command
+      return this._printEach(quantity, startPosition, (i) => this._getProductContent(fillSerial(data, getSerialNumber(serial, i))));
+    }
+    return this._printCopies(this._getProductContent(data), quantity, startPosition);
+  }
+
+  /**
+   * Get the sticker content of a product label
+   * @param {object} data - Label data (see generateProductLabel)
+   * @returns {object} Sticker content (see _addStickerContent)
+   * @private
+   */
+  _getProductContent(data) {
     const {
       qrData,
       barcodeData,
+      symbology = 'code128',
       title,
       subtitle,
       itemQuantity,
-      quantity = 1,
-      layout = 'barcode'
+      layout = 'barcode',
+      gs1,
+      images
     } = data;
 
     const codeData = barcodeData || qrData;
@@ -894,10 +1918,69 @@ class TSPLGenerator {
       throw new Error('title is required');
     }
 
+    return {
+      title, subtitle, codeData, symbology, layoutType: layout, itemQuantity, gs1: this._prepareGS1(gs1), images
+    };
+  }
+
+  /**
+   * Generate a label from a template
+   * @param {object} data - Label data
+   * @param {object} data.template - Label template { name, elements }
+   * @param {object} data.data - Values for the template's {{field}} placeholders
+   * @param {number} data.quantity - Number of labels to print
+   * @param {number} data.startPosition - First free position on the first page (default: 1)
+   * @param {object} data.serial - Serial numbers { first, step } for {seq} placeholders (optional)
+   * @returns {string} TSPL commands
+   */
+  generateTemplateLabel(data) {
+    const { template, data: fields = {}, quantity = 1, startPosition = 1, serial } = data;
+
+    if (!template || !Array.isArray(template.elements)) {
+      throw new Error('template is required');
+    }
+
+    if (serial) {
+      return this._printEach(quantity, startPosition, (i) => {
+        const number = getSerialNumber(serial, i);
+        return { template: fillSerial(template, number), fields: fillSerial(fields, number) };
+      });
+    }
+    return this._printCopies({ template, fields }, quantity, startPosition);
+  }
+
+  /**
+   * Check a start position against the page config
+   * @param {number} startPosition - Position (1-based, left-to-right, top-to-bottom)
+   * @returns {number} Number of positions already used on the first page
+   * @private
+   */
+  _getStartOffset(startPosition) {
+    const positions = getPositionsPerPage(this.pageConfig);
+    if (!Number.isInteger(startPosition) || startPosition < 1 || startPosition > positions) {
+      throw new Error(`startPosition must be an integer between 1 and ${positions}`);
+    }
+    return startPosition - 1;
+  }
+
+  /**
+   * Print copies of one sticker's content, filling rows
+   * @param {object} contentData - Sticker content (see _addStickerContent)
+   * @param {number} quantity - Number of stickers
+   * @param {number} startPosition - First free position on the first page (default: 1)
+   * @returns {string} TSPL commands
+   * @private
+   */
+  _printCopies(contentData, quantity, startPosition = 1) {
     const { layout: pageLayout } = this.pageConfig;
     const columns = pageLayout.columns || 1;
+    const startOffset = this._getStartOffset(startPosition);
+
+    // Sheets, and pages that are already partly used, are filled position by position
+    if (pageLayout.rows > 1 || startOffset > 0) {
+      return this._printCopiesOnPages(contentData, quantity, startOffset);
+    }
 
-    const contentData = { title, subtitle, codeData, layoutType: layout, itemQuantity };
     const fullRows = Math.floor(quantity / columns);
     const remainder = quantity % columns;
 
@@ -925,72 +2008,118 @@ class TSPLGenerator {
   }
 
   /**
-   * Generate labels from array of unique label data, filling rows left-to-right
-   * @param {object} data
-   * @param {Array} data.labels - Array of {title, subtitle, qrData} objects
+   * Print copies of one sticker's content on whole pages (rows x columns)
+   * A partly used first page and a partly filled last page are printed once;
+   * the full pages in between are one page printed several times.
+   * @param {object} contentData - Sticker content (see _addStickerContent)
+   * @param {number} quantity - Number of stickers
+   * @param {number} startOffset - Positions already used on the first page
    * @returns {string} TSPL commands
+   * @private
    */
-  generateBatchLabels(data) {
-    const { labels } = data;
+  _printCopiesOnPages(contentData, quantity, startOffset) {
+    const perPage = getPositionsPerPage(this.pageConfig);
+    let remaining = quantity;
 
-    if (!labels || !Array.isArray(labels) || labels.length === 0) {
-      throw new Error('labels array is required');
-    }
+    const printPage = (from, count, copies) => {
+      this._fillPage(from, count, () => contentData);
+      this.print(copies);
+    };
 
-    const { layout: pageLayout } = this.pageConfig;
-    const columns = pageLayout.columns || 1;
+    if (startOffset > 0) {
+      const count = Math.min(remaining, perPage - startOffset);
+      printPage(startOffset, count, 1);
+      remaining -= count;
+    }
 
-    const fullRows = Math.floor(labels.length / columns);
-    const remainder = labels.length % columns;
+    const fullPages = Math.floor(remaining / perPage);
+    if (fullPages > 0) {
+      printPage(0, perPage, fullPages);
+    }
+    if (remaining % perPage > 0) {
+      printPage(0, remaining % perPage, 1);
+    }
 
-    // Process full rows (unique labels per column)
-    for (let row = 0; row < fullRows; row++) {
-      this.initLabel(true); // Full row mode
+    return this.getTSPL();
+  }
 
-      for (let col = 0; col < columns; col++) {
-        const labelIndex = row * columns + col;
-        const label = labels[labelIndex];
-
-        this._addStickerContent({
-          title: label.title,
-          subtitle: label.subtitle,
-          codeData: label.qrData,
-          layoutType: 'qr'
-        }, col);
-      }
+  /**
+   * Start a page and fill consecutive positions, left-to-right then top-to-bottom
+   * @param {number} from - First position (0-based)
+   * @param {number} count - Number of stickers
+   * @param {Function} contentFor - (i) => sticker content for the i-th sticker on this page
+   * @private
+   */
+  _fillPage(from, count, contentFor) {
+    const columns = this.pageConfig.layout.columns || 1;
+    this.initLabel(true); // Full page mode
 
-      this.print(1);
+    for (let i = 0; i < count; i++) {
+      const position = from + i;
+      this._addStickerContent(contentFor(i), position % columns, Math.floor(position / columns));
     }
+  }
 
-    // Process partial row (remaining labels on one row)
-    if (remainder > 0) {
-      this.initLabel(true); // Full row mode
-      const startIndex = fullRows * columns;
+  /**
+   * Generate labels from array of unique label data, filling pages left-to-right, top-to-bottom
+   * @param {object} data
+   * @param {Array} data.labels - Label data as for generateProductLabel, each with its own layout and
+   *   quantity (copies on consecutive stickers, default: 1)
+   * @param {string} data.layout - Layout of labels without their own: 'qr' (default), 'barcode', 'datamatrix', 'text-only'
+   * @param {number} data.startPosition - First free position on the first page (default: 1)
+   * @param {object} data.serial - Serial numbers { first, step } for {seq} placeholders, one per sticker (optional)
+   * @returns {string} TSPL commands
+   */
+  generateBatchLabels(data) {
+    const { labels, layout = 'qr', startPosition = 1, serial } = data;
 
-      for (let i = 0; i < remainder; i++) {
-        const label = labels[startIndex + i];
-        this._addStickerContent({
-          title: label.title,
-          subtitle: label.subtitle,
-          codeData: label.qrData,
-          layoutType: 'qr'
-        }, i); // Place at column i (0, 1, ...)
-      }
+    if (!labels || !Array.isArray(labels) || labels.length === 0) {
+      throw new Error('labels array is required');
+    }
+
+    const stickers = labels.flatMap(label => Array(label.quantity || 1).fill(label));
+    return this._printEach(stickers.length, startPosition, (i) => {
+      const label = serial ? fillSerial(stickers[i], getSerialNumber(serial, i)) : stickers[i];
+      return this._getProductContent({ ...label, layout: label.layout || layout });
+    });
+  }
 
+  /**
+   * Print stickers that each have their own content, one PRINT per page
+   * @param {number} count - Number of stickers
+   * @param {number} startPosition - First free position on the first page
+   * @param {Function} contentFor - (i) => sticker content for the i-th sticker
+   * @returns {string} TSPL commands
+   * @private
+   */
+  _printEach(count, startPosition, contentFor) {
+    const perPage = getPositionsPerPage(this.pageConfig);
+    let position = this._getStartOffset(startPosition);
+    let next = 0;
+
+    // Each page holds up to rows x columns stickers; the last one may be partly filled
+    while (next < count) {
+      const onPage = Math.min(count - next, perPage - position);
+      const first = next;
+      this._fillPage(position, onPage, (i) => contentFor(first + i));
       this.print(1);
+
+      next += onPage;
+      position = 0;
     }
 
     return this.getTSPL();
   }
 
   /**
-   * Get the complete TSPL command string
-   * @returns {string} TSPL commands joined with \r\n
+   * Get the complete command string
+   * Named for TSPL, the default; ZPL printers get ZPL.
+   * @returns {string} Commands in the printer language (TSPL lines end with \r\n, ZPL with \n)
    */
   getTSPL() {
-    const tspl = this.commands.join('\r\n') + '\r\n';
-    logger.debug('Generated TSPL', { commandCount: this.commands.length });
-    return tspl;
+    const commands = this.builder.build();
+    logger.debug('Generated label commands', { language: this.builder.language, commandCount: this.builder.commands.length });
+    return commands;
   }
 
   /**
@@ -998,9 +2127,19 @@ class TSPLGenerator {
    * @returns {TSPLGenerator} this for chaining
    */
   reset() {
-    this.commands = [];
+    this.builder.reset();
     return this;
   }
 }
 
-module.exports = { TSPLGenerator, LAYOUT_CONFIG };
+module.exports = {
+  TSPLGenerator,
+  LAYOUT_CONFIG,
+  BITMAP_HEADER,
+  MEDIA_TYPES,
+  POST_PRINT_COMMANDS,
+  encodeTSPL,
+  encodeTSPLString,
+  findControlCharacter,
+  getResolution
+};
@@ -0,0 +1,358 @@
+/**
+ * TSPL parser and linter
+ * Splits a TSPL command stream into commands (BITMAP data is binary and read
+ * by length, not by line) and checks custom TSPL before it reaches the
+ * printer: known commands, argument counts, numbers and quoting, and
+ * coordinates within the label declared by SIZE.
+ */
+
+const { BITMAP_HEADER, getResolution } = require('./tspl-generator');
+
+const MAX_LABEL_DOTS = 8000;     // Largest label side accepted from SIZE (~1m at 203 DPI)
+const ROTATIONS = ['0', '90', '180', '270'];
+
+/**
+ * Known commands
+ * - args: [min, max] argument count
+ * - integers: argument indexes that must be integers (negative: from the end)
+ * - quoted: argument indexes that must be quoted strings (negative: from the end)
+ * - rotation: index of a rotation argument (0, 90, 180 or 270)
+ * - origin: true if the first two arguments are an x,y position on the label
+ * - extent: (args) => { width, height } of the drawn area, if known
+ * - free: arguments are not comma separated (SET)
+ */
+const COMMANDS = {
+  SIZE: { args: [1, 2] },
+  GAP: { args: [2, 2] },
+  BLINE: { args: [2, 2] },
+  OFFSET: { args: [1, 1] },
+  SPEED: { args: [1, 1] },
+  DENSITY: { args: [1, 1], integers: [0] },
+  DIRECTION: { args: [1, 2], integers: [0, 1] },
+  REFERENCE: { args: [2, 2], integers: [0, 1] },
+  SHIFT: { args: [1, 2], integers: [0, 1] },
+  CODEPAGE: { args: [1, 1] },
+  COUNTRY: { args: [1, 1] },
+  SET: { args: [1, 1], free: true },
+  LIMITFEED: { args: [1, 1] },
+  SOUND: { args: [2, 2], integers: [0, 1] },
+  CLS: { args: [0, 0] },
+  HOME: { args: [0, 0] },
+  FORMFEED: { args: [0, 0] },
+  CUT: { args: [0, 0] },
+  EOP: { args: [0, 0] },
+  INITIALPRINTER: { args: [0, 0] },
+  SELFTEST: { args: [0, 1] },
+  FEED: { args: [1, 1], integers: [0] },
+  BACKFEED: { args: [1, 1], integers: [0] },
+  BACKUP: { args: [1, 1], integers: [0] },
+  PRINT: { args: [1, 2], integers: [0, 1] },
+  TEXT: { args: [7, 8], integers: [0, 1, 3, 4, 5], quoted: [2, -1], rotation: 3, origin: true },
+  BARCODE: { args: [9, 10], integers: [0, 1, 3, 4, 5, 6, 7], quoted: [2, -1], rotation: 5, origin: true },
+  QRCODE: { args: [7, 9], integers: [0, 1, 3, 5], quoted: [-1], rotation: 5, origin: true },
+  DMATRIX: { args: [5, 11], integers: [0, 1, 2, 3], quoted: [-1], origin: true },
+  PDF417: { args: [6, 15], integers: [0, 1, 2, 3, 4], quoted: [-1], rotation: 4, origin: true },
+  AZTEC: { args: [4, 10], integers: [0, 1, 2], quoted: [-1], rotation: 2, origin: true },
+  BAR: { args: [4, 4], integers: [0, 1, 2, 3], origin: true, extent: ([, , w, h]) => ({ width: w, height: h }) },
+  ERASE: { args: [4, 4], integers: [0, 1, 2, 3], origin: true, extent: ([, , w, h]) => ({ width: w, height: h }) },
+  REVERSE: { args: [4, 4], integers: [0, 1, 2, 3], origin: true, extent: ([, , w, h]) => ({ width: w, height: h }) },
+  BOX: { args: [5, 6], integers: [0, 1, 2, 3, 4, 5], origin: true, extent: ([x, y, xEnd, yEnd]) => ({ width: xEnd - x, height: yEnd - y }) },
+  CIRCLE: { args: [4, 4], integers: [0, 1, 2, 3], origin: true, extent: ([, , diameter]) => ({ width: diameter, height: diameter }) },
+  ELLIPSE: { args: [5, 5], integers: [0, 1, 2, 3, 4], origin: true, extent: ([, , w, h]) => ({ width: w, height: h }) },
+  BITMAP: { args: [5, 5], integers: [0, 1, 2, 3, 4], origin: true, extent: ([, , widthBytes, h]) => ({ width: widthBytes * 8, height: h }) },
+  PUTBMP: { args: [3, 4], integers: [0, 1], quoted: [2], origin: true },
+  PUTPCX: { args: [3, 3], integers: [0, 1], quoted: [2], origin: true }
+};
+
+// Commands that draw into the label buffer
+const DRAWING_COMMANDS = new Set(Object.keys(COMMANDS).filter(name => COMMANDS[name].origin));
+
+/**
+ * Split a TSPL argument list on commas outside quoted strings
+ * Quoted arguments are unquoted and \["] escapes are decoded.
+ * @param {string} text - Arguments after the command name
+ * @returns {Array<{value: string, quoted: boolean}>} Arguments; an unclosed
+ *   quote marks the last one as unterminated
+ */
+function tokenizeArgs(text) {
+  const args = [];
+  let current = '';
+  let quoted = false;
+  let wasQuoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (text.startsWith('\\["]', i)) {
+        current += '"';
+        i += 3;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (char === ',') {
+      args.push({ value: current.trim(), quoted: wasQuoted });
+      current = '';
+      wasQuoted = false;
+    } else {
+      current += char;
+    }
+  }
+
+  args.push(quoted ? { value: current, quoted: true, unterminated: true } : { value: current.trim(), quoted: wasQuoted });
+  return args;
+}
+
+/**
+ * Convert a SIZE/GAP distance to dots
+ * Plain numbers are inches; "mm" and "dot" suffixes are supported.
+ * @param {string} value - Distance
+ * @param {number} dotsPerMm - Printer resolution
+ * @returns {number} Dots
+ */
+function parseDistance(value, dotsPerMm) {
+  const match = String(value).trim().match(/^(-?[\d.]+)\s*(mm|dot)?$/i);
+  if (!match) {
+    throw new Error(`invalid distance '${value}'`);
+  }
+  const number = parseFloat(match[1]);
+  const unit = (match[2] || '').toLowerCase();
+  if (unit === 'dot') {
+    return Math.round(number);
+  }
+  return Math.round((unit === 'mm' ? number : number * 25.4) * dotsPerMm);
+}
+
+/**
+ * Split TSPL into commands
+ * Line numbers count lines of text; a BITMAP with its data counts as one line.
+ * @param {string} tspl - TSPL commands
+ * @returns {Array} Commands: { line, name, text, args, rawArgs } plus data
+ *   (binary string) for BITMAP; name is null for lines that are not a command
+ */
+function parseTSPL(tspl) {
+  const commands = [];
+  let position = 0;
+  let line = 0;
+
+  while (position < tspl.length) {
+    line++;
+
+    // BITMAP data is binary and may contain line breaks: read exactly width x height bytes
+    const bitmap = tspl.slice(position, position + 64).match(BITMAP_HEADER);
+    if (bitmap) {
+      const [header, ...args] = bitmap;
+      const start = position + header.length;
+      const end = start + Number(args[2]) * Number(args[3]);
+      commands.push({
+        line,
+        name: 'BITMAP',
+        text: header.trim(),
+        args: args.slice(0, 5),
+        rawArgs: args.slice(0, 5).map(value => ({ value, quoted: false })),
+        data: tspl.slice(start, end)
+      });
+      position = tspl.startsWith('\r\n', end) ? end + 2 : end;
+      continue;
+    }
+
+    const lineEnd = tspl.indexOf('\n', position);
+    const next = lineEnd === -1 ? tspl.length : lineEnd + 1;
+    const text = tspl.slice(position, next).trim();
+    position = next;
+    if (!text) {
+      continue;
+    }
+
+    const match = text.match(/^([A-Za-z][A-Za-z0-9]*)\s*(.*)$/);
+    if (!match) {
+      commands.push({ line, name: null, text, args: [], rawArgs: [] });
+      continue;
+    }
+
+    const rawArgs = match[2] ? tokenizeArgs(match[2]) : [];
+    commands.push({ line, name: match[1].toUpperCase(), text, args: rawArgs.map(arg => arg.value), rawArgs });
+  }
+
+  return commands;
+}
+
+/**
+ * Check TSPL for mistakes before it is sent to a printer
+ * Errors are commands the printer would reject or misprint (unknown commands,
+ * wrong argument counts, positions off the label); warnings are likely
+ * mistakes that still print (drawing past the label edge, no PRINT).
+ * @param {string} tspl - TSPL commands
+ * @param {object} options - { dpi } resolution SIZE and GAP distances are converted at (default: 203)
+ * @returns {object} { valid, commandCount, diagnostics: [{ line, severity, message }] }
+ */
+function lintTSPL(tspl, options = {}) {
+  const { dotsPerMm } = getResolution(options.dpi);
+  const diagnostics = [];
+  const report = (line, severity, message) => diagnostics.push({ line, severity, message });
+
+  const commands = parseTSPL(tspl);
+  let label = null;
+  let reference = { x: 0, y: 0 };
+  let warnedNoSize = false;
+  let lastPrintLine = null;
+  let firstUnprintedLine = null;
+
+  for (const command of commands) {
+    const { line, name, args, rawArgs } = command;
+
+    if (name === null) {
+      report(line, 'error', `cannot parse '${command.text}'`);
+      continue;
+    }
+
+    const spec = COMMANDS[name];
+    if (!spec) {
+      report(line, 'error', `unknown command '${name}'`);
+      continue;
+    }
+
+    const error = checkArguments(name, spec, args, rawArgs);
+    if (error) {
+      report(line, 'error', error);
+      continue;
+    }
+
+    if (name === 'BITMAP' && command.data.length < args[2] * args[3]) {
+      report(line, 'error', `BITMAP: expected ${args[2] * args[3]} bytes of data, got ${command.data.length}`);
+      continue;
+    }
+
+    switch (name) {
+      case 'SIZE': {
+        try {
+          const width = parseDistance(args[0], dotsPerMm);
+          const height = args[1] !== undefined ? parseDistance(args[1], dotsPerMm) : null;
+          if (width < 1 || width > MAX_LABEL_DOTS || (height !== null && (height < 1 || height > MAX_LABEL_DOTS))) {
+            report(line, 'error', `SIZE ${width}x${height ?? '?'} dots is out of range`);
+          } else {
+            label = { width, height };
+          }
+        } catch (sizeError) {
+          report(line, 'error', `SIZE: ${sizeError.message}`);
+        }
+        break;
+      }
+
+      case 'GAP':
+      case 'BLINE':
+        for (const value of args) {
+          try {
+            parseDistance(value, dotsPerMm);
+          } catch (distanceError) {
+            report(line, 'error', `${name}: ${distanceError.message}`);
+            break;
+          }
+        }
+        break;
+
+      case 'REFERENCE':
+        reference = { x: Number(args[0]), y: Number(args[1]) };
+        break;
+
+      case 'PRINT':
+        lastPrintLine = line;
+        firstUnprintedLine = null;
+        break;
+
+      default:
+        break;
+    }
+
+    if (!DRAWING_COMMANDS.has(name)) {
+      continue;
+    }
+
+    if (firstUnprintedLine === null) {
+      firstUnprintedLine = line;
+    }
+    if (!label) {
+      if (!warnedNoSize) {
+        report(line, 'warning', `${name} before SIZE; positions are not checked against the label size`);
+        warnedNoSize = true;
+      }
+      continue;
+    }
+
+    const x = Number(args[0]) + reference.x;
+    const y = Number(args[1]) + reference.y;
+    const height = label.height ?? Infinity;
+    const sizeText = `${label.width}x${label.height ?? '?'} dot label`;
+    if (x < 0 || y < 0 || x > label.width || y > height) {
+      report(line, 'error', `${name} at ${x},${y} is outside the ${sizeText}`);
+      continue;
+    }
+    if (spec.extent) {
+      const extent = spec.extent(args.map(Number));
+      if (x + extent.width > label.width || y + extent.height > height) {
+        report(line, 'warning', `${name} at ${x},${y} extends past the edge of the ${sizeText}`);
+      }
+    }
+  }
+
+  if (lastPrintLine === null) {
+    report(commands.length > 0 ? commands[commands.length - 1].line : 1, 'warning', 'no PRINT command; nothing is printed');
+  } else if (firstUnprintedLine !== null) {
+    report(firstUnprintedLine, 'warning', 'drawing commands after the last PRINT are not printed');
+  }
+
+  diagnostics.sort((a, b) => a.line - b.line);
+  return {
+    valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+    commandCount: commands.length,
+    diagnostics
+  };
+}
+
+/**
+ * Check a command's argument count, numbers and quoting
+ * @param {string} name - Command name
+ * @param {object} spec - Entry of COMMANDS
+ * @param {string[]} args - Arguments
+ * @param {Array} rawArgs - Arguments as tokenized (see tokenizeArgs)
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkArguments(name, spec, args, rawArgs) {
+  if (rawArgs.some(arg => arg.unterminated)) {
+    return `${name}: unterminated string`;
+  }
+
+  const [min, max] = spec.args;
+  const count = spec.free ? Math.min(args.length, 1) : args.length;
+  if (count < min || count > max) {
+    const expected = min === max ? `${min}` : `${min}-${max}`;
+    return `${name} expects ${expected} argument${max === 1 ? '' : 's'}, got ${args.length}`;
+  }
+
+  const position = (index) => (index < 0 ? args.length + index : index);
+  for (const index of spec.integers || []) {
+    const i = position(index);
+    if (i < args.length && !/^-?\d+$/.test(args[i])) {
+      return `${name}: argument ${i + 1} must be an integer, got '${args[i]}'`;
+    }
+  }
+  for (const index of spec.quoted || []) {
+    const i = position(index);
+    if (!rawArgs[i].quoted) {
+      return `${name}: argument ${i + 1} must be a quoted string`;
+    }
+  }
+  if (spec.rotation !== undefined && !ROTATIONS.includes(args[spec.rotation])) {
+    return `${name}: rotation must be 0, 90, 180 or 270, got '${args[spec.rotation]}'`;
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_LABEL_DOTS, tokenizeArgs, parseDistance, parseTSPL, lintTSPL
+};
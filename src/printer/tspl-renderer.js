@@ -0,0 +1,705 @@
+/**
+ * TSPL renderer for label previews
+ * Interprets the TSPL that TSPLGenerator produces and rasterizes each
+ * printed label at printer resolution, so a preview shows exactly what
+ * would be sent: same coordinates, font cells, barcode modules and
+ * calibration offsets. Output is PNG or SVG.
+ */
+
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const { getResolution } = require('./tspl-generator');
+const { encodeBarcode } = require('./barcode-symbologies');
+const { encodeDataMatrix } = require('./matrix-symbologies');
+const { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph } = require('./bitmap-font');
+const { MAX_LABEL_DOTS, parseDistance, parseTSPL } = require('./tspl-parser');
+
+const MAX_LABELS = 50;           // Labels rendered per preview
+const MAX_OUTPUT_PIXELS = 40e6;  // Upper bound for the scaled image
+const LABEL_SPACING = 16;        // Minimum dots between labels in the image
+
+// Gray levels used in the image
+const COLOR_DOT = 0;
+const COLOR_LABEL = 255;
+const COLOR_BACKGROUND = 200;
+
+/**
+ * Printer-resident fonts 5-8 at 203 DPI (TSPL manual); 1-4 come from the
+ * resolution's font table in LAYOUT_CONFIG.RESOLUTIONS
+ */
+const EXTRA_FONTS = {
+  5: { width: 32, height: 48 },
+  6: { width: 14, height: 19 },
+  7: { width: 21, height: 27 },
+  8: { width: 14, height: 25 }
+};
+
+// Commands that don't change the printed image
+const NON_DRAWING_COMMANDS = new Set([
+  'DIRECTION', 'SPEED', 'DENSITY', 'SET', 'CODEPAGE', 'OFFSET', 'SHIFT', 'SOUND',
+  'HOME', 'FORMFEED', 'FEED', 'BACKFEED', 'BACKUP', 'CUT', 'BLINE', 'LIMITFEED', 'EOP'
+]);
+
+/**
+ * 1-bit image at printer resolution
+ */
+class Bitmap {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Uint8Array(width * height);
+  }
+
+  /**
+   * Copy the bitmap
+   * @returns {Bitmap} Independent copy
+   */
+  clone() {
+    const copy = new Bitmap(this.width, this.height);
+    copy.pixels.set(this.pixels);
+    return copy;
+  }
+
+  /**
+   * Fill a rectangle, clipped to the bitmap
+   * @param {number} x - Left in dots
+   * @param {number} y - Top in dots
+   * @param {number} w - Width in dots
+   * @param {number} h - Height in dots
+   * @param {string} mode - 'set', 'clear' or 'invert'
+   */
+  fill(x, y, w, h, mode = 'set') {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + w));
+    const y1 = Math.min(this.height, Math.round(y + h));
+
+    for (let row = y0; row < y1; row++) {
+      const offset = row * this.width;
+      for (let col = x0; col < x1; col++) {
+        if (mode === 'invert') {
+          this.pixels[offset + col] ^= 1;
+        } else {
+          this.pixels[offset + col] = mode === 'set' ? 1 : 0;
+        }
+      }
+    }
+  }
+
+  /**
+   * Fill a rectangle given in element-local coordinates
+   * Elements (text, barcodes, QR codes) are rotated clockwise around their origin.
+   * @param {number} ox - Element origin X
+   * @param {number} oy - Element origin Y
+   * @param {number} rotation - 0, 90, 180 or 270
+   * @param {number} u - Local X (along the element)
+   * @param {number} v - Local Y (across the element)
+   * @param {number} w - Local width
+   * @param {number} h - Local height
+   */
+  fillRotated(ox, oy, rotation, u, v, w, h) {
+    switch (rotation) {
+      case 90:
+        this.fill(ox - v - h, oy + u, h, w);
+        break;
+      case 180:
+        this.fill(ox - u - w, oy - v - h, w, h);
+        break;
+      case 270:
+        this.fill(ox + v, oy - u - w, h, w);
+        break;
+      default:
+        this.fill(ox + u, oy + v, w, h);
+    }
+  }
+}
+
+/**
+ * Interprets TSPL and collects one bitmap per PRINT command
+ */
+class TSPLRenderer {
+  /**
+   * @param {object} options - Renderer options
+   * @param {number} options.dpi - Printer resolution: 203 (default), 300 or 600
+   */
+  constructor(options = {}) {
+    const resolution = getResolution(options.dpi);
+    this.dotsPerMm = resolution.dotsPerMm;
+    // Printer-resident font cells before TEXT multipliers. 600 DPI text is
+    // generated with doubled multipliers, so divide those back out.
+    this.fonts = {};
+    for (const [font, metrics] of Object.entries(resolution.fonts)) {
+      this.fonts[font] = { width: metrics.width / resolution.fontMul, height: metrics.height / resolution.fontMul };
+    }
+    // Fonts 5-8 are only listed for 203 DPI; scale them like the others
+    const extraScale = this.dotsPerMm / 8 / resolution.fontMul;
+    for (const [font, metrics] of Object.entries(EXTRA_FONTS)) {
+      this.fonts[font] = { width: Math.round(metrics.width * extraScale), height: Math.round(metrics.height * extraScale) };
+    }
+    this.labels = [];
+    this.warnings = [];
+    this.bitmap = null;
+    this.gap = 0;
+    this.reference = { x: 0, y: 0 };
+    this.lineNumber = 0;
+  }
+
+  /**
+   * Render TSPL
+   * @param {string} tspl - TSPL commands
+   * @returns {object} { labels: [{ width, height, gap, quantity, copies, bitmap }], warnings }
+   */
+  render(tspl) {
+    for (const command of parseTSPL(tspl)) {
+      this.lineNumber = command.line;
+
+      if (command.name === null) {
+        this.warn(`cannot parse '${command.text}'`);
+        continue;
+      }
+
+      try {
+        if (command.data !== undefined) {
+          const [x, y, widthBytes, height, mode] = command.args.map(Number);
+          this.drawBitmap(x, y, widthBytes, height, mode, command.data);
+        } else {
+          this.execute(command.name, command.args);
+        }
+      } catch (error) {
+        this.warn(error.message);
+      }
+    }
+
+    return { labels: this.labels, warnings: this.warnings };
+  }
+
+  /**
+   * Record a warning for the current line
+   * @param {string} message - Warning
+   * @private
+   */
+  warn(message) {
+    this.warnings.push(`Line ${this.lineNumber}: ${message}`);
+  }
+
+  /**
+   * Convert a SIZE/GAP distance to dots
+   * Plain numbers are inches; "mm" and "dot" suffixes are supported.
+   * @param {string} value - Distance
+   * @returns {number} Dots
+   * @private
+   */
+  toDots(value) {
+    return parseDistance(value, this.dotsPerMm);
+  }
+
+  /**
+   * Get the drawing surface, failing if SIZE was not sent yet
+   * @param {string} command - Command name for the error
+   * @returns {Bitmap} Bitmap
+   * @private
+   */
+  requireBitmap(command) {
+    if (!this.bitmap) {
+      throw new Error(`${command} before SIZE`);
+    }
+    return this.bitmap;
+  }
+
+  /**
+   * Execute one command
+   * @param {string} name - Command name (upper case)
+   * @param {string[]} args - Arguments
+   * @private
+   */
+  execute(name, args) {
+    const int = (value) => {
+      const number = parseInt(value, 10);
+      if (isNaN(number)) {
+        throw new Error(`${name}: invalid number '${value}'`);
+      }
+      return number;
+    };
+
+    switch (name) {
+      case 'SIZE': {
+        const width = this.toDots(args[0]);
+        const height = this.toDots(args[1]);
+        if (width < 1 || height < 1 || width > MAX_LABEL_DOTS || height > MAX_LABEL_DOTS) {
+          throw new Error(`SIZE ${width}x${height} dots is out of range`);
+        }
+        this.bitmap = new Bitmap(width, height);
+        break;
+      }
+
+      case 'GAP':
+        this.gap = this.toDots(args[0]);
+        break;
+
+      case 'REFERENCE':
+        this.reference = { x: int(args[0]), y: int(args[1]) };
+        break;
+
+      case 'CLS':
+        this.requireBitmap(name).fill(0, 0, this.bitmap.width, this.bitmap.height, 'clear');
+        break;
+
+      case 'TEXT':
+        this.drawText(args, int);
+        break;
+
+      case 'BARCODE':
+        this.drawBarcode(args, int);
+        break;
+
+      case 'QRCODE':
+        this.drawQRCode(args, int);
+        break;
+
+      case 'DMATRIX':
+        this.drawDataMatrix(args, int);
+        break;
+
+      case 'BOX': {
+        const bitmap = this.requireBitmap(name);
+        const [x1, y1, x2, y2, thickness] = args.slice(0, 5).map(int);
+        const x = x1 + this.reference.x;
+        const y = y1 + this.reference.y;
+        const w = x2 - x1;
+        const h = y2 - y1;
+        bitmap.fill(x, y, w, thickness);
+        bitmap.fill(x, y + h - thickness, w, thickness);
+        bitmap.fill(x, y, thickness, h);
+        bitmap.fill(x + w - thickness, y, thickness, h);
+        break;
+      }
+
+      case 'BAR':
+      case 'ERASE':
+      case 'REVERSE': {
+        const [x, y, w, h] = args.slice(0, 4).map(int);
+        const mode = { BAR: 'set', ERASE: 'clear', REVERSE: 'invert' }[name];
+        this.requireBitmap(name).fill(x + this.reference.x, y + this.reference.y, w, h, mode);
+        break;
+      }
+
+      case 'PRINT': {
+        const bitmap = this.requireBitmap(name);
+        this.labels.push({
+          width: bitmap.width,
+          height: bitmap.height,
+          gap: this.gap,
+          quantity: int(args[0] || '1'),
+          copies: args[1] !== undefined ? int(args[1]) : 1,
+          bitmap: bitmap.clone()
+        });
+        break;
+      }
+
+      default:
+        if (!NON_DRAWING_COMMANDS.has(name)) {
+          this.warn(`unsupported command '${name}' not rendered`);
+        }
+    }
+  }
+
+  /**
+   * TEXT x,y,"font",rotation,x-mul,y-mul,[alignment,]"content"
+   * @private
+   */
+  drawText(args, int) {
+    const bitmap = this.requireBitmap('TEXT');
+    const [x, y] = args.slice(0, 2).map(int);
+    const font = args[2];
+    const rotation = int(args[3]);
+    const xMul = int(args[4]);
+    const yMul = int(args[5]);
+    const alignment = args.length > 7 ? int(args[6]) : 1;
+    const text = args[args.length - 1];
+
+    const metrics = this.fonts[font];
+    if (!metrics) {
+      throw new Error(`TEXT: font '${font}' is not a built-in bitmap font`);
+    }
+
+    const cellWidth = metrics.width * xMul;
+    const cellHeight = metrics.height * yMul;
+    const scaleX = Math.max(1, Math.floor((cellWidth - 1) / GLYPH_WIDTH));
+    const scaleY = Math.max(1, Math.floor((cellHeight - 2) / GLYPH_HEIGHT));
+    const left = Math.floor((cellWidth - GLYPH_WIDTH * scaleX) / 2);
+    const top = Math.floor((cellHeight - GLYPH_HEIGHT * scaleY) / 2);
+
+    // Alignment: 1 = left, 2 = center, 3 = right of x
+    const textWidth = text.length * cellWidth;
+    const start = alignment === 2 ? -Math.floor(textWidth / 2) : alignment === 3 ? -textWidth : 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const glyph = getGlyph(text[i]);
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          if (glyph[col] & (1 << row)) {
+            bitmap.fillRotated(
+              x + this.reference.x, y + this.reference.y, rotation,
+              start + i * cellWidth + left + col * scaleX, top + row * scaleY, scaleX, scaleY
+            );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * BARCODE x,y,"type",height,readable,rotation,narrow,wide,[alignment,]"content"
+   * @private
+   */
+  drawBarcode(args, int) {
+    const bitmap = this.requireBitmap('BARCODE');
+    const [x, y] = args.slice(0, 2).map(int);
+    const type = args[2];
+    const height = int(args[3]);
+    const readable = int(args[4]);
+    const rotation = int(args[5]);
+    const narrow = int(args[6]);
+    const wide = int(args[7]);
+    const alignment = args.length > 9 ? int(args[8]) : 1;
+    const content = args[args.length - 1];
+
+    let encoded;
+    try {
+      encoded = encodeBarcode(type, content);
+    } catch (error) {
+      throw new Error(`BARCODE: ${error.message}`);
+    }
+
+    // Numeric widths are module multiples; 'narrow'/'wide' come from two-width symbologies
+    const widthOf = (element) => {
+      if (typeof element.width === 'number') {
+        return element.width * narrow;
+      }
+      return element.width === 'wide' ? wide : narrow;
+    };
+    const totalWidth = encoded.elements.reduce((sum, element) => sum + widthOf(element), 0);
+    const start = alignment === 2 ? -Math.floor(totalWidth / 2) : alignment === 3 ? -totalWidth : 0;
+    const ox = x + this.reference.x;
+    const oy = y + this.reference.y;
+
+    let u = start;
+    for (const element of encoded.elements) {
+      const width = widthOf(element);
+      if (element.bar) {
+        bitmap.fillRotated(ox, oy, rotation, u, 0, width, height);
+      }
+      u += width;
+    }
+
+    // Human readable line below the bars: 1 = left, 2 = center, 3 = right
+    if (readable > 0 && encoded.text) {
+      const font = this.fonts[2];
+      const textWidth = encoded.text.length * font.width;
+      let textStart = start;
+      if (readable === 2) {
+        textStart = start + Math.floor((totalWidth - textWidth) / 2);
+      } else if (readable === 3) {
+        textStart = start + totalWidth - textWidth;
+      }
+      this.drawGlyphs(ox, oy, rotation, textStart, height + 2, encoded.text, font);
+    }
+  }
+
+  /**
+   * Draw a string with a font cell at element-local coordinates
+   * @private
+   */
+  drawGlyphs(ox, oy, rotation, u, v, text, font) {
+    const scaleX = Math.max(1, Math.floor((font.width - 1) / GLYPH_WIDTH));
+    const scaleY = Math.max(1, Math.floor((font.height - 2) / GLYPH_HEIGHT));
+
+    for (let i = 0; i < text.length; i++) {
+      const glyph = getGlyph(text[i]);
+      for (let col = 0; col < GLYPH_WIDTH; col++) {
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          if (glyph[col] & (1 << row)) {
+            this.bitmap.fillRotated(ox, oy, rotation, u + i * font.width + col * scaleX, v + row * scaleY, scaleX, scaleY);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * QRCODE x,y,ECC level,cell width,mode,rotation,[model,mask,]"data"
+   * @private
+   */
+  drawQRCode(args, int) {
+    const bitmap = this.requireBitmap('QRCODE');
+    const [x, y] = args.slice(0, 2).map(int);
+    const eccLevel = String(args[2]).toUpperCase();
+    const cellWidth = int(args[3]);
+    const rotation = int(args[5]);
+    const data = args[args.length - 1];
+
+    let modules;
+    try {
+      modules = QRCode.create(data, { errorCorrectionLevel: eccLevel }).modules;
+    } catch (error) {
+      throw new Error(`QRCODE: ${error.message}`);
+    }
+
+    for (let row = 0; row < modules.size; row++) {
+      for (let col = 0; col < modules.size; col++) {
+        if (modules.get(row, col)) {
+          bitmap.fillRotated(
+            x + this.reference.x, y + this.reference.y, rotation,
+            col * cellWidth, row * cellWidth, cellWidth, cellWidth
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * BITMAP x,y,width,height,mode,data
+   * Data has width bytes per row, most significant bit first; a 0 bit is printed.
+   * @param {number} x - Left in dots
+   * @param {number} y - Top in dots
+   * @param {number} widthBytes - Row length in bytes
+   * @param {number} height - Rows
+   * @param {number} mode - 0 = overwrite, 1 = OR, 2 = XOR
+   * @param {string} data - One character per byte
+   * @private
+   */
+  drawBitmap(x, y, widthBytes, height, mode, data) {
+    const bitmap = this.requireBitmap('BITMAP');
+    if (data.length < widthBytes * height) {
+      throw new Error(`BITMAP: expected ${widthBytes * height} bytes of data, got ${data.length}`);
+    }
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < widthBytes * 8; col++) {
+        const printed = !(data.charCodeAt(row * widthBytes + (col >> 3)) & (0x80 >> (col & 7)));
+        const dotX = x + col + this.reference.x;
+        const dotY = y + row + this.reference.y;
+        if (printed) {
+          bitmap.fill(dotX, dotY, 1, 1, mode === 2 ? 'invert' : 'set');
+        } else if (mode === 0) {
+          bitmap.fill(dotX, dotY, 1, 1, 'clear');
+        }
+      }
+    }
+  }
+
+  /**
+   * DMATRIX x,y,width,height,[c#,x#,r#,a#,row,col,]"data"
+   * Only square symbols in automatic size are drawn; row/col are ignored.
+   * @private
+   */
+  drawDataMatrix(args, int) {
+    const bitmap = this.requireBitmap('DMATRIX');
+    const [x, y, width, height] = args.slice(0, 4).map(int);
+
+    // Options are prefixed with a letter: c = escape character, x = module size, r = rotation
+    let escape = null;
+    let moduleSize = null;
+    let rotation = 0;
+    for (const option of args.slice(4, -1)) {
+      const prefix = option.charAt(0).toLowerCase();
+      if (prefix === 'c') {
+        escape = String.fromCharCode(int(option.slice(1)));
+      } else if (prefix === 'x') {
+        moduleSize = int(option.slice(1));
+      } else if (prefix === 'r') {
+        rotation = int(option.slice(1));
+      }
+    }
+
+    let symbol;
+    try {
+      const { data, gs1 } = parseDataMatrixEscapes(args[args.length - 1], escape);
+      symbol = encodeDataMatrix(data, { gs1 });
+    } catch (error) {
+      throw new Error(`DMATRIX: ${error.message}`);
+    }
+    moduleSize = moduleSize || Math.max(1, Math.floor(Math.min(width, height) / symbol.size));
+
+    for (let row = 0; row < symbol.size; row++) {
+      for (let col = 0; col < symbol.size; col++) {
+        if (symbol.modules[row][col]) {
+          bitmap.fillRotated(
+            x + this.reference.x, y + this.reference.y, rotation,
+            col * moduleSize, row * moduleSize, moduleSize, moduleSize
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Resolve DMATRIX escape sequences: ~1 is FNC1 (leading: GS1 DataMatrix,
+ * elsewhere: GS1 field separator) and ~dNNN is the byte NNN.
+ * @param {string} data - DMATRIX data
+ * @param {string|null} escape - Escape character (c option), or null
+ * @returns {object} { data, gs1 }
+ */
+function parseDataMatrixEscapes(data, escape) {
+  if (!escape) {
+    return { data, gs1: false };
+  }
+
+  let gs1 = false;
+  let result = '';
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] !== escape) {
+      result += data[i];
+      continue;
+    }
+    const code = data[i + 1];
+    if (code === '1') {
+      if (i === 0) {
+        gs1 = true;
+      } else {
+        result += '\x1D';
+      }
+      i += 1;
+    } else if (code === 'd' && /^\d{3}$/.test(data.slice(i + 2, i + 5))) {
+      result += String.fromCharCode(Number(data.slice(i + 2, i + 5)));
+      i += 4;
+    } else if (code === escape) {
+      result += escape;
+      i += 1;
+    } else {
+      throw new Error(`unsupported escape sequence ${escape}${code || ''}`);
+    }
+  }
+  return { data: result, gs1 };
+}
+
+/**
+ * Render TSPL to label bitmaps
+ * @param {string} tspl - TSPL commands
+ * @param {object} options - { dpi } (default: 203 DPI)
+ * @returns {object} { labels, warnings }
+ */
+function renderTSPL(tspl, options = {}) {
+  return new TSPLRenderer(options).render(tspl);
+}
+
+/**
+ * Stack labels vertically, separated by their gap, into one grayscale image
+ * @param {Array} labels - Rendered labels
+ * @returns {object} { width, height, pixels } - one gray byte per dot
+ */
+function composeLabels(labels) {
+  const spacing = labels.map(label => Math.max(label.gap, LABEL_SPACING));
+  const width = Math.max(...labels.map(label => label.width));
+  const height = labels.reduce((sum, label, i) => sum + label.height + (i > 0 ? spacing[i] : 0), 0);
+  const pixels = new Uint8Array(width * height).fill(COLOR_BACKGROUND);
+
+  let top = 0;
+  labels.forEach((label, i) => {
+    if (i > 0) {
+      top += spacing[i];
+    }
+    for (let row = 0; row < label.height; row++) {
+      for (let col = 0; col < label.width; col++) {
+        const dot = label.bitmap.pixels[row * label.width + col];
+        pixels[(top + row) * width + col] = dot ? COLOR_DOT : COLOR_LABEL;
+      }
+    }
+    top += label.height;
+  });
+
+  return { width, height, pixels };
+}
+
+/**
+ * Encode a composed image as PNG
+ * @param {object} image - { width, height, pixels }
+ * @param {number} scale - Pixels per dot
+ * @returns {Buffer} PNG data
+ */
+function toPNG(image, scale) {
+  const png = new PNG({ width: image.width * scale, height: image.height * scale });
+
+  for (let y = 0; y < png.height; y++) {
+    const sourceRow = Math.floor(y / scale) * image.width;
+    for (let x = 0; x < png.width; x++) {
+      const gray = image.pixels[sourceRow + Math.floor(x / scale)];
+      const offset = (y * png.width + x) * 4;
+      png.data[offset] = gray;
+      png.data[offset + 1] = gray;
+      png.data[offset + 2] = gray;
+      png.data[offset + 3] = 255;
+    }
+  }
+
+  return PNG.sync.write(png, { colorType: 0 });
+}
+
+/**
+ * Encode a composed image as SVG (one path per gray level, merged into horizontal runs)
+ * @param {object} image - { width, height, pixels }
+ * @param {number} scale - Pixels per dot
+ * @returns {string} SVG document
+ */
+function toSVG(image, scale) {
+  const paths = { [COLOR_LABEL]: [], [COLOR_DOT]: [] };
+
+  for (let y = 0; y < image.height; y++) {
+    let x = 0;
+    while (x < image.width) {
+      const gray = image.pixels[y * image.width + x];
+      let end = x + 1;
+      while (end < image.width && image.pixels[y * image.width + end] === gray) {
+        end++;
+      }
+      if (paths[gray]) {
+        paths[gray].push(`M${x} ${y}h${end - x}v1h-${end - x}z`);
+      }
+      x = end;
+    }
+  }
+
+  const fill = (gray) => `rgb(${gray},${gray},${gray})`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${image.width * scale}" height="${image.height * scale}" ` +
+      `viewBox="0 0 ${image.width} ${image.height}" shape-rendering="crispEdges">`,
+    `<rect width="${image.width}" height="${image.height}" fill="${fill(COLOR_BACKGROUND)}"/>`,
+    `<path fill="${fill(COLOR_LABEL)}" d="${paths[COLOR_LABEL].join('')}"/>`,
+    `<path fill="${fill(COLOR_DOT)}" d="${paths[COLOR_DOT].join('')}"/>`,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Render TSPL to a preview image
+ * @param {string} tspl - TSPL commands
+ * @param {object} options - Preview options
+ * @param {string} options.format - 'png' (default) or 'svg'
+ * @param {number} options.scale - Pixels per printer dot (default: 2)
+ * @param {number} options.dpi - Printer resolution the TSPL was generated for (default: 203)
+ * @returns {object} { contentType, body, labelCount, warnings }
+ */
+function renderPreview(tspl, options = {}) {
+  const { format = 'png', scale = 2, dpi } = options;
+  const { labels, warnings } = renderTSPL(tspl, { dpi });
+
+  if (labels.length === 0) {
+    throw new Error('TSPL does not print any labels');
+  }
+
+  const rendered = labels.slice(0, MAX_LABELS);
+  if (labels.length > MAX_LABELS) {
+    warnings.push(`Only the first ${MAX_LABELS} of ${labels.length} labels are shown`);
+  }
+
+  const image = composeLabels(rendered);
+  const pixelScale = Math.max(1, Math.min(scale, Math.floor(Math.sqrt(MAX_OUTPUT_PIXELS / (image.width * image.height)))));
+
+  if (format === 'svg') {
+    return { contentType: 'image/svg+xml', body: toSVG(image, pixelScale), labelCount: labels.length, warnings };
+  }
+  return { contentType: 'image/png', body: toPNG(image, pixelScale), labelCount: labels.length, warnings };
+}
+
+module.exports = { renderTSPL, renderPreview };
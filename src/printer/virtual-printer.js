@@ -0,0 +1,303 @@
+/**
+ * Virtual printer implementation for development and CI
+ * Accepts jobs without hardware, records the exact bytes sent to it
+ * (in memory and optionally in a spool directory) and can simulate
+ * latency, error conditions and dropped connections.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { logger } = require('../utils/logger');
+const { printerEvents } = require('./printer-events');
+const { STATUS_BITS, decodeStatusByte } = require('./printer-status');
+const { encodeTSPL } = require('./tspl-generator');
+
+// Most recent jobs kept in memory for GET /printers/:id/output
+const MAX_OUTPUT = 100;
+
+// Spool directory names: relative, '/'-separated segments that cannot be '.' or '..'
+const SPOOL_DIR_PATTERN = /^[A-Za-z0-9_-][\w.-]*(\/[A-Za-z0-9_-][\w.-]*)*$/;
+
+/**
+ * Status conditions a virtual printer can simulate (e.g. 'paper_out')
+ */
+const SIMULATED_CONDITIONS = STATUS_BITS.map(({ name }) => name);
+
+/**
+ * Get the directory spool directories are created in (next to config.json)
+ * @returns {string} Directory path
+ */
+function getSpoolRoot() {
+  try {
+    return path.join(app.getPath('userData'), 'spool');
+  } catch (e) {
+    // Fallback for non-Electron environments
+    return path.join(__dirname, '../../spool');
+  }
+}
+
+/**
+ * Validate a spool directory name
+ * Spool directories are always created under getSpoolRoot(), so absolute
+ * paths and '..' segments are rejected.
+ * @param {*} spoolDir - Spool directory name
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSpoolDir(spoolDir) {
+  if (typeof spoolDir !== 'string' || !SPOOL_DIR_PATTERN.test(spoolDir)) {
+    return 'spoolDir must be a relative directory name (letters, digits, ".", "-", "_" and "/"), without ".." segments';
+  }
+  return null;
+}
+
+/**
+ * Build a status byte from condition names
+ * @param {string|string[]} conditions - Condition name(s)
+ * @returns {number} Status byte
+ */
+function encodeConditions(conditions) {
+  const names = Array.isArray(conditions) ? conditions : [conditions];
+  return STATUS_BITS
+    .filter(({ name }) => names.includes(name))
+    .reduce((byte, { bit }) => byte | bit, 0);
+}
+
+/**
+ * Virtual Printer Manager
+ */
+class VirtualPrinterManager {
+  constructor() {
+    this.transport = 'virtual';
+    this.connected = false;
+    this.connection = null;
+    this.spoolDir = null;
+    this.latencyMs = 0;
+    this.statusByte = 0;
+    this.failNext = 0;     // Number of upcoming print() calls that fail
+    this.output = [];      // Recorded jobs, newest last
+    this.jobCount = 0;
+  }
+
+  /**
+   * Virtual printers are created on demand; there is nothing to discover
+   * @returns {Array} Empty list
+   */
+  listPrinters() {
+    return [];
+  }
+
+  /**
+   * Connect (start) the virtual printer
+   * @param {object} options - Connection options
+   * @param {string} options.spoolDir - Directory under the spool root that receives one .tspl file per job (optional)
+   * @param {number} options.latencyMs - Simulated transfer time per job (default: 0)
+   * @param {string|string[]} options.status - Simulated conditions, e.g. 'paper_out' (optional)
+   * @returns {Promise<boolean>} Connection success
+   */
+  async connect(options = {}) {
+    const { latencyMs = 0, status = [] } = options;
+
+    let spoolDir = null;
+    if (options.spoolDir) {
+      const spoolDirError = validateSpoolDir(options.spoolDir);
+      if (spoolDirError) {
+        throw new Error(spoolDirError);
+      }
+      spoolDir = path.join(getSpoolRoot(), options.spoolDir);
+      fs.mkdirSync(spoolDir, { recursive: true });
+    }
+
+    this.connection = options;
+    this.spoolDir = spoolDir;
+    this.latencyMs = latencyMs;
+    this.statusByte = encodeConditions(status);
+    this.failNext = 0;
+    this.connected = true;
+
+    logger.info('Connected to virtual printer', { spoolDir, latencyMs });
+    printerEvents.emit('connected', { printerId: this.id || null, printer: this.describe() });
+    return true;
+  }
+
+  /**
+   * Disconnect from printer
+   */
+  disconnect() {
+    const wasConnected = this.connected;
+    this.connected = false;
+
+    logger.info('Disconnected from virtual printer');
+    if (wasConnected) {
+      printerEvents.emit('disconnected', { printerId: this.id || null, printer: this.describe() });
+    }
+  }
+
+  /**
+   * Change simulated behaviour at runtime
+   * @param {object} options - Simulation options
+   * @param {string|string[]} options.status - Conditions to report ([] clears them)
+   * @param {number} options.latencyMs - Simulated transfer time per job
+   * @param {number} options.failNext - Make the next N print() calls fail
+   * @param {boolean} options.disconnect - Drop the connection as if the cable was pulled
+   * @param {boolean} options.reconnect - Bring a dropped connection back
+   * @returns {object} Current simulation state
+   */
+  simulate(options = {}) {
+    const { status, latencyMs, failNext, disconnect, reconnect } = options;
+
+    if (status !== undefined) {
+      this.statusByte = encodeConditions(status);
+    }
+    if (latencyMs !== undefined) {
+      this.latencyMs = latencyMs;
+    }
+    if (failNext !== undefined) {
+      this.failNext = failNext;
+    }
+
+    if (disconnect && this.connected) {
+      this.connected = false;
+      logger.warn('Virtual printer connection dropped (simulated)');
+      printerEvents.emit('disconnected', {
+        printerId: this.id || null,
+        printer: this.describe(),
+        reason: 'simulated disconnect'
+      });
+    } else if (reconnect && !this.connected && this.connection) {
+      this.connected = true;
+      logger.info('Virtual printer reconnected (simulated)');
+      printerEvents.emit('connected', { printerId: this.id || null, printer: this.describe() });
+    }
+
+    return this.getSimulation();
+  }
+
+  /**
+   * Current simulation state
+   * @returns {object} { connected, latencyMs, status, failNext }
+   */
+  getSimulation() {
+    return {
+      connected: this.connected,
+      latencyMs: this.latencyMs,
+      status: STATUS_BITS.filter(({ bit }) => this.statusByte & bit).map(({ name }) => name),
+      failNext: this.failNext
+    };
+  }
+
+  /**
+   * Accept TSPL commands and record them
+   * @param {string} tsplCommands - TSPL commands to send
+   * @returns {Promise<boolean>} Success status
+   */
+  async print(tsplCommands) {
+    if (!this.connected) {
+      throw new Error('Printer not connected');
+    }
+
+    const buffer = encodeTSPL(tsplCommands);
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+      // The connection may have been dropped while "transferring"
+      if (!this.connected) {
+        throw new Error('Printer disconnected during transfer');
+      }
+    }
+
+    if (this.failNext > 0) {
+      this.failNext--;
+      throw new Error('Simulated print failure');
+    }
+
+    this.jobCount++;
+    const entry = {
+      index: this.jobCount,
+      timestamp: new Date().toISOString(),
+      bytes: buffer.length,
+      tspl: tsplCommands,
+      file: null
+    };
+
+    if (this.spoolDir) {
+      entry.file = path.join(this.spoolDir, `job-${String(this.jobCount).padStart(6, '0')}.tspl`);
+      await fs.promises.writeFile(entry.file, buffer);
+    }
+
+    this.output.push(entry);
+    if (this.output.length > MAX_OUTPUT) {
+      this.output.shift();
+    }
+
+    logger.info('Print job sent successfully', { bytes: buffer.length, virtual: true, file: entry.file });
+    return true;
+  }
+
+  /**
+   * Get recorded jobs
+   * @returns {Array} Jobs with the TSPL they contained, oldest first
+   */
+  getOutput() {
+    return this.output.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Forget recorded jobs (spool files are kept)
+   */
+  clearOutput() {
+    this.output = [];
+  }
+
+  /**
+   * Get printer status
+   * @returns {Promise<object>} Printer status
+   */
+  async getStatus() {
+    if (!this.connected) {
+      return {
+        connected: false,
+        ready: false,
+        status: 'disconnected'
+      };
+    }
+
+    const printerStatus = decodeStatusByte(this.statusByte);
+    return {
+      connected: true,
+      ready: printerStatus.ready,
+      status: printerStatus.status,
+      errors: printerStatus.errors,
+      flags: printerStatus.flags,
+      raw: printerStatus.raw,
+      statusSupported: true,
+      device: this.describe()
+    };
+  }
+
+  /**
+   * Check if printer is connected
+   * @returns {boolean} Connection status
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Connection info used in events and status
+   * @returns {object} { virtual, spoolDir }
+   * @private
+   */
+  describe() {
+    return { virtual: true, spoolDir: this.spoolDir };
+  }
+
+  /**
+   * Get last connected device info (for compatibility with USB manager)
+   */
+  get lastConnectedDevice() {
+    return this.connection ? this.describe() : null;
+  }
+}
+
+module.exports = { VirtualPrinterManager, SIMULATED_CONDITIONS, getSpoolRoot, validateSpoolDir };
@@ -4,6 +4,8 @@
  */
 
 const { logger } = require('../utils/logger');
+const { printerEvents } = require('./printer-events');
+const { encodeTSPL } = require('./tspl-generator');
 
 // Lazy load printer module - only on Windows
 let printer = null;
@@ -25,6 +27,7 @@ function getPrinterModule() {
  */
 class WindowsPrinterManager {
   constructor() {
+    this.transport = 'windows';
     this.connectedPrinter = null;
     this.printerName = null;
   }
@@ -87,6 +90,7 @@ class WindowsPrinterManager {
       this.connectedPrinter = found;
 
       logger.info('Connected to Windows printer', { name });
+      printerEvents.emit('connected', { printerId: this.id || null, printer: { name } });
       return true;
     } catch (error) {
       logger.error('Failed to connect to Windows printer', { error: error.message });
@@ -99,9 +103,13 @@ class WindowsPrinterManager {
    * Disconnect from printer
    */
   disconnect() {
+    const name = this.printerName;
     this.connectedPrinter = null;
     this.printerName = null;
     logger.info('Disconnected from Windows printer');
+    if (name) {
+      printerEvents.emit('disconnected', { printerId: this.id || null, printer: { name } });
+    }
   }
 
   /**
@@ -117,7 +125,7 @@ class WindowsPrinterManager {
         }
 
         const printerModule = getPrinterModule();
-        const buffer = Buffer.from(tsplCommands, 'utf8');
+        const buffer = encodeTSPL(tsplCommands);
 
         printerModule.printDirect({
           data: buffer,
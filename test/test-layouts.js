@@ -4,15 +4,18 @@
  * Tests various edge cases for text overflow, font sizing, and different layouts
  */
 
-const API_URL = 'http://localhost:3000';
+const API_URL = process.env.API_URL || 'http://localhost:9632';
 
 // Test cases organized by category
+// `expect` / `absent`: patterns that some / no TSPL line must match, checked
+// against what the virtual printer received (--virtual)
 const TEST_CASES = {
   // Text length variations
   textLengths: [
     {
       name: 'Short title',
-      label: { title: 'ABC', subtitle: '123', barcodeData: 'SKU1', layout: 'barcode' }
+      label: { title: 'ABC', subtitle: '123', barcodeData: 'SKU1', layout: 'barcode' },
+      expect: [/^TEXT .*"ABC"$/, /^TEXT .*"123"$/, /^BARCODE .*"SKU1"$/]
     },
     {
       name: 'Medium title',
@@ -24,7 +27,9 @@ const TEST_CASES = {
     },
     {
       name: 'Very long title (should truncate)',
-      label: { title: 'This Is An Extremely Long Product Name That Should Be Truncated', subtitle: 'This subtitle is also very long and needs truncation', barcodeData: 'VERYLONGSKUCODE123456789', layout: 'barcode' }
+      label: { title: 'This Is An Extremely Long Product Name That Should Be Truncated', subtitle: 'This subtitle is also very long and needs truncation', barcodeData: 'VERYLONGSKUCODE123456789', layout: 'barcode' },
+      expect: [/^TEXT .*"This Is An/, /^BARCODE /],
+      absent: [/Should Be Truncated/, /needs truncation/]
     },
   ],
 
@@ -36,11 +41,15 @@ const TEST_CASES = {
     },
     {
       name: 'QR code layout',
-      label: { title: 'QR Test', subtitle: 'With QR', qrData: 'https://example.com/product/123', layout: 'qr' }
+      label: { title: 'QR Test', subtitle: 'With QR', qrData: 'https://example.com/product/123', layout: 'qr' },
+      expect: [/^QRCODE .*"https:\/\/example\.com\/product\/123"$/, /^TEXT .*"QR Test"$/],
+      absent: [/^BARCODE /]
     },
     {
       name: 'Text only layout',
-      label: { title: 'Text Only', subtitle: 'No barcode', layout: 'text-only' }
+      label: { title: 'Text Only', subtitle: 'No barcode', layout: 'text-only' },
+      expect: [/^TEXT .*"Text Only"$/, /^TEXT .*"No barcode"$/],
+      absent: [/^BARCODE /, /^QRCODE /]
     },
   ],
 
@@ -48,7 +57,9 @@ const TEST_CASES = {
   optionalFields: [
     {
       name: 'Title only (no subtitle, no barcode)',
-      label: { title: 'Just Title', layout: 'barcode' }
+      label: { title: 'Just Title', layout: 'barcode' },
+      expect: [/^TEXT .*"Just Title"$/],
+      absent: [/^BARCODE /]
     },
     {
       name: 'Title + subtitle (no barcode)',
@@ -111,21 +122,52 @@ async function apiRequest(endpoint, method = 'GET', body = null) {
   return response.json();
 }
 
-// Connect to printer
-async function connectPrinter() {
-  console.log('Connecting to printer...');
-  const result = await apiRequest('/printers/connect', 'POST', { vendorId: 1137, productId: 85 });
+// Connect to printer (a virtual printer when no hardware is attached)
+// Returns the printer ID, or null when the connection failed
+async function connectPrinter(virtual = false) {
+  console.log(`Connecting to ${virtual ? 'virtual ' : ''}printer...`);
+  const printer = virtual ? { virtual: true } : { vendorId: 1137, productId: 85 };
+  const result = await apiRequest('/printers/connect', 'POST', printer);
   if (result.success) {
     console.log('✓ Connected to printer\n');
-    return true;
+    return result.id;
   } else {
     console.log('✗ Failed to connect:', result.error);
-    return false;
+    return null;
   }
 }
 
+// Check the TSPL a virtual printer received for a job against the test's expectations
+// Returns a list of failure messages
+async function checkVirtualOutput(printerId, test, job) {
+  const result = await apiRequest(`/printers/${printerId}/output`);
+  const received = result.success && result.output.length > 0 ? result.output[result.output.length - 1].tspl : null;
+  if (received !== job.tspl) {
+    return ['virtual printer did not receive the job\'s TSPL'];
+  }
+
+  const lines = received.split('\r\n');
+  const failures = [];
+  for (const pattern of test.expect || []) {
+    if (!lines.some(line => pattern.test(line))) {
+      failures.push(`no TSPL line matches ${pattern}`);
+    }
+  }
+  for (const pattern of test.absent || []) {
+    const line = lines.find(l => pattern.test(l));
+    if (line) {
+      failures.push(`unexpected TSPL line: ${line}`);
+    }
+  }
+  return failures;
+}
+
 // Run a single test case (no actual print, just generate TSPL)
-async function testCase(testName, label, dryRun = true) {
+// With a virtual printer ID the received TSPL is checked too
+// Returns true when the test passed
+async function testCase(test, dryRun = true, virtualPrinterId = null) {
+  const { name: testName, label } = test;
+  let passed = true;
   console.log(`Testing: ${testName}`);
   console.log(`  Title: "${label.title}" (${label.title?.length || 0} chars)`);
   if (label.subtitle) console.log(`  Subtitle: "${label.subtitle}" (${label.subtitle?.length || 0} chars)`);
@@ -150,70 +192,102 @@ async function testCase(testName, label, dryRun = true) {
         // Show TSPL for debugging
         const tsplLines = jobResult.job.tspl.split('\r\n').filter(l => l);
         console.log(`  TSPL commands: ${tsplLines.length} lines`);
+
+        if (virtualPrinterId) {
+          const failures = await checkVirtualOutput(virtualPrinterId, test, jobResult.job);
+          failures.forEach(failure => console.log(`  ✗ ${failure}`));
+          if (failures.length === 0) {
+            console.log(`  ✓ Output matches`);
+          }
+          passed = failures.length === 0;
+        }
       } else {
         console.log(`  ✗ Print failed: ${jobResult.job.error}`);
+        passed = false;
       }
     } else {
       console.log(`  ✗ API error: ${result.error}`);
+      passed = false;
     }
   } else {
     console.log(`  (dry run - not printed)`);
   }
   console.log('');
+  return passed;
 }
 
 // Run all tests in a category
-async function runCategory(categoryName, tests, dryRun = true) {
+// Returns the number of failed tests
+async function runCategory(categoryName, tests, dryRun = true, virtualPrinterId = null) {
   console.log('='.repeat(60));
   console.log(`Category: ${categoryName}`);
   console.log('='.repeat(60));
   console.log('');
 
+  let failed = 0;
   for (const test of tests) {
-    await testCase(test.name, test.label, dryRun);
+    if (!await testCase(test, dryRun, virtualPrinterId)) {
+      failed++;
+    }
   }
+  return failed;
 }
 
 // Main test runner
 async function main() {
   const args = process.argv.slice(2);
-  const dryRun = !args.includes('--print');
+  const virtual = args.includes('--virtual');
+  const dryRun = !args.includes('--print') && !virtual;
   const category = args.find(a => !a.startsWith('--'));
 
   console.log('Label Printer Layout Test Suite');
   console.log('================================\n');
 
+  let virtualPrinterId = null;
   if (dryRun) {
     console.log('Mode: DRY RUN (use --print to actually print)\n');
   } else {
-    console.log('Mode: PRINTING TO PRINTER\n');
-    const connected = await connectPrinter();
-    if (!connected) {
+    console.log(`Mode: PRINTING TO ${virtual ? 'VIRTUAL ' : ''}PRINTER\n`);
+    const printerId = await connectPrinter(virtual);
+    if (!printerId) {
       console.log('Cannot proceed without printer connection.');
       process.exit(1);
     }
+    if (virtual) {
+      virtualPrinterId = printerId;
+    }
   }
 
   // Run specified category or all
+  let failed = 0;
   if (category && TEST_CASES[category]) {
-    await runCategory(category, TEST_CASES[category], dryRun);
+    failed += await runCategory(category, TEST_CASES[category], dryRun, virtualPrinterId);
   } else {
     // Run all categories
     for (const [catName, tests] of Object.entries(TEST_CASES)) {
-      await runCategory(catName, tests, dryRun);
+      failed += await runCategory(catName, tests, dryRun, virtualPrinterId);
     }
   }
 
   console.log('='.repeat(60));
-  console.log('Test suite complete!');
+  console.log(failed > 0 ? `Test suite complete: ${failed} failed` : 'Test suite complete!');
   console.log('='.repeat(60));
 
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+
   if (dryRun) {
     console.log('\nTo actually print labels, run with --print flag:');
     console.log('  node test/test-layouts.js --print');
     console.log('  node test/test-layouts.js textLengths --print');
+    console.log('Or print to a virtual printer (no hardware needed):');
+    console.log('  node test/test-layouts.js --virtual');
   }
 }
 
 // Run if called directly
-main().catch(console.error);
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});